@@ -5,6 +5,8 @@ const cors = require('cors');
 const { Server: SocketIOServer } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
 
 const app = express();
 const server = http.createServer(app);
@@ -14,51 +16,618 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// LLM provider configuration
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'mistral';
+const LLM_MODEL = process.env.LLM_MODEL;
+const LLM_BASE_URL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LLM_MOCK_SCRIPT = process.env.LLM_MOCK_SCRIPT;
+// Extra attempts, with the validation errors fed back, when structured output is
+// invalid; anything but a whole number of 0 or more falls back to 1
+const LLM_REPAIR_ATTEMPTS = (attempts => (Number.isInteger(attempts) && attempts >= 0 ? attempts : 1))(
+  Number(process.env.LLM_REPAIR_ATTEMPTS ?? '1')
+);
+// Rough token allowance for the conversation summary plus recent turns in a chat prompt
+const CONVERSATION_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_TOKEN_BUDGET || '2000', 10);
+
 // Mistral AI Configuration
 const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY || 'your-mistral-api-key-here';
 const MISTRAL_API_URL = 'https://api.mistral.ai/v1/chat/completions';
 const MISTRAL_MODEL = 'mistral-small-latest';
 
-// ==================== MISTRAL AI AGENT ====================
+// ==================== LLM PROVIDERS ====================
 
-class MistralAIAgent {
-  constructor(apiKey) {
+// Every provider implements complete(messages, options) -> { content, usage, model, tool_calls }
+// and throws on failure. describe() reports what is configured, without secrets.
+// options.tools takes OpenAI-style function definitions; tool_calls come back in
+// the same wire format ({ id, type: 'function', function: { name, arguments } }).
+// stream(messages, options, onDelta) resolves to the same result, calling onDelta
+// with each piece of reply text as it arrives.
+
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai_compatible', url, apiKey, model, extraBody = {} }) {
+    this.name = name;
+    this.url = url;
     this.apiKey = apiKey;
-    this.conversationHistory = new Map();
+    this.model = model;
+    this.extraBody = extraBody;
   }
 
-  async chat(messages, options = {}) {
-    try {
-      const response = await fetch(MISTRAL_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: options.model || MISTRAL_MODEL,
-          messages: messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.max_tokens || 1000,
-          top_p: options.top_p || 1,
-          safe_prompt: false
-        })
+  async request(messages, options, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: options.model || this.model,
+        messages: messages,
+        temperature: options.temperature || 0.7,
+        max_tokens: options.max_tokens || 1000,
+        top_p: options.top_p || 1,
+        ...(options.tools && { tools: options.tools, tool_choice: 'auto' }),
+        ...(stream && { stream: true }),
+        ...this.extraBody
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(`${this.name} API error (${response.status}): ${errorData}`);
+    }
+    return response;
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this.request(messages, options, false);
+    const data = await response.json();
+    return {
+      content: data.choices[0].message.content,
+      usage: data.usage,
+      model: data.model || options.model || this.model,
+      tool_calls: data.choices[0].message.tool_calls || []
+    };
+  }
+
+  // Reads the server-sent `data:` lines; tool call names and arguments arrive in
+  // fragments keyed by index and are concatenated
+  async stream(messages, options = {}, onDelta) {
+    const response = await this.request(messages, options, true);
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let model = options.model || this.model;
+
+    const handleLine = line => {
+      const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!payload || payload === '[DONE]') return;
+      const data = JSON.parse(payload);
+      if (data.usage) usage = data.usage;
+      if (data.model) model = data.model;
+      const delta = data.choices?.[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      (delta.tool_calls || []).forEach(part => {
+        const index = part.index ?? (part.id ? toolCalls.length : toolCalls.length - 1);
+        const call = toolCalls[index] || (toolCalls[index] = { id: part.id, type: 'function', function: { name: '', arguments: '' } });
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) {
+          call.function.arguments += typeof part.function.arguments === 'string'
+            ? part.function.arguments
+            : JSON.stringify(part.function.arguments);
+        }
       });
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    // A last event without a trailing newline is still in the buffer
+    (buffer + decoder.decode()).split('\n').forEach(handleLine);
+
+    return { content, usage, model, tool_calls: toolCalls.filter(Boolean) };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      endpoint: this.url,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+class MistralProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, model = MISTRAL_MODEL) {
+    super({
+      name: 'mistral',
+      url: MISTRAL_API_URL,
+      apiKey,
+      model,
+      extraBody: { safe_prompt: false }
+    });
+  }
+
+  isConfigured() {
+    return this.apiKey !== 'your-mistral-api-key-here';
+  }
+}
+
+// Deterministic offline provider. Responses are chosen by the first scripted rule
+// whose pattern matches the last user message, falling back to per-task defaults.
+// A rule with `tool_calls` ([{ name, arguments }]) only applies when tools are
+// offered and no tool result has come back yet, so the tool loop always ends.
+class MockLLMProvider {
+  constructor(script = []) {
+    this.name = 'mock';
+    this.model = 'mock-scripted';
+    this.rules = script.map(rule => ({
+      task: rule.task,
+      pattern: rule.match ? new RegExp(rule.match, 'i') : null,
+      response: rule.response,
+      tool_calls: rule.tool_calls || null
+    }));
+  }
+
+  async complete(messages, options = {}) {
+    const task = options.task || 'chat';
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const userText = lastUser ? lastUser.content : '';
+    const afterTool = messages[messages.length - 1]?.role === 'tool';
+
+    const rule = this.rules.find(r =>
+      (!r.task || r.task === task) &&
+      (!r.pattern || r.pattern.test(userText)) &&
+      (!r.tool_calls || (options.tools && !afterTool))
+    );
+
+    let toolCalls = [];
+    if (rule?.tool_calls) {
+      toolCalls = rule.tool_calls;
+    } else if (!rule && options.tools && !afterTool) {
+      toolCalls = MockLLMProvider.chooseTools(userText, options.tools);
+    }
+
+    let content = '';
+    if (!toolCalls.length) {
+      if (rule) {
+        content = typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response);
+      } else if (afterTool) {
+        content = MockLLMProvider.describeToolResults(messages);
+      } else {
+        content = this.defaultResponse(task, messages, userText);
+      }
+    }
+
+    return {
+      content,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: this.model,
+      tool_calls: toolCalls.map(call => ({
+        id: `call_${uuidv4().slice(0, 8)}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  }
+
+  // Replays the reply word by word so streaming clients can be exercised offline
+  async stream(messages, options = {}, onDelta) {
+    const result = await this.complete(messages, options);
+    (result.content.match(/\s*\S+/g) || []).forEach(piece => onDelta(piece));
+    return result;
+  }
+
+  // Keyword routing onto whichever tools are offered
+  static chooseTools(text, tools) {
+    const lower = text.toLowerCase();
+    const offered = Object.fromEntries(tools.map(t => [t.function.name, t.function.parameters]));
+    const services = offered.create_service_ticket?.properties.service_type.enum || [];
+    const service = services.find(name => {
+      const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+      return lower.includes(words) || lower.includes(name.toLowerCase().slice(0, 5));
+    });
+
+    if (offered.get_invoice_status && /\b(invoice|bill|balance|owe)/.test(lower)) {
+      return [{ name: 'get_invoice_status', arguments: {} }];
+    }
+    if (offered.create_service_ticket && service && /\b(book|schedule)\b/.test(lower)) {
+      const args = { service_type: service };
+      if (/next week/.test(lower)) args.preferred_date = addDays(new Date().toISOString().slice(0, 10), 7);
+      return [{ name: 'create_service_ticket', arguments: args }];
+    }
+    if (offered.check_availability && /\b(availab|opening|free slot|when can)/.test(lower)) {
+      return [{ name: 'check_availability', arguments: service ? { service_type: service } : {} }];
+    }
+    return [];
+  }
+
+  static describeToolResults(messages) {
+    const results = messages.slice(messages.findLastIndex(m => m.role === 'assistant') + 1)
+      .filter(m => m.role === 'tool')
+      .map(m => ({ name: m.name, output: JSON.parse(m.content) }));
+    return results.map(({ name, output }) => {
+      if (output.error) return `Sorry, I couldn't do that: ${output.error}.`;
+      if (output.status === 'awaiting_confirmation') return `${output.summary}. Shall I go ahead? Reply yes to confirm.`;
+      if (name === 'get_invoice_status') return `You have ${output.invoices.length} invoice(s) with $${output.outstanding_balance.toFixed(2)} outstanding.`;
+      if (name === 'check_availability') {
+        return output.openings.length
+          ? `Next openings: ${output.openings.map(o => `${o.date} at ${o.start}`).join(', ')}.`
+          : 'There are no openings in that period.';
+      }
+      return `Here is what I found about ${output.name}.`;
+    }).join(' ');
+  }
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Mistral API error (${response.status}): ${errorData}`);
+  defaultResponse(task, messages, userText) {
+    const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+
+    switch (task) {
+      case 'intent':
+        // Later user messages are repair prompts; the customer's is the first
+        return JSON.stringify(MockLLMProvider.classifyIntent(messages.find(m => m.role === 'user')?.content || ''));
+
+      case 'recommendation': {
+        const workerIds = [...systemPrompt.matchAll(/"id": "(worker_[^"]+)"/g)].map(m => m[1]);
+        return JSON.stringify({
+          recommended_worker_id: workerIds[0] || null,
+          reasoning: 'Mock provider: selected the first available worker.',
+          alternative: workerIds[1] || null,
+          risk_factors: [],
+          optimization_tips: ['Configure a live LLM provider for real recommendations']
+        });
+      }
+
+      case 'care_plan':
+        return JSON.stringify({
+          immediate_actions: ['Mow at the recommended height', 'Spot-treat weeds'],
+          monthly_schedule: [
+            { month: 'Month 1', tasks: ['Fertilize', 'Water deeply once a week'] },
+            { month: 'Month 2', tasks: ['Fertilize', 'Check for grubs'] },
+            { month: 'Month 3', tasks: ['Fertilize', 'Aerate if soil is compacted'] }
+          ],
+          seasonal_recommendations: ['Follow the regional seasonal activities'],
+          estimated_costs: [{ item: 'Monthly fertilization', cost: 65 }],
+          expected_outcomes: ['Thicker, healthier turf within one season']
+        });
+
+      case 'summary': {
+        const previous = userText.match(/Existing summary:\n([\s\S]*?)\n\nNew turns:/)?.[1];
+        const asked = [...userText.matchAll(/^Customer: (.*)$/gm)].map(m => m[1].slice(0, 60));
+        return [previous && previous !== '(none)' ? previous : null, `Customer asked: ${asked.join('; ')}.`]
+          .filter(Boolean).join(' ');
+      }
+
+      case 'sentiment':
+        return JSON.stringify(analyzeWithLexicon(userText));
+
+      case 'health':
+        return 'OK';
+
+      default:
+        return userText
+          ? `Thanks for reaching out! (mock response to: "${userText.slice(0, 120)}")`
+          : 'Thanks for reaching out!';
+    }
+  }
+
+  static classifyIntent(text) {
+    const lower = text.toLowerCase();
+    const rules = [
+      ['schedule_service', /\b(book|schedule|appointment|come out|next week)\b/],
+      ['inquiry_pricing', /\b(price|pricing|cost|how much|quote|estimate)\b/],
+      ['report_issue', /\b(problem|issue|brown|dead|damage|missed|broken|grubs?)\b/],
+      ['inquiry_services', /\b(services|offer|do you do|provide)\b/],
+      ['feedback', /\b(thanks|thank you|great job|love|terrible|awful)\b/]
+    ];
+    const match = rules.find(([, pattern]) => pattern.test(lower));
+    const sentiment = /\b(terrible|awful|angry|upset|unacceptable|furious|worst|ruined|disappointed)\b/.test(lower)
+      ? 'negative'
+      : /\b(thanks|thank you|great|love|excellent)\b/.test(lower) ? 'positive' : 'neutral';
+    return {
+      intent: match ? match[0] : 'general_question',
+      confidence: match ? 0.9 : 0.5,
+      entities: {},
+      sentiment
+    };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      endpoint: null,
+      configured: true,
+      scripted_rules: this.rules.length
+    };
+  }
+}
+
+function loadMockScript(filePath) {
+  if (!filePath) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+const LLM_PROVIDERS = {
+  mistral: () => new MistralProvider(MISTRAL_API_KEY, LLM_MODEL || MISTRAL_MODEL),
+  openai_compatible: () => new OpenAICompatibleProvider({
+    url: `${LLM_BASE_URL.replace(/\/$/, '')}/chat/completions`,
+    apiKey: LLM_API_KEY,
+    model: LLM_MODEL || 'llama3'
+  }),
+  mock: () => new MockLLMProvider(loadMockScript(LLM_MOCK_SCRIPT))
+};
+
+function createLLMProvider(name) {
+  const factory = LLM_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+  return factory();
+}
+
+// ==================== LLM OUTPUT VALIDATION ====================
+
+const CUSTOMER_INTENTS = ['schedule_service', 'inquiry_pricing', 'inquiry_services', 'report_issue', 'feedback', 'general_question'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// JSON schemas for structured model output. Only the keywords implemented by
+// validateSchema below are used.
+const AI_OUTPUT_SCHEMAS = {
+  intent: {
+    type: 'object',
+    required: ['intent', 'confidence', 'entities'],
+    additionalProperties: false,
+    properties: {
+      intent: { type: 'string', enum: CUSTOMER_INTENTS },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      entities: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          service: { type: 'string', minLength: 1 },
+          preferred_date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+          time_of_day: { type: 'string', enum: ['morning', 'afternoon', 'evening'] },
+          issue: { type: 'string', minLength: 1 },
+          urgency: { type: 'string', enum: ['low', 'normal', 'high'] }
+        }
+      },
+      sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] }
+    }
+  },
+  communication_analysis: {
+    type: 'object',
+    required: ['sentiment', 'score', 'topics'],
+    additionalProperties: false,
+    // A getter because the topic catalogue is defined with the analyzer further down
+    get properties() {
+      return {
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+        score: { type: 'number', minimum: -1, maximum: 1 },
+        topics: { type: 'array', items: { type: 'string', enum: Object.keys(COMMUNICATION_TOPICS) } }
+      };
+    }
+  },
+  worker_recommendation: {
+    type: 'object',
+    required: ['recommended_worker_id', 'reasoning', 'alternative', 'risk_factors', 'optimization_tips'],
+    additionalProperties: false,
+    properties: {
+      recommended_worker_id: { type: 'string', minLength: 1 },
+      reasoning: { type: 'string', minLength: 1 },
+      alternative: { type: ['string', 'null'] },
+      risk_factors: stringList,
+      optimization_tips: stringList
+    }
+  },
+  care_plan: {
+    type: 'object',
+    required: ['immediate_actions', 'monthly_schedule', 'seasonal_recommendations', 'estimated_costs', 'expected_outcomes'],
+    additionalProperties: false,
+    properties: {
+      immediate_actions: { ...stringList, minItems: 1 },
+      monthly_schedule: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['month', 'tasks'],
+          additionalProperties: false,
+          properties: {
+            month: { type: 'string', minLength: 1 },
+            tasks: { ...stringList, minItems: 1 }
+          }
+        }
+      },
+      seasonal_recommendations: stringList,
+      estimated_costs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['item', 'cost'],
+          additionalProperties: false,
+          properties: {
+            item: { type: 'string', minLength: 1 },
+            cost: { type: 'number', minimum: 0 }
+          }
+        }
+      },
+      expected_outcomes: { ...stringList, minItems: 1 }
+    }
+  }
+};
+
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validates against a JSON schema subset: type, enum, required, properties,
+// additionalProperties (false), items, minItems, minLength, pattern, minimum and
+// maximum. Returns a list of problems; an empty list means the value is valid.
+function validateSchema(value, schema, at = '$') {
+  const types = [].concat(schema.type || []);
+  const actual = schemaType(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [`${at} must be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+  }
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
       }
+    });
+  }
+  return errors;
+}
+
+// The reply must be a single JSON value, optionally inside a ```json fence
+function parseJsonOutput(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  try {
+    return { value: JSON.parse(fenced ? fenced[1] : trimmed), errors: [] };
+  } catch (error) {
+    return { value: undefined, errors: [`Reply is not valid JSON (${error.message})`] };
+  }
+}
+
+function repairPrompt(errors, schema) {
+  return `Your previous reply did not match the required format:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply again with only a JSON object that matches this JSON schema, with no other text:
+${JSON.stringify(schema)}`;
+}
 
-      const data = await response.json();
+const AI_OUTPUT_RECENT_FAILURES = 20;
+
+// Per-schema counters for structured output, so prompt regressions show up
+class AIOutputMetrics {
+  constructor() {
+    this.schemas = {};
+  }
+
+  entry(name) {
+    if (!this.schemas[name]) {
+      this.schemas[name] = {
+        calls: 0,
+        attempts: 0,
+        valid_first_attempt: 0,
+        repaired: 0,
+        failed: 0,
+        provider_errors: 0,
+        invalid_attempts: 0,
+        recent_failures: []
+      };
+    }
+    return this.schemas[name];
+  }
+
+  recordAttempt(name, errors) {
+    const entry = this.entry(name);
+    entry.attempts++;
+    if (!errors.length) return;
+    entry.invalid_attempts++;
+    entry.recent_failures.push({ at: new Date().toISOString(), errors: errors.slice(0, 5) });
+    entry.recent_failures = entry.recent_failures.slice(-AI_OUTPUT_RECENT_FAILURES);
+  }
+
+  // outcome: valid_first_attempt | repaired | failed | provider_errors
+  recordOutcome(name, outcome) {
+    const entry = this.entry(name);
+    entry.calls++;
+    entry[outcome]++;
+  }
+
+  snapshot() {
+    return Object.fromEntries(Object.entries(this.schemas).map(([name, entry]) => [name, {
+      ...entry,
+      invalid_rate: entry.attempts ? Math.round((entry.invalid_attempts / entry.attempts) * 1000) / 1000 : 0,
+      failure_rate: entry.calls ? Math.round((entry.failed / entry.calls) * 1000) / 1000 : 0
+    }]));
+  }
+}
+
+const aiOutputMetrics = new AIOutputMetrics();
+
+function renderCarePlan(plan) {
+  const bullets = items => items.map(item => `   - ${item}`).join('\n');
+  return [
+    `1. Immediate actions (next 2 weeks):\n${bullets(plan.immediate_actions)}`,
+    `2. Monthly maintenance:\n${plan.monthly_schedule.map(m => `   ${m.month}:\n${m.tasks.map(t => `     - ${t}`).join('\n')}`).join('\n')}`,
+    `3. Seasonal recommendations:\n${bullets(plan.seasonal_recommendations)}`,
+    `4. Estimated costs:\n${bullets(plan.estimated_costs.map(c => `${c.item}: $${c.cost.toFixed(2)}`))}`,
+    `5. Expected outcomes:\n${bullets(plan.expected_outcomes)}`
+  ].join('\n\n');
+}
+
+// ==================== MISTRAL AI AGENT ====================
+
+class MistralAIAgent {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  // options.onDelta streams the reply text as it is generated
+  async chat(messages, options = {}) {
+    try {
+      const result = options.onDelta
+        ? await this.provider.stream(messages, options, options.onDelta)
+        : await this.provider.complete(messages, options);
       return {
         success: true,
-        content: data.choices[0].message.content,
-        usage: data.usage,
-        model: data.model
+        content: result.content,
+        usage: result.usage,
+        model: result.model,
+        tool_calls: result.tool_calls || []
       };
     } catch (error) {
-      console.error('Mistral API Error:', error);
+      console.error(`LLM provider (${this.provider.name}) error:`, error);
       return {
         success: false,
         error: error.message,
@@ -67,6 +636,44 @@ class MistralAIAgent {
     }
   }
 
+  // Asks for JSON matching AI_OUTPUT_SCHEMAS[schemaName]. Invalid replies get a
+  // repair prompt listing the problems, up to LLM_REPAIR_ATTEMPTS times; `check`
+  // adds problems the schema cannot express. A streamed onDelta also gets the
+  // attempt number, so clients can discard the text of a rejected attempt.
+  async completeJson(schemaName, messages, options = {}, check = () => []) {
+    const schema = AI_OUTPUT_SCHEMAS[schemaName];
+    let conversation = messages;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+      const onDelta = options.onDelta && (delta => options.onDelta(delta, attempt));
+      const result = await this.chat(conversation, { ...options, onDelta });
+      if (!result.success) {
+        aiOutputMetrics.recordOutcome(schemaName, 'provider_errors');
+        return { success: false, error: result.error, errors: [] };
+      }
+
+      const parsed = parseJsonOutput(result.content);
+      errors = parsed.errors.length ? parsed.errors : validateSchema(parsed.value, schema);
+      if (!errors.length) errors = check(parsed.value);
+      aiOutputMetrics.recordAttempt(schemaName, errors);
+
+      if (!errors.length) {
+        aiOutputMetrics.recordOutcome(schemaName, attempt === 0 ? 'valid_first_attempt' : 'repaired');
+        return { success: true, value: parsed.value, attempts: attempt + 1, usage: result.usage, model: result.model };
+      }
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: repairPrompt(errors, schema) }
+      ];
+    }
+
+    aiOutputMetrics.recordOutcome(schemaName, 'failed');
+    console.error(`LLM output failed ${schemaName} validation:`, errors);
+    return { success: false, error: `Model output failed ${schemaName} validation`, errors };
+  }
+
   async analyzeCustomerIntent(message, customerContext) {
     const systemPrompt = `You are an AI assistant analyzing customer intent for a lawn care service.
 Analyze the customer's message and determine their intent. Respond ONLY with a JSON object.
@@ -79,31 +686,30 @@ Available intents:
 - feedback: Customer providing feedback
 - general_question: General lawn care advice
 
+Entities (include only those mentioned):
+- service: the service asked about, e.g. "Aeration"
+- preferred_date: YYYY-MM-DD
+- time_of_day: morning, afternoon or evening
+- issue: the lawn problem described
+- urgency: low, normal or high
+
+Also give the customer's tone as sentiment: positive, neutral or negative.
+
 Customer context: ${JSON.stringify(customerContext)}
 
-Respond with JSON only: {"intent": "intent_name", "confidence": 0.0-1.0, "entities": {}}`;
+Respond with JSON only: {"intent": "intent_name", "confidence": 0.0-1.0, "entities": {}, "sentiment": "neutral"}`;
 
-    const result = await this.chat([
+    const result = await this.completeJson('intent', [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: message }
-    ], { temperature: 0.3, max_tokens: 300 });
-
-    if (result.success) {
-      try {
-        const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[0]);
-        }
-      } catch (e) {
-        console.error('Failed to parse intent:', e);
-      }
-    }
+    ], { task: 'intent', temperature: 0.3, max_tokens: 300 });
 
-    return { intent: 'general_question', confidence: 0.5, entities: {} };
+    if (result.success) return result.value;
+    return { intent: 'general_question', confidence: 0.5, entities: {}, fallback: true };
   }
 
-  async generateCustomerResponse(message, customerContext, intent, conversationHistory = []) {
-    const systemPrompt = `You are a helpful and professional lawn care customer service agent.
+  buildCustomerPrompt(customerContext, intent) {
+    return `You are a helpful and professional lawn care customer service agent.
 
 Customer Information:
 - Name: ${customerContext.customer.name}
@@ -117,27 +723,36 @@ ${JSON.stringify(customerContext.customer.service_history || [], null, 2)}
 Regional Insights:
 ${JSON.stringify(customerContext.regional_insights || [], null, 2)}
 
+Current Season: ${customerContext.season || 'Unknown'}
 Seasonal Recommendations:
 ${JSON.stringify(customerContext.seasonal_recommendations || [], null, 2)}
 
 Detected Intent: ${intent.intent}
-
+${customerContext.quote ? `
+Current Quote (${customerContext.quote.quote_number} v${customerContext.quote.version}, ${customerContext.quote.status === 'draft' ? 'not sent yet' : `valid until ${customerContext.quote.expires_at}`}):
+${customerContext.quote.line_items.map(l => `- ${l.description}: ${l.quantity} x ${l.unit_price}`).join('\n')}
+Total after ${Math.round(customerContext.quote.discount_rate * 100)}% tier discount: ${customerContext.quote.total}
+` : ''}
 Instructions:
 - Be warm, professional, and helpful
 - Reference their service history when relevant
 - Provide specific lawn care advice based on their region and grass type
 - If they want to schedule, explain next steps
+- If a quote is listed, quote its prices exactly; a sent quote can be accepted from the link we sent, a draft can be sent if they ask for it
 - If reporting an issue, show empathy and offer solutions
 - Keep responses concise but informative (2-4 paragraphs max)
 - Use customer's name naturally in conversation`;
+  }
 
+  async generateCustomerResponse(message, customerContext, intent, conversationHistory = [], onDelta = null) {
+    const systemPrompt = this.buildCustomerPrompt(customerContext, intent);
     const messages = [
       { role: 'system', content: systemPrompt },
       ...conversationHistory,
       { role: 'user', content: message }
     ];
 
-    const result = await this.chat(messages, { temperature: 0.8 });
+    const result = await this.chat(messages, { task: 'chat', temperature: 0.8, onDelta });
     return result;
   }
 
@@ -167,31 +782,36 @@ Provide a recommendation in JSON format with:
 {
   "recommended_worker_id": "worker_X",
   "reasoning": "Brief explanation",
-  "alternative": "worker_Y",
+  "alternative": "worker_Y" or null,
   "risk_factors": ["factor1", "factor2"],
   "optimization_tips": ["tip1", "tip2"]
-}`;
+}
+Worker ids must be taken from the list above.`;
+
+    // The schema cannot know which workers exist
+    const workerIds = new Set(workers.map(w => w.id));
+    const checkWorkers = value => {
+      const errors = [];
+      if (!workerIds.has(value.recommended_worker_id)) {
+        errors.push(`$.recommended_worker_id '${value.recommended_worker_id}' is not one of the listed workers`);
+      }
+      if (value.alternative !== null && !workerIds.has(value.alternative)) {
+        errors.push(`$.alternative '${value.alternative}' is not one of the listed workers`);
+      } else if (value.alternative !== null && value.alternative === value.recommended_worker_id) {
+        errors.push('$.alternative must differ from $.recommended_worker_id');
+      }
+      return errors;
+    };
 
-    const result = await this.chat([
+    const result = await this.completeJson('worker_recommendation', [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: 'Analyze and recommend the best worker for this job.' }
-    ], { temperature: 0.4, max_tokens: 600 });
-
-    if (result.success) {
-      try {
-        const jsonMatch = result.content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[0]);
-        }
-      } catch (e) {
-        console.error('Failed to parse recommendation:', e);
-      }
-    }
+    ], { task: 'recommendation', temperature: 0.4, max_tokens: 600 }, checkWorkers);
 
-    return null;
+    return result.success ? result.value : null;
   }
 
-  async generateLawnCarePlan(customerData, regionalData) {
+  async generateLawnCarePlan(customerData, regionalData, onDelta = null) {
     const systemPrompt = `You are a certified lawn care specialist creating a personalized care plan.
 
 Customer Property:
@@ -205,1321 +825,7998 @@ Create a comprehensive lawn care plan with:
 1. Immediate actions needed (next 2 weeks)
 2. Monthly maintenance schedule (next 3 months)
 3. Seasonal recommendations
-4. Estimated costs
+4. Estimated costs (USD)
 5. Expected outcomes
 
-Be specific and actionable. Format as clear sections.`;
+Be specific and actionable. Respond with JSON only:
+{
+  "immediate_actions": ["action"],
+  "monthly_schedule": [{"month": "Month name", "tasks": ["task"]}],
+  "seasonal_recommendations": ["recommendation"],
+  "estimated_costs": [{"item": "service", "cost": 0}],
+  "expected_outcomes": ["outcome"]
+}`;
 
-    const result = await this.chat([
+    const result = await this.completeJson('care_plan', [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: 'Create a personalized lawn care plan for this customer.' }
-    ], { temperature: 0.7, max_tokens: 1500 });
+    ], { task: 'care_plan', temperature: 0.7, max_tokens: 1500, onDelta });
 
-    return result;
+    if (!result.success) return result;
+    return { success: true, content: renderCarePlan(result.value), sections: result.value, usage: result.usage, model: result.model };
   }
 
-  getConversationHistory(userId) {
-    if (!this.conversationHistory.has(userId)) {
-      this.conversationHistory.set(userId, []);
-    }
-    return this.conversationHistory.get(userId);
-  }
+  // Folds older turns into the running summary of a customer conversation
+  async summarizeConversation(previousSummary, turns) {
+    const systemPrompt = `You maintain a running summary of a lawn care company's chat with one customer.
+Merge the existing summary with the new turns into a single summary of at most 120 words.
+Keep facts that matter later: services discussed or booked, dates, problems reported, prices quoted, promises made and the customer's preferences.
+Reply with the summary text only.`;
 
-  addToHistory(userId, role, content) {
-    const history = this.getConversationHistory(userId);
-    history.push({ role, content });
-    
-    if (history.length > 10) {
-      this.conversationHistory.set(userId, history.slice(-10));
-    }
+    const transcript = turns.map(turn => `${turn.role === 'user' ? 'Customer' : 'Agent'}: ${turn.content}`).join('\n');
+    return this.chat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}` }
+    ], { task: 'summary', temperature: 0.2, max_tokens: 300 });
   }
 
-  clearHistory(userId) {
-    this.conversationHistory.delete(userId);
+  async analyzeCommunication(text) {
+    const topics = Object.entries(COMMUNICATION_TOPICS).map(([name, topic]) => `- ${name}: ${topic.label}`).join('\n');
+    const systemPrompt = `You score customer communications for a lawn care company.
+Give the customer's sentiment (positive, neutral or negative), a score from -1 (very negative) to 1 (very positive), and the topics it touches, from this list only:
+${topics}
+
+Respond with JSON only: {"sentiment": "neutral", "score": 0, "topics": []}`;
+
+    return this.completeJson('communication_analysis', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: text }
+    ], { task: 'sentiment', temperature: 0, max_tokens: 150 });
   }
 }
 
-const aiAgent = new MistralAIAgent(MISTRAL_API_KEY);
+const aiAgent = new MistralAIAgent(createLLMProvider(LLM_PROVIDER));
 
-// ==================== KNOWLEDGE GRAPH ====================
+// ==================== TRIPLE STORE & SPARQL ====================
 
-class LawnCareKnowledgeGraph {
+const KG_PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  lc: 'http://lawncare.example.org/ontology#',
+  skill: 'http://lawncare.example.org/skill#'
+};
+
+// Terms are stored as strings: IRIs in prefixed form (`lc:Canton`) and literals
+// in N-Triples form (`"Moderate"`, `"6.8"^^xsd:decimal`).
+const LITERAL_PATTERN = /^("(?:[^"\\]|\\.)*")(?:\^\^(\S+)|@([A-Za-z-]+))?$/;
+
+function isLiteral(term) {
+  return typeof term === 'string' && term.startsWith('"');
+}
+
+function toLiteral(value) {
+  if (typeof value === 'boolean') return `"${value}"^^xsd:boolean`;
+  if (typeof value === 'number') return `"${value}"^^xsd:${Number.isInteger(value) ? 'integer' : 'decimal'}`;
+  return JSON.stringify(String(value));
+}
+
+function parseLiteral(term) {
+  const match = LITERAL_PATTERN.exec(term);
+  if (!match) return { lexical: term, datatype: null, language: null };
+  return { lexical: JSON.parse(match[1]), datatype: match[2] || null, language: match[3] || null };
+}
+
+// Native JS value of a term: numbers and booleans for typed literals, the
+// lexical form for other literals and the prefixed name for IRIs
+function termValue(term) {
+  if (!isLiteral(term)) return term;
+  const { lexical, datatype } = parseLiteral(term);
+  if (['xsd:integer', 'xsd:decimal', 'xsd:double', 'xsd:float'].includes(datatype)) return Number(lexical);
+  if (datatype === 'xsd:boolean') return lexical === 'true';
+  return lexical;
+}
+
+function localName(iri) {
+  return iri.slice(iri.indexOf(':') + 1);
+}
+
+// Shrinks a full IRI to prefixed form when a known namespace matches
+function compactIri(iri, prefixes = KG_PREFIXES) {
+  const entry = Object.entries(prefixes).find(([, ns]) => iri.startsWith(ns));
+  return entry ? `${entry[0]}:${iri.slice(entry[1].length)}` : `<${iri}>`;
+}
+
+// SPARQL JSON results style term description
+function describeTerm(term) {
+  if (!isLiteral(term)) return { type: 'uri', value: term };
+  const { lexical, datatype, language } = parseLiteral(term);
+  return {
+    type: 'literal',
+    value: lexical,
+    ...(datatype && { datatype }),
+    ...(language && { 'xml:lang': language })
+  };
+}
+
+class TripleStore {
   constructor() {
-    this.data = {
-      regions: {
-        'Canton': {
-          type: 'Region',
-          climateZone: '6a',
-          soilType: 'ClayLoam',
-          commonWeeds: ['Crabgrass', 'Dandelion', 'Clover'],
-          avgRainfall: 38.5
-        },
-        'Massillon': {
-          type: 'Region', 
-          climateZone: '6a',
-          soilType: 'SandyLoam',
-          commonWeeds: ['ChinchBugs', 'BrownPatch'],
-          avgRainfall: 36.2
-        }
-      },
-      soilTypes: {
-        'ClayLoam': {
-          drainage: 'Moderate',
-          fertility: 'High',
-          pH: 6.8,
-          compatibleGrass: ['KentuckyBluegrass', 'Fescue']
-        },
-        'SandyLoam': {
-          drainage: 'High', 
-          fertility: 'Medium',
-          pH: 6.2,
-          compatibleGrass: ['Bermuda', 'Zoysia']
-        }
-      },
-      grassTypes: {
-        'KentuckyBluegrass': {
-          maintenance: 'Medium',
-          droughtTolerance: 'Low',
-          idealMowingHeight: '2.5-3.5 inches'
-        },
-        'Bermuda': {
-          maintenance: 'High',
-          droughtTolerance: 'High', 
-          idealMowingHeight: '1-2 inches'
-        }
-      },
-      skills: {
-        'Mowing': { difficulty: 1, certification: false },
-        'Edging': { difficulty: 2, certification: false },
-        'TreeTrimming': { difficulty: 4, certification: true },
-        'Fertilizing': { difficulty: 3, certification: true }
-      },
-      seasons: {
-        'Spring': {
-          optimalActivities: ['Aeration', 'Fertilization', 'Overseeding'],
-          commonIssues: ['WeedGrowth', 'ThatchBuildUp']
-        },
-        'Summer': {
-          optimalActivities: ['RegularMowing', 'WeedControl', 'Irrigation'],
-          commonIssues: ['DroughtStress', 'HeatDamage']
-        }
-      }
-    };
+    this.spo = new Map();
+    this.pos = new Map();
+    this.osp = new Map();
+    this.size = 0;
+    this.version = 0; // bumped on every change so derived views can cache
   }
 
-  query(pattern) {
-    const results = [];
-    
-    if (pattern.includes('rdf:type lc:Region')) {
-      Object.keys(this.data.regions).forEach(region => {
-        results.push({
-          subject: `lc:${region}`,
-          predicate: 'rdf:type',
-          object: 'lc:Region'
-        });
-      });
-    }
-    
-    if (pattern.includes('lc:Spring lc:optimalActivities')) {
-      this.data.seasons.Spring.optimalActivities.forEach(activity => {
-        results.push({
-          subject: 'lc:Spring',
-          predicate: 'lc:optimalActivities',
-          object: `lc:${activity}`
-        });
-      });
-    }
-    
-    if (pattern.includes('?skill rdf:type lc:Skill')) {
-      Object.keys(this.data.skills).forEach(skill => {
-        results.push({
-          subject: `skill:${skill}`,
-          predicate: 'rdf:type',
-          object: 'lc:Skill'
-        });
-      });
-    }
-    
-    return results;
+  static indexAdd(index, a, b, c) {
+    if (!index.has(a)) index.set(a, new Map());
+    const level = index.get(a);
+    if (!level.has(b)) level.set(b, new Set());
+    level.get(b).add(c);
   }
 
-  findRegionalExpertise(region) {
-    const regionData = this.data.regions[region];
-    if (!regionData) return [];
-    
-    return [
-      { subject: `lc:${region}`, predicate: 'lc:commonWeeds', object: regionData.commonWeeds.join(', ') },
-      { subject: `lc:${region}`, predicate: 'lc:soilType', object: `lc:${regionData.soilType}` }
-    ];
+  static indexRemove(index, a, b, c) {
+    const level = index.get(a);
+    const set = level && level.get(b);
+    if (!set) return;
+    set.delete(c);
+    if (set.size === 0) level.delete(b);
+    if (level.size === 0) index.delete(a);
   }
 
-  getOptimalSeasonalActivities(season) {
-    const seasonData = this.data.seasons[season];
-    if (!seasonData) return [];
-    
-    return seasonData.optimalActivities.map(activity => ({
-      subject: `lc:${season}`,
-      predicate: 'lc:optimalActivities', 
-      object: `lc:${activity}`
-    }));
+  has(s, p, o) {
+    return Boolean(this.spo.get(s)?.get(p)?.has(o));
   }
 
-  getSkillRequirements(skill) {
-    const skillData = this.data.skills[skill];
-    if (!skillData) return [];
-    
-    return [
-      { subject: `skill:${skill}`, predicate: 'lc:difficulty', object: skillData.difficulty.toString() },
-      { subject: `skill:${skill}`, predicate: 'lc:requiresCertification', object: skillData.certification.toString() }
-    ];
+  add(s, p, o) {
+    if (this.has(s, p, o)) return false;
+    TripleStore.indexAdd(this.spo, s, p, o);
+    TripleStore.indexAdd(this.pos, p, o, s);
+    TripleStore.indexAdd(this.osp, o, s, p);
+    this.size++;
+    this.version++;
+    return true;
+  }
+
+  remove(s, p, o) {
+    if (!this.has(s, p, o)) return false;
+    TripleStore.indexRemove(this.spo, s, p, o);
+    TripleStore.indexRemove(this.pos, p, o, s);
+    TripleStore.indexRemove(this.osp, o, s, p);
+    this.size--;
+    this.version++;
+    return true;
+  }
+
+  // Any of s, p, o may be null as a wildcard; picks the index that binds the most leading terms
+  match(s = null, p = null, o = null) {
+    const results = [];
+    const walk = (index, a, b, c, emit) => {
+      const firstLevel = a !== null ? [[a, index.get(a)]] : index.entries();
+      for (const [ka, level] of firstLevel) {
+        if (!level) continue;
+        const secondLevel = b !== null ? [[b, level.get(b)]] : level.entries();
+        for (const [kb, set] of secondLevel) {
+          if (!set) continue;
+          if (c !== null) {
+            if (set.has(c)) emit(ka, kb, c);
+          } else {
+            set.forEach(kc => emit(ka, kb, kc));
+          }
+        }
+      }
+    };
+
+    if (s !== null) {
+      if (p === null && o !== null) {
+        walk(this.osp, o, s, null, (ko, ks, kp) => results.push([ks, kp, ko]));
+      } else {
+        walk(this.spo, s, p, o, (ks, kp, ko) => results.push([ks, kp, ko]));
+      }
+    } else if (p !== null) {
+      walk(this.pos, p, o, null, (kp, ko, ks) => results.push([ks, kp, ko]));
+    } else if (o !== null) {
+      walk(this.osp, o, null, null, (ko, ks, kp) => results.push([ks, kp, ko]));
+    } else {
+      walk(this.spo, null, null, null, (ks, kp, ko) => results.push([ks, kp, ko]));
+    }
+    return results;
+  }
+
+  clear() {
+    this.spo.clear();
+    this.pos.clear();
+    this.osp.clear();
+    this.size = 0;
+    this.version++;
+  }
+
+  // Objects of (s, p), in insertion order
+  objects(s, p) {
+    return [...(this.spo.get(s)?.get(p) || [])];
+  }
+
+  subjects(p, o) {
+    return [...(this.pos.get(p)?.get(o) || [])];
   }
 }
 
-const kg = new LawnCareKnowledgeGraph();
+const SPARQL_TOKEN = new RegExp([
+  '(\\s+|#[^\\n]*)', // whitespace and comments
+  '(<[A-Za-z][\\w+.-]*:[^<>"{}|^`\\\\\\s]*>)', // IRI reference; needs a scheme so `?x<5&&?y>3` stays a comparison
+  '([?$][A-Za-z_]\\w*)', // variable
+  '("(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\')', // string
+  '(-?\\d+(?:\\.\\d+)?)', // number
+  '((?:[A-Za-z][\\w-]*)?:(?:[\\w-]+(?:\\.[\\w-]+)*)?)', // prefixed name
+  '(\\^\\^|@[A-Za-z-]+|&&|\\|\\||!=|<=|>=|[{}().;,*=<>!])', // punctuation and operators
+  '([A-Za-z_]\\w*)' // keyword or function name
+].join('|'), 'y');
+
+// Indexed by capture group; group 1 is skipped whitespace
+const SPARQL_TOKEN_TYPES = [null, null, 'iri', 'var', 'string', 'number', 'pname', 'punct', 'word'];
+
+function tokenizeSparql(text) {
+  const tokens = [];
+  SPARQL_TOKEN.lastIndex = 0;
+  while (SPARQL_TOKEN.lastIndex < text.length) {
+    const at = SPARQL_TOKEN.lastIndex;
+    const match = SPARQL_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character '${text[at]}' at position ${at}`);
+    }
+    const group = match.findIndex((value, i) => i > 0 && value !== undefined);
+    if (group === 1) continue;
+    tokens.push({ type: SPARQL_TOKEN_TYPES[group], value: match[group], at });
+  }
+  return tokens;
+}
+
+const SPARQL_FUNCTIONS = {
+  bound: null, // handled specially, needs the unevaluated variable
+  str: x => String(x),
+  lcase: x => String(x).toLowerCase(),
+  ucase: x => String(x).toUpperCase(),
+  contains: (x, y) => String(x).includes(String(y)),
+  strstarts: (x, y) => String(x).startsWith(String(y)),
+  strends: (x, y) => String(x).endsWith(String(y)),
+  regex: (x, pattern, flags = '') => sparqlRegex(String(pattern), String(flags)).test(String(x))
+};
+
+// Queries come from a public endpoint, so regex() only takes short patterns
+// without backreferences or repeated groups that themselves contain a
+// quantifier or alternation, at any depth; those can backtrack exponentially
+const SPARQL_REGEX_MAX_LENGTH = 100;
+
+// Walks the pattern with a stack of open groups. A group is risky once it
+// contains a quantifier, an alternation or a risky group; repeating a risky
+// group with *, + or {} is refused. Returns the problem, or null.
+function regexBacktrackRisk(pattern) {
+  const groups = [{ risky: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const top = groups[groups.length - 1];
+    if (c === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not supported';
+      i++;
+    } else if (c === '[') {
+      // Character classes are atoms; skip to the closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (c === '(') {
+      groups.push({ risky: false });
+      // Skip group modifiers such as (?: (?= (?<= and (?<name>
+      if (pattern[i + 1] === '?') {
+        i += 2;
+        if (pattern[i] === '<' && !['=', '!'].includes(pattern[i + 1])) {
+          while (i < pattern.length && pattern[i] !== '>') i++;
+        } else if (pattern[i] === '<') {
+          i++;
+        }
+      }
+    } else if (c === ')') {
+      if (groups.length === 1) return null; // unbalanced; RegExp reports it
+      const group = groups.pop();
+      if (group.risky && ['*', '+', '{'].includes(pattern[i + 1])) {
+        return 'nested quantifiers are not supported';
+      }
+      if (group.risky) groups[groups.length - 1].risky = true;
+    } else if (['*', '+', '?', '{', '|'].includes(c)) {
+      top.risky = true;
+    }
+  }
+  return null;
+}
 
-// ==================== DATA STRUCTURES ====================
+function sparqlRegex(pattern, flags) {
+  if (pattern.length > SPARQL_REGEX_MAX_LENGTH) {
+    throw new Error(`regex() patterns are limited to ${SPARQL_REGEX_MAX_LENGTH} characters`);
+  }
+  const risk = regexBacktrackRisk(pattern);
+  if (risk) throw new Error(`regex(): ${risk}`);
+  if (!/^[ims]*$/.test(flags)) throw new Error(`Unsupported regex() flags '${flags}'`);
+  return new RegExp(pattern, flags);
+}
 
-const workSites = [
-  {
-    id: 'site_1',
-    address: '123 Main St, Canton, OH 44702',
-    coords: { lat: 40.7989, lng: -81.3784 },
-    difficulty_score: 0.8,
-    status: 'open',
-    preferred_skills: ['Mowing', 'Edging', 'Trimming'],
-    estimated_hours: 3,
-    property_size: 'large',
-    terrain_type: 'hilly',
-    grass_type: 'KentuckyBluegrass',
-    regional_factors: ['ClayLoam'],
-    historical_data: {
-      avg_completion_time: 3.2,
-      cost_overruns: 0.15,
-      customer_rating: 4.3
+// Parses the supported subset: PREFIX, SELECT [DISTINCT] vars|*, WHERE groups of
+// triple patterns (with `a`, `;` and `,` shorthands), FILTER (including
+// [NOT] EXISTS), OPTIONAL and LIMIT.
+class SparqlParser {
+  constructor(text, prefixes = KG_PREFIXES) {
+    this.tokens = tokenizeSparql(text);
+    this.pos = 0;
+    this.storePrefixes = prefixes;
+    this.prefixes = { ...prefixes };
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token && token.type === 'word' && token.value.toUpperCase() === word);
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'punct' && token.value === value);
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new Error('Unexpected end of query');
+    return token;
+  }
+
+  expectWord(word) {
+    if (!this.isWord(word)) this.fail(`Expected ${word}`);
+    return this.next();
+  }
+
+  expectPunct(value) {
+    if (!this.isPunct(value)) this.fail(`Expected '${value}'`);
+    return this.next();
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new Error(token ? `${message} but found '${token.value}' at position ${token.at}` : `${message} at end of query`);
+  }
+
+  parse() {
+    while (this.isWord('PREFIX')) {
+      this.next();
+      const name = this.next();
+      const iri = this.next();
+      if (name.type !== 'pname' || !name.value.endsWith(':') || iri.type !== 'iri') {
+        throw new Error(`Malformed PREFIX declaration at position ${name.at}`);
+      }
+      this.prefixes[name.value.slice(0, -1)] = iri.value.slice(1, -1);
     }
-  },
-  {
-    id: 'site_2',
-    address: '456 Oak Ave, Massillon, OH 44646',
-    coords: { lat: 40.7967, lng: -81.5215 },
-    difficulty_score: 0.4,
-    status: 'open',
-    preferred_skills: ['Mowing', 'Fertilizing'],
-    estimated_hours: 1.5,
-    property_size: 'medium',
-    terrain_type: 'flat',
-    grass_type: 'Bermuda',
-    regional_factors: ['SandyLoam'],
-    historical_data: {
-      avg_completion_time: 1.4,
-      cost_overruns: 0.02,
-      customer_rating: 4.8
+
+    this.expectWord('SELECT');
+    const distinct = this.isWord('DISTINCT') && Boolean(this.next());
+    let variables = [];
+    if (this.isPunct('*')) {
+      this.next();
+      variables = null;
+    } else {
+      while (this.peek() && this.peek().type === 'var') {
+        variables.push(this.next().value.slice(1));
+      }
+      if (variables.length === 0) this.fail('Expected variables or * after SELECT');
+    }
+
+    if (this.isWord('WHERE')) this.next();
+    const where = this.parseGroup();
+
+    let limit = null;
+    if (this.isWord('LIMIT')) {
+      this.next();
+      const token = this.next();
+      if (token.type !== 'number' || !/^\d+$/.test(token.value)) {
+        throw new Error(`LIMIT needs a non-negative integer at position ${token.at}`);
+      }
+      limit = parseInt(token.value, 10);
     }
+    if (this.peek()) this.fail('Unexpected trailing input');
+
+    return { distinct, variables, where, limit };
   }
-];
 
-const workers = [
-  {
-    id: 'worker_1',
-    name: 'John Smith',
-    skills: ['Mowing', 'Edging', 'Trimming', 'Fertilizing'],
-    home_coords: { lat: 40.8000, lng: -81.4000 },
-    rating: 4.8,
-    hourly_rate: 25,
-    active_assignment_ids: [],
-    certifications: ['PesticideApplicator', 'LandscapeDesign'],
-    years_experience: 8,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.92,
-      quality_consistency: 0.88,
-      customer_satisfaction: 4.8,
-      specialization_factors: {
-        LargeLawns: 0.95,
-        HillyTerrain: 0.82,
-        KentuckyBluegrass: 0.91,
-        ClayLoam: 0.85
-      },
-      regional_expertise: ['Canton', 'NorthCanton']
+  parseGroup() {
+    this.expectPunct('{');
+    const group = { elements: [], filters: [] };
+    const bgp = () => {
+      const last = group.elements[group.elements.length - 1];
+      if (last && last.type === 'bgp') return last.patterns;
+      const element = { type: 'bgp', patterns: [] };
+      group.elements.push(element);
+      return element.patterns;
+    };
+
+    while (!this.isPunct('}')) {
+      if (this.isPunct('.')) {
+        this.next();
+      } else if (this.isWord('FILTER')) {
+        this.next();
+        group.filters.push(this.isPunct('(') ? this.parseBracketted() : this.parsePrimary());
+      } else if (this.isWord('OPTIONAL')) {
+        this.next();
+        group.elements.push({ type: 'optional', group: this.parseGroup() });
+      } else {
+        this.parseTriples(bgp());
+      }
     }
-  },
-  {
-    id: 'worker_2',
-    name: 'Maria Garcia',
-    skills: ['Mowing', 'Planting', 'Landscaping', 'WeedControl', 'LandscapeDesign'],
-    home_coords: { lat: 40.7900, lng: -81.4500 },
-    rating: 4.9,
-    hourly_rate: 28,
-    active_assignment_ids: [],
-    certifications: ['MasterGardener', 'IrrigationSpecialist', 'PesticideApplicator'],
-    years_experience: 12,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.96,
-      quality_consistency: 0.94,
-      customer_satisfaction: 4.9,
-      specialization_factors: {
-        DelicateLandscaping: 0.98,
-        WeedControl: 0.95,
-        Bermuda: 0.92,
-        SandyLoam: 0.88
-      },
-      regional_expertise: ['Massillon', 'PerryTownship']
+    this.next();
+    return group;
+  }
+
+  parseTriples(patterns) {
+    const subject = this.parseTerm();
+    for (;;) {
+      const predicate = this.isWord('A') && this.peek().value === 'a'
+        ? (this.next(), 'rdf:type')
+        : this.parseTerm();
+      for (;;) {
+        patterns.push([subject, predicate, this.parseTerm()]);
+        if (!this.isPunct(',')) break;
+        this.next();
+      }
+      if (!this.isPunct(';')) break;
+      this.next();
+      if (this.isPunct('.') || this.isPunct('}')) break;
     }
-  },
-  {
-    id: 'worker_3',
-    name: 'David Brown',
-    skills: ['Mowing', 'Aeration', 'Seeding', 'TreeTrimming'],
-    home_coords: { lat: 40.8200, lng: -81.3600 },
-    rating: 4.7,
-    hourly_rate: 26,
-    active_assignment_ids: [],
-    certifications: ['Arborist', 'SafetyTraining'],
-    years_experience: 10,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.89,
-      quality_consistency: 0.91,
-      customer_satisfaction: 4.7,
-      specialization_factors: {
-        Aeration: 0.93,
-        TreeWork: 0.90,
-        CommercialProperties: 0.87
-      },
-      regional_expertise: ['Canton', 'Alliance']
+  }
+
+  // Variables become { var }, everything else a store term string
+  parseTerm() {
+    const token = this.next();
+    switch (token.type) {
+      case 'var':
+        return { var: token.value.slice(1) };
+      case 'iri':
+        return compactIri(token.value.slice(1, -1), this.storePrefixes);
+      case 'pname':
+        return this.resolvePrefixedName(token);
+      case 'number':
+        return toLiteral(Number(token.value));
+      case 'string':
+        return this.parseLiteralSuffix(token);
+      case 'word':
+        if (['true', 'false'].includes(token.value)) return toLiteral(token.value === 'true');
+        break;
+      default:
+        break;
     }
-  },
-  {
-    id: 'worker_4',
-    name: 'Jennifer Wilson',
-    skills: ['Mowing', 'Fertilizing', 'PestControl', 'DiseaseManagement'],
-    home_coords: { lat: 40.8700, lng: -81.4100 },
-    rating: 4.8,
-    hourly_rate: 30,
-    active_assignment_ids: [],
-    certifications: ['CertifiedTurfManager', 'PesticideApplicator', 'IPMSpecialist'],
-    years_experience: 15,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.94,
-      quality_consistency: 0.96,
-      customer_satisfaction: 4.8,
-      specialization_factors: {
-        DiseaseControl: 0.97,
-        OrganicMethods: 0.93,
-        PremiumProperties: 0.95
-      },
-      regional_expertise: ['NorthCanton', 'Jackson']
+    throw new Error(`Unexpected '${token.value}' at position ${token.at}`);
+  }
+
+  resolvePrefixedName(token) {
+    const colon = token.value.indexOf(':');
+    const prefix = token.value.slice(0, colon);
+    if (!(prefix in this.prefixes)) {
+      throw new Error(`Unknown prefix '${prefix}:' at position ${token.at}`);
     }
-  },
-  {
-    id: 'worker_5',
-    name: 'Robert Martinez',
-    skills: ['Mowing', 'Edging', 'Mulching', 'Cleanup'],
-    home_coords: { lat: 40.7800, lng: -81.5300 },
-    rating: 4.5,
-    hourly_rate: 22,
-    active_assignment_ids: [],
-    certifications: ['SafetyTraining'],
-    years_experience: 5,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.85,
-      quality_consistency: 0.82,
-      customer_satisfaction: 4.5,
-      specialization_factors: {
-        BasicMowing: 0.88,
-        Cleanup: 0.90,
-        ResidentialSmall: 0.86
-      },
-      regional_expertise: ['Massillon']
+    return compactIri(this.prefixes[prefix] + token.value.slice(colon + 1), this.storePrefixes);
+  }
+
+  parseLiteralSuffix(token) {
+    const lexical = token.value.startsWith("'")
+      ? JSON.stringify(token.value.slice(1, -1).replace(/\\'/g, "'"))
+      : token.value;
+    if (this.isPunct('^^')) {
+      this.next();
+      const datatype = this.next();
+      const resolved = datatype.type === 'pname' ? this.resolvePrefixedName(datatype) : compactIri(datatype.value.slice(1, -1), this.storePrefixes);
+      return `${lexical}^^${resolved}`;
     }
-  },
-  {
-    id: 'worker_6',
-    name: 'Linda Anderson',
-    skills: ['Mowing', 'Irrigation', 'WaterManagement', 'Landscaping'],
-    home_coords: { lat: 40.8100, lng: -81.3800 },
-    rating: 4.9,
-    hourly_rate: 29,
-    active_assignment_ids: [],
-    certifications: ['CertifiedIrrigationContractor', 'WaterConservationSpecialist'],
-    years_experience: 11,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.95,
-      quality_consistency: 0.93,
-      customer_satisfaction: 4.9,
-      specialization_factors: {
-        IrrigationSystems: 0.98,
-        DroughtManagement: 0.94,
-        WaterFeatures: 0.91
-      },
-      regional_expertise: ['Canton', 'Massillon']
+    const tag = this.peek();
+    if (tag && tag.type === 'punct' && tag.value.startsWith('@')) {
+      this.next();
+      return `${lexical}${tag.value}`;
     }
-  },
-  {
-    id: 'worker_7',
-    name: 'Thomas Jackson',
-    skills: ['Mowing', 'HardscapeInstallation', 'Patios', 'Retaining Walls'],
-    home_coords: { lat: 40.9100, lng: -81.1100 },
-    rating: 4.6,
-    hourly_rate: 32,
-    active_assignment_ids: [],
-    certifications: ['HardscapeProfessional', 'SafetyTraining'],
-    years_experience: 9,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.88,
-      quality_consistency: 0.90,
-      customer_satisfaction: 4.6,
-      specialization_factors: {
-        Hardscaping: 0.96,
-        StoneWork: 0.93,
-        LargeProjects: 0.89
-      },
-      regional_expertise: ['Alliance', 'Sebring']
+    return lexical;
+  }
+
+  parseBracketted() {
+    this.expectPunct('(');
+    const expression = this.parseOr();
+    this.expectPunct(')');
+    return expression;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isPunct('||')) {
+      this.next();
+      left = { op: '||', args: [left, this.parseAnd()] };
     }
-  },
-  {
-    id: 'worker_8',
-    name: 'Patricia Davis',
-    skills: ['Mowing', 'Pruning', 'Shrubs', 'FlowerBeds', 'Planting'],
-    home_coords: { lat: 40.7950, lng: -81.5100 },
-    rating: 4.8,
-    hourly_rate: 27,
-    active_assignment_ids: [],
-    certifications: ['MasterGardener', 'HorticulturistCertified'],
-    years_experience: 13,
-    availability: 'part_time',
-    performance_metrics: {
-      efficiency_score: 0.91,
-      quality_consistency: 0.95,
-      customer_satisfaction: 4.8,
-      specialization_factors: {
-        Ornamentals: 0.97,
-        FlowerGardens: 0.96,
-        Pruning: 0.94
-      },
-      regional_expertise: ['Massillon', 'PerryTownship']
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseRelational();
+    while (this.isPunct('&&')) {
+      this.next();
+      left = { op: '&&', args: [left, this.parseRelational()] };
     }
-  },
-  {
-    id: 'worker_9',
-    name: 'Michael Thompson',
-    skills: ['Mowing', 'SnowRemoval', 'SeasonalCleanup', 'Mulching'],
-    home_coords: { lat: 40.8500, lng: -81.4200 },
-    rating: 4.4,
-    hourly_rate: 24,
-    active_assignment_ids: [],
-    certifications: ['SafetyTraining', 'SnowPlowOperator'],
-    years_experience: 6,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.83,
-      quality_consistency: 0.85,
-      customer_satisfaction: 4.4,
-      specialization_factors: {
-        WinterServices: 0.92,
-        FallCleanup: 0.88,
-        CommercialSnowRemoval: 0.90
-      },
-      regional_expertise: ['NorthCanton', 'Canton']
+    return left;
+  }
+
+  parseRelational() {
+    const left = this.parseUnary();
+    const token = this.peek();
+    if (token && token.type === 'punct' && ['=', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+      this.next();
+      return { op: token.value, args: [left, this.parseUnary()] };
     }
-  },
-  {
-    id: 'worker_10',
-    name: 'Sandra White',
-    skills: ['Mowing', 'OrganicLawnCare', 'CompostManagement', 'SoilHealth'],
-    home_coords: { lat: 40.8300, lng: -81.3500 },
-    rating: 4.9,
-    hourly_rate: 31,
-    active_assignment_ids: [],
-    certifications: ['OrganicLandCareProfessional', 'SoilScientist', 'CompostSpecialist'],
-    years_experience: 14,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.93,
-      quality_consistency: 0.97,
-      customer_satisfaction: 4.9,
-      specialization_factors: {
-        OrganicMethods: 0.99,
-        SoilRemediation: 0.96,
-        EcoFriendly: 0.98
-      },
-      regional_expertise: ['Canton', 'NorthCanton', 'Jackson']
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isPunct('!')) {
+      this.next();
+      return { op: '!', args: [this.parseUnary()] };
     }
-  },
-  {
-    id: 'worker_11',
-    name: 'Christopher Harris',
-    skills: ['Mowing', 'Edging', 'EquipmentMaintenance', 'CommercialMowing'],
-    home_coords: { lat: 40.7750, lng: -81.5400 },
-    rating: 4.6,
-    hourly_rate: 23,
-    active_assignment_ids: [],
-    certifications: ['EquipmentOperator', 'SafetyTraining'],
-    years_experience: 7,
-    availability: 'full_time',
-    performance_metrics: {
-      efficiency_score: 0.87,
-      quality_consistency: 0.86,
-      customer_satisfaction: 4.6,
-      specialization_factors: {
-        LargeCommercial: 0.91,
-        EquipmentSkills: 0.93,
-        FastPaced: 0.89
-      },
-      regional_expertise: ['Massillon']
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.isPunct('(')) return this.parseBracketted();
+    if (this.isWord('EXISTS') || (this.isWord('NOT') && this.isWord('EXISTS', 1))) {
+      const negate = this.isWord('NOT');
+      this.next();
+      if (negate) this.next();
+      return { exists: this.parseGroup(), negate };
     }
-  },
-  {
-    id: 'worker_12',
-    name: 'Elizabeth Moore',
-    skills: ['Mowing', 'ColorDesign', 'Annuals', 'Perennials', 'Landscaping'],
-    home_coords: { lat: 40.8650, lng: -81.4150 },
-    rating: 4.7,
-    hourly_rate: 28,
-    active_assignment_ids: [],
-    certifications: ['LandscapeDesigner', 'ColorTheoryCertified'],
-    years_experience: 10,
-    availability: 'part_time',
-    performance_metrics: {
-      efficiency_score: 0.90,
-      quality_consistency: 0.92,
-      customer_satisfaction: 4.7,
-      specialization_factors: {
-        ColorSchemes: 0.95,
-        SeasonalDisplays: 0.94,
-        DesignConsultation: 0.93
-      },
-      regional_expertise: ['NorthCanton']
+
+    const token = this.peek();
+    if (token && token.type === 'word' && !['true', 'false'].includes(token.value)) {
+      const name = token.value.toLowerCase();
+      if (!(name in SPARQL_FUNCTIONS)) {
+        throw new Error(`Unsupported function '${token.value}' at position ${token.at}`);
+      }
+      this.next();
+      this.expectPunct('(');
+      const args = [];
+      while (!this.isPunct(')')) {
+        args.push(this.parseOr());
+        if (this.isPunct(',')) this.next();
+      }
+      this.next();
+      // A literal pattern is checked now, so an unsafe one fails the query
+      // instead of quietly failing the filter
+      const [, pattern, flags] = args;
+      const constant = arg => !arg || (typeof arg.term === 'string' && isLiteral(arg.term));
+      if (name === 'regex' && pattern && constant(pattern) && constant(flags)) {
+        sparqlRegex(String(termValue(pattern.term)), flags ? String(termValue(flags.term)) : '');
+      }
+      return { fn: name, args };
     }
+    return { term: this.parseTerm() };
   }
-];
+}
 
-// ==================== REALGREEN CRM SIMULATION ====================
+// Evaluates a parsed query against a TripleStore; solutions are plain objects
+// mapping variable names to store terms.
+// Joins past this many solutions stop with an error instead of exhausting memory
+const SPARQL_MAX_SOLUTIONS = 50000;
 
-class RealGreenCRM {
-  constructor() {
-    this.customerDatabase = new Map();
-    this.serviceTickets = [];
-    this.invoices = [];
-    this.communications = [];
+class SparqlEngine {
+  constructor(store, maxSolutions = SPARQL_MAX_SOLUTIONS) {
+    this.store = store;
+    this.maxSolutions = maxSolutions;
   }
 
-  // Customer lifecycle management
-  createCustomer(customerData) {
-    const customer = {
-      ...customerData,
-      crm_id: `RG${Date.now()}`,
-      created_at: new Date().toISOString(),
-      lifecycle_stage: 'lead', // lead, prospect, active, at_risk, inactive
-      lifetime_value: 0,
-      next_service_date: null,
-      account_manager: null
-    };
-    this.customerDatabase.set(customer.id, customer);
-    return customer;
+  select(text) {
+    const query = new SparqlParser(text).parse();
+    SparqlEngine.checkConnected(query.where);
+    // Without DISTINCT the first LIMIT solutions are the answer, so stop there
+    const limit = query.limit !== null && !query.distinct ? query.limit : Infinity;
+    let solutions = this.evaluateGroup(query.where, [{}], limit);
+
+    const variables = query.variables || [...new Set(solutions.flatMap(Object.keys))];
+    let rows = solutions.map(solution => {
+      const row = {};
+      variables.forEach(name => {
+        if (solution[name] !== undefined) row[name] = solution[name];
+      });
+      return row;
+    });
+
+    if (query.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = JSON.stringify(variables.map(name => row[name] ?? null));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    if (query.limit !== null) rows = rows.slice(0, query.limit);
+
+    return { variables, rows };
   }
 
-  // Service ticket management
-  createServiceTicket(customerId, serviceType, priority = 'medium') {
-    const ticket = {
-      id: `ticket_${uuidv4()}`,
-      customer_id: customerId,
-      service_type: serviceType,
-      status: 'open', // open, scheduled, in_progress, completed, cancelled
-      priority: priority, // low, medium, high, urgent
-      created_at: new Date().toISOString(),
-      scheduled_date: null,
-      assigned_worker: null,
-      estimated_cost: 0,
-      actual_cost: 0
-    };
-    this.serviceTickets.push(ticket);
-    return ticket;
+  // Triple patterns that share no variable with the others multiply into a
+  // cross product, so every pattern with variables must join the rest
+  static checkConnected(group) {
+    const patternsOf = g => [
+      ...g.elements.flatMap(element => (element.type === 'bgp' ? element.patterns : patternsOf(element.group))),
+      ...g.filters.flatMap(function existsPatterns(expression) {
+        if (!expression || typeof expression !== 'object') return [];
+        if (expression.exists) return patternsOf(expression.exists);
+        return (expression.args || []).flatMap(existsPatterns);
+      })
+    ];
+    const variableSets = patternsOf(group)
+      .map(pattern => pattern.filter(term => typeof term === 'object').map(term => term.var))
+      .filter(names => names.length);
+    if (!variableSets.length) return;
+
+    const joined = new Set(variableSets[0]);
+    let pending = variableSets.slice(1);
+    let grew = true;
+    while (pending.length && grew) {
+      const before = pending.length;
+      pending = pending.filter(names => {
+        if (!names.some(name => joined.has(name))) return true;
+        names.forEach(name => joined.add(name));
+        return false;
+      });
+      grew = pending.length < before;
+    }
+    if (pending.length) {
+      throw new Error(`Pattern with ${pending[0].map(name => `?${name}`).join(', ')} shares no variable with the rest of the query`);
+    }
   }
 
-  // Invoice generation
-  generateInvoice(customerId, amount, services) {
-    const invoice = {
-      id: `INV-${Date.now()}`,
-      customer_id: customerId,
-      amount: amount,
-      services: services,
-      status: 'pending', // pending, paid, overdue, cancelled
-      created_at: new Date().toISOString(),
-      due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-      payment_method: null
-    };
-    this.invoices.push(invoice);
-    return invoice;
+  // Filters are applied as solutions are produced, so `limit` can stop the
+  // last join early
+  evaluateGroup(group, input, limit = Infinity) {
+    const accept = solution => group.filters.every(filter => this.test(filter, solution));
+    const last = group.elements[group.elements.length - 1];
+    let solutions = input;
+    group.elements.forEach(element => {
+      solutions = element.type === 'bgp'
+        ? this.evaluateBGP(element.patterns, solutions, element === last ? { accept, limit } : {})
+        : this.leftJoin(solutions, element.group);
+    });
+    return last?.type === 'bgp' ? solutions : solutions.filter(accept).slice(0, limit);
   }
 
-  // Communication tracking
-  logCommunication(customerId, type, content) {
-    const comm = {
-      id: `comm_${uuidv4()}`,
-      customer_id: customerId,
-      type: type, // email, phone, sms, in_person, ai_chat
-      content: content,
-      timestamp: new Date().toISOString(),
-      sentiment: 'neutral' // positive, neutral, negative
-    };
-    this.communications.push(comm);
-    return comm;
+  leftJoin(solutions, group) {
+    const joined = [];
+    solutions.forEach(solution => {
+      const extended = this.evaluateGroup(group, [solution]);
+      joined.push(...(extended.length ? extended : [solution]));
+      this.checkSize(joined.length);
+    });
+    return joined;
   }
 
-  getCustomerProfile(customerId) {
-    return this.customerDatabase.get(customerId);
+  checkSize(count) {
+    if (count > this.maxSolutions) {
+      throw new Error(`Query needs more than ${this.maxSolutions} intermediate solutions; use more specific patterns`);
+    }
   }
 
-  getCustomerServiceHistory(customerId) {
-    return this.serviceTickets.filter(t => t.customer_id === customerId);
+  evaluateBGP(patterns, solutions, { accept = () => true, limit = Infinity } = {}) {
+    if (!patterns.length) return solutions.filter(accept).slice(0, limit);
+    const remaining = [...patterns];
+    const bound = new Set(Object.keys(solutions[0] || {}));
+    let current = solutions;
+
+    // Greedily take the pattern with the fewest free variables next
+    while (remaining.length && current.length) {
+      const freeCount = pattern => pattern.filter(t => typeof t === 'object' && !bound.has(t.var)).length;
+      remaining.sort((a, b) => freeCount(a) - freeCount(b));
+      const pattern = remaining.shift();
+      const final = remaining.length === 0;
+      const next = [];
+      for (const solution of current) {
+        for (const extended of this.matchPattern(pattern, solution)) {
+          if (final && !accept(extended)) continue;
+          next.push(extended);
+          if (final && next.length >= limit) break;
+        }
+        if (final && next.length >= limit) break;
+        this.checkSize(next.length);
+      }
+      current = next;
+      pattern.forEach(t => typeof t === 'object' && bound.add(t.var));
+    }
+    return remaining.length ? [] : current;
   }
 
-  getCustomerInvoices(customerId) {
-    return this.invoices.filter(i => i.customer_id === customerId);
+  matchPattern(pattern, solution) {
+    const resolve = term => (typeof term === 'object' ? solution[term.var] ?? null : term);
+    const [s, p, o] = pattern.map(resolve);
+
+    return this.store.match(s, p, o).flatMap(triple => {
+      const extended = { ...solution };
+      for (let i = 0; i < 3; i++) {
+        const term = pattern[i];
+        if (typeof term !== 'object') continue;
+        if (extended[term.var] !== undefined && extended[term.var] !== triple[i]) return [];
+        extended[term.var] = triple[i];
+      }
+      return [extended];
+    });
+  }
+
+  // Errors (such as unbound variables) make a filter false, as in SPARQL
+  test(expression, solution) {
+    try {
+      return SparqlEngine.effectiveBoolean(this.evaluate(expression, solution));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  evaluate(expression, solution) {
+    if (expression.exists) {
+      return (this.evaluateGroup(expression.exists, [solution], 1).length > 0) !== expression.negate;
+    }
+    if (expression.term !== undefined) {
+      const term = typeof expression.term === 'object' ? solution[expression.term.var] : expression.term;
+      if (term === undefined) throw new Error(`Unbound variable ?${expression.term.var}`);
+      return termValue(term);
+    }
+
+    if (expression.fn === 'bound') {
+      const arg = expression.args[0];
+      return Boolean(arg && typeof arg.term === 'object' && solution[arg.term.var] !== undefined);
+    }
+    if (expression.fn) {
+      return SPARQL_FUNCTIONS[expression.fn](...expression.args.map(arg => this.evaluate(arg, solution)));
+    }
+
+    const [a, b] = expression.args;
+    switch (expression.op) {
+      case '!': return !SparqlEngine.effectiveBoolean(this.evaluate(a, solution));
+      case '&&': return this.test(a, solution) && this.test(b, solution);
+      case '||': return this.test(a, solution) || this.test(b, solution);
+      default: break;
+    }
+
+    const left = this.evaluate(a, solution);
+    const right = this.evaluate(b, solution);
+    switch (expression.op) {
+      case '=': return left === right;
+      case '!=': return left !== right;
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+      default: throw new Error(`Unknown operator ${expression.op}`);
+    }
+  }
+
+  static effectiveBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    return String(value).length > 0;
   }
 }
 
-const realGreenCRM = new RealGreenCRM();
+// ==================== RDF IMPORT / EXPORT ====================
 
-// Generate 20 diverse customers across Stark County
-const customers = [
-  {
-    id: 'cust_1',
-    name: 'Sarah Johnson',
-    email: 'sarah.johnson@email.com',
-    phone: '+1-330-555-0123',
-    address: '123 Main St, Canton, OH 44702',
-    coordinates: { lat: 40.7989, lng: -81.3784 },
-    customer_tier: 'premium',
-    service_history: [
-      { job_id: 'site_1', date: '2024-01-15', service_type: 'FullLawnCare', worker_assigned: 'John Smith', rating: 4.8, feedback: 'Excellent work on the edging!' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
-    current_issues: ['BrownPatches', 'WeedInfestation'],
-    property_type: 'residential',
-    lot_size: 0.5,
-    annual_contract_value: 2400
-  },
-  {
-    id: 'cust_2',
-    name: 'Michael Chen',
-    email: 'mchen@techcorp.com',
-    phone: '+1-330-555-0234',
-    address: '456 Oak Ave, Massillon, OH 44646',
-    coordinates: { lat: 40.7967, lng: -81.5215 },
-    customer_tier: 'standard',
-    service_history: [
-      { job_id: 'site_2', date: '2024-02-20', service_type: 'Mowing', worker_assigned: 'Maria Garcia', rating: 4.9, feedback: 'Always on time!' }
-    ],
-    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
-    current_issues: ['CrabgrassControl'],
-    property_type: 'residential',
-    lot_size: 0.33,
-    annual_contract_value: 1200
-  },
-  {
-    id: 'cust_3',
-    name: 'Jennifer Martinez',
-    email: 'jmartinez@email.com',
-    phone: '+1-330-555-0345',
-    address: '789 Maple Dr, North Canton, OH 44720',
-    coordinates: { lat: 40.8756, lng: -81.4023 },
-    customer_tier: 'premium',
-    service_history: [],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
-    current_issues: ['LawnRenovation', 'ThatchBuildup'],
-    property_type: 'residential',
-    lot_size: 0.75,
-    annual_contract_value: 3600
-  },
-  {
-    id: 'cust_4',
-    name: 'Robert Williams',
-    email: 'rwilliams@email.com',
-    phone: '+1-330-555-0456',
-    address: '234 Pine St, Alliance, OH 44601',
-    coordinates: { lat: 40.9153, lng: -81.1059 },
-    customer_tier: 'basic',
-    service_history: [
-      { job_id: 'site_3', date: '2024-03-10', service_type: 'Mowing', worker_assigned: 'David Brown', rating: 4.2, feedback: 'Good service' }
-    ],
-    preferences: { communication: 'phone', billing: 'per_service', organic_only: false },
-    current_issues: [],
-    property_type: 'residential',
-    lot_size: 0.25,
-    annual_contract_value: 800
-  },
-  {
-    id: 'cust_5',
-    name: 'Emily Davis',
-    email: 'edavis@greenvalley.com',
-    phone: '+1-330-555-0567',
-    address: '567 Elm Blvd, Canton, OH 44708',
-    coordinates: { lat: 40.8123, lng: -81.3912 },
-    customer_tier: 'premium',
-    service_history: [
-      { job_id: 'site_4', date: '2024-01-25', service_type: 'FullLawnCare', worker_assigned: 'Maria Garcia', rating: 5.0, feedback: 'Outstanding!' }
-    ],
-    preferences: { communication: 'email', billing: 'annual', organic_only: true },
-    current_issues: ['DiseaseControl'],
-    property_type: 'residential',
-    lot_size: 1.2,
-    annual_contract_value: 4800
-  },
-  {
-    id: 'cust_6',
-    name: 'David Thompson',
-    email: 'dthompson@email.com',
-    phone: '+1-330-555-0678',
-    address: '890 Cherry Ln, Massillon, OH 44647',
-    coordinates: { lat: 40.7834, lng: -81.5387 },
-    customer_tier: 'standard',
-    service_history: [],
-    preferences: { communication: 'sms', billing: 'monthly', organic_only: false },
-    current_issues: ['BareSpots', 'PoorDrainage'],
-    property_type: 'residential',
-    lot_size: 0.4,
-    annual_contract_value: 1800
-  },
-  {
-    id: 'cust_7',
-    name: 'Lisa Anderson',
-    email: 'landerson@email.com',
-    phone: '+1-330-555-0789',
-    address: '123 Walnut Ave, Canton, OH 44705',
-    coordinates: { lat: 40.7856, lng: -81.3567 },
-    customer_tier: 'basic',
-    service_history: [
-      { job_id: 'site_5', date: '2024-04-05', service_type: 'Aeration', worker_assigned: 'John Smith', rating: 4.6, feedback: 'Great improvement' }
-    ],
-    preferences: { communication: 'email', billing: 'per_service', organic_only: false },
-    current_issues: ['CompactedSoil'],
-    property_type: 'residential',
-    lot_size: 0.3,
-    annual_contract_value: 600
-  },
-  {
-    id: 'cust_8',
-    name: 'James Wilson',
-    email: 'jwilson@commercialplaza.com',
-    phone: '+1-330-555-0890',
-    address: '456 Business Pkwy, North Canton, OH 44720',
-    coordinates: { lat: 40.8623, lng: -81.4156 },
-    customer_tier: 'commercial',
-    service_history: [
-      { job_id: 'site_6', date: '2024-02-14', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.7, feedback: 'Professional service' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
-    current_issues: ['HighTrafficAreas'],
-    property_type: 'commercial',
-    lot_size: 2.5,
-    annual_contract_value: 12000
-  },
-  {
-    id: 'cust_9',
-    name: 'Patricia Moore',
-    email: 'pmoore@email.com',
-    phone: '+1-330-555-0901',
-    address: '789 Sunset Dr, Massillon, OH 44646',
-    coordinates: { lat: 40.7701, lng: -81.5123 },
-    customer_tier: 'premium',
-    service_history: [],
-    preferences: { communication: 'phone', billing: 'monthly', organic_only: true },
-    current_issues: ['MossGrowth', 'ShadeIssues'],
-    property_type: 'residential',
-    lot_size: 0.6,
-    annual_contract_value: 2800
-  },
-  {
-    id: 'cust_10',
-    name: 'Christopher Taylor',
-    email: 'ctaylor@email.com',
-    phone: '+1-330-555-1012',
-    address: '321 River Rd, Canton, OH 44706',
-    coordinates: { lat: 40.8234, lng: -81.3456 },
-    customer_tier: 'standard',
-    service_history: [
-      { job_id: 'site_7', date: '2024-03-20', service_type: 'Fertilization', worker_assigned: 'Maria Garcia', rating: 4.8, feedback: 'Lawn looks amazing!' }
-    ],
-    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
-    current_issues: ['NutrientDeficiency'],
-    property_type: 'residential',
-    lot_size: 0.45,
-    annual_contract_value: 1500
+const RDF_FORMATS = {
+  turtle: { extension: '.ttl', contentType: 'text/turtle' },
+  ntriples: { extension: '.nt', contentType: 'application/n-triples' },
+  jsonld: { extension: '.jsonld', contentType: 'application/ld+json' }
+};
+
+// Namespaces an imported graph may use; entities themselves must live under lc: or skill:
+const KG_ENTITY_PREFIXES = ['lc', 'skill'];
+
+function formatForFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(RDF_FORMATS).find(format => RDF_FORMATS[format].extension === extension) || null;
+}
+
+function expandIri(term, prefixes = KG_PREFIXES) {
+  if (term.startsWith('<')) return term.slice(1, -1);
+  const colon = term.indexOf(':');
+  return prefixes[term.slice(0, colon)] + term.slice(colon + 1);
+}
+
+// Turtle shares SPARQL's triple syntax, so it reuses the SPARQL term and
+// triple parsing. N-Triples is read by the same parser as it is a Turtle subset.
+// Blank nodes and collections are not supported.
+class TurtleParser extends SparqlParser {
+  parse() {
+    const triples = [];
+    while (this.peek()) {
+      const token = this.peek();
+      if ((token.type === 'punct' && token.value === '@prefix') || this.isWord('PREFIX')) {
+        this.next();
+        this.parsePrefix();
+        if (token.value === '@prefix') this.expectPunct('.');
+        continue;
+      }
+
+      const patterns = [];
+      this.parseTriples(patterns);
+      this.expectPunct('.');
+      patterns.forEach(pattern => {
+        const variable = pattern.find(term => typeof term === 'object');
+        if (variable) throw new Error(`Variables are not allowed in data (?${variable.var})`);
+        triples.push(pattern);
+      });
+    }
+    return triples;
+  }
+
+  parsePrefix() {
+    const name = this.next();
+    const iri = this.next();
+    if (name.type !== 'pname' || !name.value.endsWith(':') || iri.type !== 'iri') {
+      throw new Error(`Malformed prefix declaration at position ${name.at}`);
+    }
+    const prefix = name.value.slice(0, -1);
+    const namespace = iri.value.slice(1, -1);
+    if (KG_PREFIXES[prefix] && KG_PREFIXES[prefix] !== namespace) {
+      throw new Error(`Prefix ${prefix}: must be bound to <${KG_PREFIXES[prefix]}>`);
+    }
+    this.prefixes[prefix] = namespace;
+  }
+}
+
+// Reads compacted JSON-LD as produced by the exporter: an @context of prefix
+// strings and a @graph (or single node) of objects with @id, @type and properties.
+function parseJsonLd(input) {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+  const context = { ...KG_PREFIXES };
+  Object.entries(doc['@context'] || {}).forEach(([prefix, namespace]) => {
+    if (typeof namespace !== 'string') throw new Error(`Only prefix definitions are supported in @context (${prefix})`);
+    if (KG_PREFIXES[prefix] && KG_PREFIXES[prefix] !== namespace) {
+      throw new Error(`Prefix ${prefix}: must be bound to <${KG_PREFIXES[prefix]}>`);
+    }
+    context[prefix] = namespace;
+  });
+
+  const resolve = name => {
+    const colon = name.indexOf(':');
+    const prefix = name.slice(0, colon);
+    if (colon > 0 && context[prefix] && !name.startsWith('http')) {
+      return compactIri(context[prefix] + name.slice(colon + 1));
+    }
+    if (/^https?:/.test(name)) return compactIri(name);
+    throw new Error(`Cannot resolve '${name}' without a matching @context prefix`);
+  };
+
+  const toTerm = value => {
+    if (value && typeof value === 'object') {
+      if (value['@id']) return resolve(value['@id']);
+      if (value['@value'] === undefined) throw new Error('Nested nodes are not supported; use {"@id"} references');
+      const lexical = JSON.stringify(String(value['@value']));
+      if (value['@type']) return `${lexical}^^${resolve(value['@type'])}`;
+      if (value['@language']) return `${lexical}@${value['@language']}`;
+      return typeof value['@value'] === 'string' ? lexical : toLiteral(value['@value']);
+    }
+    return toLiteral(value);
+  };
+
+  const nodes = doc['@graph'] || [doc];
+  const triples = [];
+  nodes.forEach(node => {
+    if (!node['@id']) throw new Error('Every node needs an @id');
+    const subject = resolve(node['@id']);
+    [].concat(node['@type'] || []).forEach(type => triples.push([subject, 'rdf:type', resolve(type)]));
+    Object.entries(node).forEach(([key, values]) => {
+      if (key.startsWith('@')) return;
+      const predicate = resolve(key);
+      [].concat(values).forEach(value => triples.push([subject, predicate, toTerm(value)]));
+    });
+  });
+  return triples;
+}
+
+function parseRdf(content, format) {
+  if (format === 'jsonld') return parseJsonLd(content);
+  if (format === 'turtle' || format === 'ntriples') return new TurtleParser(String(content)).parse();
+  throw new Error(`Unsupported format '${format}', expected one of: ${Object.keys(RDF_FORMATS).join(', ')}`);
+}
+
+// Returns a list of problems; an empty list means the triples can be loaded
+function validateTriples(triples) {
+  const errors = [];
+  triples.forEach(([s, p, o]) => {
+    const where = `${s} ${p} ${o}`;
+    if (isLiteral(s) || !KG_ENTITY_PREFIXES.includes(s.slice(0, s.indexOf(':')))) {
+      errors.push(`Subject must be an lc: or skill: IRI (${where})`);
+    }
+    if (isLiteral(p) || p.startsWith('<')) {
+      errors.push(`Predicate must use a known prefix (${where})`);
+    }
+    if (!isLiteral(o) && o.startsWith('<')) {
+      errors.push(`Object IRI outside the known prefixes (${where})`);
+    }
+    if (isLiteral(o) && parseLiteral(o).datatype?.startsWith('<')) {
+      errors.push(`Unknown literal datatype (${where})`);
+    }
+  });
+  return [...new Set(errors)];
+}
+
+function serializeTerm(term, format) {
+  if (!isLiteral(term)) {
+    return format === 'ntriples' ? `<${expandIri(term)}>` : term;
+  }
+  const { lexical, datatype, language } = parseLiteral(term);
+  const quoted = JSON.stringify(lexical);
+  if (language) return `${quoted}@${language}`;
+  if (!datatype) return quoted;
+  if (format === 'turtle') {
+    if (datatype === 'xsd:boolean' || datatype === 'xsd:integer') return lexical;
+    if (datatype === 'xsd:decimal' && lexical.includes('.')) return lexical;
+    return `${quoted}^^${datatype}`;
+  }
+  return `${quoted}^^<${expandIri(datatype)}>`;
+}
+
+function serializeRdf(store, format) {
+  const subjects = [...store.spo.keys()];
+
+  if (format === 'ntriples') {
+    return store.match().map(triple => `${triple.map(t => serializeTerm(t, 'ntriples')).join(' ')} .`).join('\n') + '\n';
+  }
+
+  if (format === 'turtle') {
+    const header = Object.entries(KG_PREFIXES).map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`).join('\n');
+    const blocks = subjects.map(subject => {
+      const predicates = [...store.spo.get(subject).keys()];
+      const lines = predicates.map(predicate => {
+        const objects = store.objects(subject, predicate).map(o => serializeTerm(o, 'turtle')).join(', ');
+        return `${predicate === 'rdf:type' ? 'a' : predicate} ${objects}`;
+      });
+      return `${subject} ${lines.join(' ;\n    ')} .`;
+    });
+    return `${header}\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  if (format === 'jsonld') {
+    const graph = subjects.map(subject => {
+      const node = { '@id': subject };
+      store.spo.get(subject).forEach((objects, predicate) => {
+        if (predicate === 'rdf:type') {
+          node['@type'] = [...objects];
+          return;
+        }
+        node[predicate] = [...objects].map(o => {
+          if (!isLiteral(o)) return { '@id': o };
+          const { lexical, datatype, language } = parseLiteral(o);
+          return { '@value': lexical, ...(datatype && { '@type': datatype }), ...(language && { '@language': language }) };
+        });
+      });
+      return node;
+    });
+    return JSON.stringify({ '@context': KG_PREFIXES, '@graph': graph }, null, 2);
+  }
+
+  throw new Error(`Unsupported format '${format}', expected one of: ${Object.keys(RDF_FORMATS).join(', ')}`);
+}
+
+// ==================== KNOWLEDGE GRAPH ====================
+
+// How each `kg.data` collection maps onto triples: the rdf:type of its members,
+// the prefix of their IRIs, and for each field its predicate, object kind
+// (`literal`, a single `iri`, or a list of `iris`) and, for references to other
+// entities, the class the object must have.
+const KG_SCHEMA = {
+  regions: {
+    class: 'lc:Region',
+    prefix: 'lc',
+    properties: {
+      label: ['rdfs:label', 'literal'],
+      partOf: ['lc:partOf', 'iri', 'lc:Region'],
+      climateZone: ['lc:climateZone', 'literal'],
+      soilType: ['lc:soilType', 'iri', 'lc:SoilType'],
+      commonWeeds: ['lc:commonWeeds', 'iris'],
+      avgRainfall: ['lc:avgRainfall', 'literal']
+    }
   },
-  {
-    id: 'cust_11',
-    name: 'Nancy Jackson',
-    email: 'njackson@email.com',
-    phone: '+1-330-555-1123',
-    address: '654 Hill St, Alliance, OH 44601',
-    coordinates: { lat: 40.9234, lng: -81.1234 },
-    customer_tier: 'basic',
-    service_history: [],
-    preferences: { communication: 'email', billing: 'per_service', organic_only: false },
-    current_issues: ['OvergrownLawn'],
-    property_type: 'residential',
-    lot_size: 0.35,
-    annual_contract_value: 700
+  soilTypes: {
+    class: 'lc:SoilType',
+    prefix: 'lc',
+    properties: {
+      drainage: ['lc:drainage', 'literal'],
+      fertility: ['lc:fertility', 'literal'],
+      pH: ['lc:pH', 'literal'],
+      compatibleGrass: ['lc:compatibleGrass', 'iris', 'lc:GrassType']
+    }
   },
-  {
-    id: 'cust_12',
-    name: 'Daniel White',
-    email: 'dwhite@industrialpark.com',
-    phone: '+1-330-555-1234',
-    address: '987 Industrial Dr, Canton, OH 44707',
-    coordinates: { lat: 40.7923, lng: -81.3623 },
-    customer_tier: 'commercial',
-    service_history: [
-      { job_id: 'site_8', date: '2024-01-30', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.5, feedback: 'Reliable service' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
-    current_issues: ['LargeAreaMaintenance'],
-    property_type: 'commercial',
-    lot_size: 5.0,
-    annual_contract_value: 18000
+  grassTypes: {
+    class: 'lc:GrassType',
+    prefix: 'lc',
+    properties: {
+      maintenance: ['lc:maintenance', 'literal'],
+      droughtTolerance: ['lc:droughtTolerance', 'literal'],
+      idealMowingHeight: ['lc:idealMowingHeight', 'literal']
+    }
   },
-  {
-    id: 'cust_13',
-    name: 'Karen Harris',
-    email: 'kharris@email.com',
-    phone: '+1-330-555-1345',
-    address: '147 Garden Ln, Massillon, OH 44646',
-    coordinates: { lat: 40.7889, lng: -81.5289 },
-    customer_tier: 'premium',
-    service_history: [
-      { job_id: 'site_9', date: '2024-02-28', service_type: 'LandscapeDesign', worker_assigned: 'Maria Garcia', rating: 5.0, feedback: 'Beautiful work!' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
-    current_issues: ['LandscapingNeeds'],
-    property_type: 'residential',
-    lot_size: 0.8,
-    annual_contract_value: 5200
+  skills: {
+    class: 'lc:Skill',
+    prefix: 'skill',
+    properties: {
+      difficulty: ['lc:difficulty', 'literal'],
+      certification: ['lc:requiresCertification', 'literal'],
+      acceptedCertifications: ['lc:acceptedCertification', 'iris']
+    }
   },
-  {
-    id: 'cust_14',
-    name: 'Steven Martin',
-    email: 'smartin@email.com',
-    phone: '+1-330-555-1456',
-    address: '258 Forest Ave, North Canton, OH 44720',
-    coordinates: { lat: 40.8689, lng: -81.4267 },
-    customer_tier: 'standard',
-    service_history: [],
-    preferences: { communication: 'phone', billing: 'per_service', organic_only: false },
-    current_issues: ['TreeDebris'],
-    property_type: 'residential',
-    lot_size: 0.55,
-    annual_contract_value: 1600
-  },
-  {
-    id: 'cust_15',
-    name: 'Betty Thompson',
-    email: 'bthompson@email.com',
-    phone: '+1-330-555-1567',
-    address: '369 Meadow Rd, Canton, OH 44709',
-    coordinates: { lat: 40.8156, lng: -81.4012 },
-    customer_tier: 'premium',
-    service_history: [
-      { job_id: 'site_10', date: '2024-03-15', service_type: 'FullLawnCare', worker_assigned: 'John Smith', rating: 4.9, feedback: 'Thorough and professional' }
-    ],
-    preferences: { communication: 'email', billing: 'annual', organic_only: true },
-    current_issues: ['GrubControl'],
-    property_type: 'residential',
-    lot_size: 0.9,
-    annual_contract_value: 3900
+  seasons: {
+    class: 'lc:Season',
+    prefix: 'lc',
+    properties: {
+      optimalActivities: ['lc:optimalActivities', 'iris'],
+      commonIssues: ['lc:commonIssues', 'iris']
+    }
   },
+  climateZones: {
+    class: 'lc:ClimateZone',
+    prefix: 'lc',
+    properties: {
+      springStart: ['lc:springStart', 'literal'],
+      summerStart: ['lc:summerStart', 'literal'],
+      fallStart: ['lc:fallStart', 'literal'],
+      winterStart: ['lc:winterStart', 'literal'],
+      gddSpringStart: ['lc:gddSpringStart', 'literal'],
+      gddSummerStart: ['lc:gddSummerStart', 'literal']
+    }
+  }
+};
+
+// The triple store is the source of truth, loaded from the RDF files in KG_DIR;
+// `data` is a cached nested view of it for the helpers and endpoints that read
+// entities field by field.
+class LawnCareKnowledgeGraph {
+  constructor() {
+    this.store = new TripleStore();
+    this.sparql = new SparqlEngine(this.store);
+    this.view = null;
+    this.viewVersion = -1;
+    this.loadedFiles = [];
+    this.provenance = new Map(); // triple key -> { source, asserted_by, asserted_at }
+  }
+
+  static tripleKey(triple) {
+    return JSON.stringify(triple);
+  }
+
+  get data() {
+    if (this.viewVersion === this.store.version) return this.view;
+
+    const view = {};
+    Object.entries(KG_SCHEMA).forEach(([collection, schema]) => {
+      view[collection] = {};
+      this.store.subjects('rdf:type', schema.class).forEach(subject => {
+        const entity = {};
+        Object.entries(schema.properties).forEach(([field, [predicate, kind]]) => {
+          const objects = this.store.objects(subject, predicate);
+          if (kind === 'iris') {
+            entity[field] = objects.map(localName);
+          } else if (objects.length) {
+            entity[field] = kind === 'iri' ? localName(objects[0]) : termValue(objects[0]);
+          }
+        });
+        view[collection][localName(subject)] = entity;
+      });
+    });
+
+    this.view = view;
+    this.viewVersion = this.store.version;
+    return view;
+  }
+
+  // Reads every Turtle, N-Triples and JSON-LD file in `dir` and replaces the graph
+  // with their union. Nothing changes if any file fails to parse or validate.
+  loadDirectory(dir) {
+    const files = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => formatForFile(name)).sort()
+      : [];
+    const parsedByFile = {};
+    const errors = [];
+    files.forEach(name => {
+      try {
+        const parsed = parseRdf(fs.readFileSync(path.join(dir, name), 'utf8'), formatForFile(name));
+        validateTriples(parsed).forEach(error => errors.push(`${name}: ${error}`));
+        parsedByFile[name] = parsed;
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    });
+    if (errors.length) return { success: false, errors };
+
+    this.store.clear();
+    this.provenance.clear();
+    files.forEach(name => {
+      const assertedAt = fs.statSync(path.join(dir, name)).mtime.toISOString();
+      parsedByFile[name].forEach(triple => this.add(triple, { source: `file:${name}`, asserted_by: 'file', asserted_at: assertedAt }));
+    });
+    this.loadedFiles = files;
+    return { success: true, files, triples: this.store.size };
+  }
+
+  add(triple, provenance) {
+    if (!this.store.add(...triple)) return false;
+    this.provenance.set(LawnCareKnowledgeGraph.tripleKey(triple), provenance);
+    return true;
+  }
+
+  remove(triple) {
+    if (!this.store.remove(...triple)) return false;
+    this.provenance.delete(LawnCareKnowledgeGraph.tripleKey(triple));
+    return true;
+  }
+
+  addTriples(triples, provenance) {
+    return triples.filter(triple => this.add(triple, provenance)).length;
+  }
+
+  describeTriple(triple) {
+    const [subject, predicate, object] = triple;
+    return { subject, predicate, object, provenance: this.provenance.get(LawnCareKnowledgeGraph.tripleKey(triple)) || null };
+  }
+
+  // References whose target lacks the class the schema expects, e.g. a soil
+  // listing lc:Fescue as compatible grass when no lc:Fescue grass type exists
+  danglingReferences() {
+    const dangling = [];
+    Object.values(KG_SCHEMA).forEach(schema => {
+      Object.values(schema.properties).forEach(([predicate, , range]) => {
+        if (!range) return;
+        this.store.match(null, predicate, null).forEach(([subject, , object]) => {
+          if (!this.store.has(object, 'rdf:type', range)) {
+            dangling.push({ subject, predicate, object, expected_type: range });
+          }
+        });
+      });
+    });
+    return dangling;
+  }
+
+  // Reloads the directory shortly after its files stop changing
+  watch(dir, onReload) {
+    if (!fs.existsSync(dir)) return;
+    let timer = null;
+    this.watcher = fs.watch(dir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onReload(this.loadDirectory(dir)), KG_RELOAD_DEBOUNCE_MS);
+    });
+    this.watcher.unref();
+  }
+
+  // Runs a SPARQL SELECT; a bare triple pattern is treated as `SELECT * WHERE { pattern }`
+  query(text, engine = this.sparql) {
+    const source = /^\s*(PREFIX|SELECT)\b/i.test(text) ? text : `SELECT * WHERE { ${text} }`;
+    try {
+      const { variables, rows } = engine.select(source);
+      const bindings = rows.map(row => Object.fromEntries(
+        Object.entries(row).map(([name, term]) => [name, describeTerm(term)])
+      ));
+      return { success: true, variables, bindings };
+    } catch (error) {
+      return { success: false, error: `Query error: ${error.message}` };
+    }
+  }
+
+  findRegionalExpertise(region) {
+    const regionData = this.data.regions[region];
+    if (!regionData) return [];
+    
+    return [
+      { subject: `lc:${region}`, predicate: 'lc:commonWeeds', object: regionData.commonWeeds.join(', ') },
+      { subject: `lc:${region}`, predicate: 'lc:soilType', object: `lc:${regionData.soilType}` }
+    ];
+  }
+
+  getOptimalSeasonalActivities(season) {
+    const seasonData = this.data.seasons[season];
+    if (!seasonData) return [];
+    
+    return seasonData.optimalActivities.map(activity => ({
+      subject: `lc:${season}`,
+      predicate: 'lc:optimalActivities', 
+      object: `lc:${activity}`
+    }));
+  }
+
+  getSkillRequirements(skill) {
+    const skillData = this.data.skills[skill];
+    if (!skillData) return [];
+    
+    return [
+      { subject: `skill:${skill}`, predicate: 'lc:difficulty', object: skillData.difficulty.toString() },
+      { subject: `skill:${skill}`, predicate: 'lc:requiresCertification', object: skillData.certification.toString() }
+    ];
+  }
+
+  // Certifications that satisfy a skill, or null when the skill needs none
+  getRequiredCertifications(skill) {
+    const skillData = this.data.skills[skill];
+    if (!skillData || !skillData.certification) return null;
+    return skillData.acceptedCertifications || [];
+  }
+}
+
+const KG_DIR = process.env.KG_DIR || path.join(__dirname, 'knowledge');
+const KG_RELOAD_DEBOUNCE_MS = 300;
+
+const kg = new LawnCareKnowledgeGraph();
+const kgLoad = kg.loadDirectory(KG_DIR);
+if (!kgLoad.success) {
+  console.error(`⚠️  Knowledge graph files in ${KG_DIR} failed to load:\n   ${kgLoad.errors.join('\n   ')}`);
+}
+
+// ==================== REGION RESOLUTION ====================
+
+const REGION_BOUNDARIES_FILE = process.env.REGION_BOUNDARIES_FILE || path.join(__dirname, 'data', 'stark-county-regions.geojson');
+const GEOCODER = process.env.GEOCODER || 'local';
+// Used when a location is unknown or outside every boundary
+const DEFAULT_REGION = 'StarkCounty';
+
+// Approximate ZIP code centroids for the service area
+const ZIP_CENTROIDS = {
+  '44601': { lat: 40.9153, lng: -81.1059 }, // Alliance
+  '44614': { lat: 40.8890, lng: -81.5970 }, // Canal Fulton
+  '44632': { lat: 40.9630, lng: -81.3310 }, // Hartville
+  '44641': { lat: 40.8370, lng: -81.2590 }, // Louisville
+  '44646': { lat: 40.7967, lng: -81.5215 }, // Massillon
+  '44647': { lat: 40.7900, lng: -81.5450 }, // Massillon west
+  '44662': { lat: 40.7240, lng: -81.5220 }, // Navarre
+  '44672': { lat: 40.9220, lng: -81.0190 }, // Sebring
+  '44685': { lat: 40.9750, lng: -81.4080 }, // Uniontown
+  '44702': { lat: 40.7989, lng: -81.3784 }, // Canton downtown
+  '44703': { lat: 40.8090, lng: -81.3810 },
+  '44704': { lat: 40.7990, lng: -81.3540 },
+  '44705': { lat: 40.8260, lng: -81.3390 },
+  '44706': { lat: 40.7650, lng: -81.3950 },
+  '44707': { lat: 40.7750, lng: -81.3550 },
+  '44708': { lat: 40.8150, lng: -81.4050 },
+  '44709': { lat: 40.8400, lng: -81.3850 },
+  '44710': { lat: 40.7920, lng: -81.4150 },
+  '44714': { lat: 40.8300, lng: -81.3600 },
+  '44718': { lat: 40.8500, lng: -81.4450 }, // Jackson Township
+  '44720': { lat: 40.8760, lng: -81.4020 }, // North Canton
+  '44721': { lat: 40.8850, lng: -81.3300 }, // Plain Township
+  '44730': { lat: 40.7870, lng: -81.2830 }  // East Canton
+};
+
+// Offline stand-in for a geocoding service: a ZIP code centroid when the address
+// has one, otherwise the centre of the longest boundary name found in the text.
+class LocalGeocoder {
+  constructor(resolver) {
+    this.resolver = resolver;
+  }
+
+  geocode(address) {
+    const text = String(address || '');
+    const zip = (text.match(/\b(\d{5})(?:-\d{4})?\b(?!.*\b\d{5}\b)/) || [])[1];
+    if (zip && ZIP_CENTROIDS[zip]) {
+      return { ...ZIP_CENTROIDS[zip], precision: 'postal_code', matched: zip, source: 'local' };
+    }
+
+    const place = this.resolver.places()
+      .sort((a, b) => b.name.length - a.name.length)
+      .find(p => new RegExp(`\\b${p.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text));
+    if (place) {
+      return { ...place.center, precision: 'place', matched: place.name, source: 'local' };
+    }
+    return null;
+  }
+}
+
+const GEOCODERS = {
+  local: resolver => new LocalGeocoder(resolver)
+};
+
+function createGeocoder(name, resolver) {
+  const factory = GEOCODERS[name];
+  if (!factory) {
+    throw new Error(`Unknown geocoder "${name}" (expected one of: ${Object.keys(GEOCODERS).join(', ')})`);
+  }
+  return factory(resolver);
+}
+
+// Ray casting over a [lng, lat] ring
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Shoelace area in square degrees; only used to rank overlapping polygons
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Polygon or MultiPolygon with its bounding box and area precomputed for lookups
+function indexGeometry(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const points = polygons.flatMap(rings => rings[0]);
+  const lngs = points.map(p => p[0]);
+  const lats = points.map(p => p[1]);
+  return {
+    polygons,
+    bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+    area: polygons.reduce((sum, [outer, ...holes]) => sum + ringArea(outer) - holes.reduce((h, ring) => h + ringArea(ring), 0), 0)
+  };
+}
+
+function geometryContains(indexed, lat, lng) {
+  const [minLng, minLat, maxLng, maxLat] = indexed.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+  return indexed.polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(ring => pointInRing(lng, lat, ring)));
+}
+
+// Returns a list of problems with a GeoJSON Polygon or MultiPolygon
+function validateGeometry(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return ['geometry must be a GeoJSON Polygon or MultiPolygon'];
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const errors = [];
+  polygons.forEach((rings, p) => {
+    if (!Array.isArray(rings) || !rings.length) {
+      errors.push(`polygon ${p} has no rings`);
+      return;
+    }
+    rings.forEach((ring, r) => {
+      const where = `polygon ${p} ring ${r}`;
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push(`${where} needs at least 4 positions`);
+        return;
+      }
+      if (!ring.every(pos => Array.isArray(pos) && isCoordinate({ lng: pos[0], lat: pos[1] }))) {
+        errors.push(`${where} has positions that are not [lng, lat]`);
+      } else if (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1]) {
+        errors.push(`${where} is not closed`);
+      }
+    });
+  });
+  return errors;
+}
+
+function isCoordinate(coords) {
+  return Boolean(coords) &&
+    Number.isFinite(parseFloat(coords.lat)) && Math.abs(parseFloat(coords.lat)) <= 90 &&
+    Number.isFinite(parseFloat(coords.lng)) && Math.abs(parseFloat(coords.lng)) <= 180;
+}
+
+// Point-in-polygon lookup against the bundled GeoJSON. Municipalities sit
+// inside townships inside the county, so the smallest containing area wins.
+class RegionResolver {
+  constructor(geocoderName) {
+    this.features = [];
+    this.geocoder = createGeocoder(geocoderName, this);
+  }
+
+  load(file) {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const features = (doc.features || []).filter(feature =>
+      feature.properties?.region && ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type));
+
+    this.features = features.map(feature => ({ ...feature.properties, ...indexGeometry(feature.geometry) }));
+    return { success: true, file, regions: this.features.length };
+  }
+
+  // Every containing region, smallest first
+  regionsAt(coords) {
+    if (!isCoordinate(coords)) return [];
+    const lat = parseFloat(coords.lat);
+    const lng = parseFloat(coords.lng);
+    return this.features.filter(f => geometryContains(f, lat, lng)).sort((a, b) => a.area - b.area);
+  }
+
+  // Named places the geocoder can match, centred on their bounding box
+  places() {
+    return this.features.map(f => ({
+      name: f.name.replace(/^(City|Village) of /, ''),
+      center: { lat: (f.bbox[1] + f.bbox[3]) / 2, lng: (f.bbox[0] + f.bbox[2]) / 2 }
+    }));
+  }
+
+  describe(feature) {
+    const { polygons, bbox, area, ...properties } = feature;
+    return properties;
+  }
+
+  // Coordinates win over the address; the address is geocoded only when they are missing
+  resolve({ coordinates = null, address = null } = {}) {
+    let point = null;
+    let geocoded = null;
+    if (isCoordinate(coordinates)) {
+      point = { lat: parseFloat(coordinates.lat), lng: parseFloat(coordinates.lng) };
+    } else if (address) {
+      geocoded = this.geocoder.geocode(address);
+      if (geocoded) point = { lat: geocoded.lat, lng: geocoded.lng };
+    }
+
+    const matches = this.regionsAt(point);
+    return {
+      region: matches.length ? matches[0].region : DEFAULT_REGION,
+      matched: matches.length > 0,
+      ...(matches.length && { details: this.describe(matches[0]) }),
+      within: matches.map(m => m.region),
+      coordinates: point,
+      precision: geocoded ? geocoded.precision : point ? 'coordinates' : 'none'
+    };
+  }
+}
+
+const regionResolver = new RegionResolver(GEOCODER);
+try {
+  regionResolver.load(REGION_BOUNDARIES_FILE);
+} catch (error) {
+  console.error(`⚠️  Region boundaries in ${REGION_BOUNDARIES_FILE} failed to load: ${error.message}`);
+}
+
+// Region for a customer, work site or worker record
+function getRegionFor(record) {
+  return regionResolver.resolve({
+    coordinates: record.coordinates || record.coords || record.home_coords,
+    address: record.address
+  }).region;
+}
+
+// ==================== SEASON RESOLUTION ====================
+
+const DEFAULT_CLIMATE_ZONE = process.env.DEFAULT_CLIMATE_ZONE || '6a';
+
+// Calendar order; each season starts on its zone's `<season>Start` month-day
+const SEASON_ORDER = ['Spring', 'Summer', 'Fall', 'Winter'];
+
+// Meteorological seasons, used when the graph has no entry for a zone
+const FALLBACK_SEASON_STARTS = { springStart: '03-01', summerStart: '06-01', fallStart: '09-01', winterStart: '12-01' };
+
+// Resolves the lawn-care season from the date and the climate zone's season
+// boundaries in the knowledge graph. When growing degree days (base 50°F,
+// accumulated since January 1) are known they decide between winter, spring
+// and summer, since green-up tracks heat rather than the calendar; fall and
+// winter always follow the calendar.
+class SeasonResolver {
+  constructor(kg) {
+    this.kg = kg;
+  }
+
+  climateZoneFor(region) {
+    return this.kg.data.regions[region]?.climateZone || DEFAULT_CLIMATE_ZONE;
+  }
+
+  resolve({ date = new Date(), climateZone = DEFAULT_CLIMATE_ZONE, gdd = null } = {}) {
+    const isoDate = (date instanceof Date ? date.toISOString() : String(date)).slice(0, 10);
+    const monthDay = isoDate.slice(5, 10);
+    const zone = this.kg.data.climateZones[`Zone${climateZone}`];
+    const starts = { ...FALLBACK_SEASON_STARTS, ...zone };
+
+    let season = 'Winter';
+    SEASON_ORDER.forEach(candidate => {
+      if (monthDay >= starts[`${candidate.toLowerCase()}Start`]) season = candidate;
+    });
+
+    let basis = zone ? 'calendar' : 'default_calendar';
+    const degreeDays = gdd === null || gdd === undefined || gdd === '' ? NaN : parseFloat(gdd);
+    if (zone && !Number.isNaN(degreeDays) && monthDay < starts.fallStart) {
+      season = degreeDays < zone.gddSpringStart ? 'Winter' : degreeDays < zone.gddSummerStart ? 'Spring' : 'Summer';
+      basis = 'growing_degree_days';
+    }
+
+    return { season, date: isoDate, climate_zone: climateZone, basis, ...(basis === 'growing_degree_days' && { gdd: degreeDays }) };
+  }
+
+  forRegion(region, options = {}) {
+    return { region, ...this.resolve({ ...options, climateZone: this.climateZoneFor(region) }) };
+  }
+}
+
+const seasonResolver = new SeasonResolver(kg);
+
+// ==================== PERSISTENCE LAYER ====================
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'storage', 'lawncare-db.json');
+
+// Stores the whole database as a single JSON document, written atomically:
+// the temp file is synced to disk before it replaces the old one.
+class FileStorageBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Database file ${this.filePath} is not valid JSON (${error.message}). Restore it from a backup or move it aside to start with a fresh database.`);
+    }
+    if (!state || typeof state !== 'object' || !state.meta || !state.collections) {
+      throw new Error(`Database file ${this.filePath} is not a lawn care database (missing meta or collections)`);
+    }
+    return state;
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeFileSync(fd, JSON.stringify(state, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  describe() {
+    return { backend: 'file', location: this.filePath };
+  }
+}
+
+// Keeps state for the lifetime of the process only (useful for demos and tests).
+class MemoryStorageBackend {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  load() {
+    return this.snapshot ? JSON.parse(this.snapshot) : null;
+  }
+
+  save(state) {
+    this.snapshot = JSON.stringify(state);
+  }
+
+  describe() {
+    return { backend: 'memory', location: null };
+  }
+}
+
+const STORAGE_BACKENDS = {
+  file: () => new FileStorageBackend(DB_FILE),
+  memory: () => new MemoryStorageBackend()
+};
+
+const SEED_SCHEMA_VERSION = 1;
+
+function createStorageBackend(name) {
+  const factory = STORAGE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}" (expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  return factory();
+}
+
+// Migrations run in version order, once each, against the raw stored document.
+// They are applied at startup, after every module-level definition is in place.
+const MIGRATIONS = [
   {
-    id: 'cust_16',
-    name: 'Kevin Garcia',
-    email: 'kgarcia@email.com',
-    phone: '+1-330-555-1678',
-    address: '741 Valley View Dr, Massillon, OH 44647',
-    coordinates: { lat: 40.7756, lng: -81.5456 },
-    customer_tier: 'basic',
-    service_history: [],
-    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
-    current_issues: ['BasicMowing'],
-    property_type: 'residential',
-    lot_size: 0.28,
-    annual_contract_value: 550
+    version: 1,
+    description: 'Create core dispatch and CRM collections',
+    up(state) {
+      [
+        'work_sites',
+        'workers',
+        'customers',
+        'assignments',
+        'customer_inquiries',
+        'crm_customers',
+        'service_tickets',
+        'invoices',
+        'communications'
+      ].forEach(name => {
+        state.collections[name] = state.collections[name] || [];
+      });
+    }
   },
   {
-    id: 'cust_17',
-    name: 'Sandra Rodriguez',
-    email: 'srodriguez@email.com',
-    phone: '+1-330-555-1789',
-    address: '852 Park Ave, Alliance, OH 44601',
-    coordinates: { lat: 40.9067, lng: -81.1167 },
-    customer_tier: 'standard',
-    service_history: [
-      { job_id: 'site_11', date: '2024-04-10', service_type: 'WeedControl', worker_assigned: 'Maria Garcia', rating: 4.7, feedback: 'Effective treatment' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
-    current_issues: ['DandelionInvasion'],
-    property_type: 'residential',
-    lot_size: 0.42,
-    annual_contract_value: 1400
+    version: 2,
+    description: 'Track assignment status history and work time',
+    up(state) {
+      state.collections.assignments.forEach(assignment => {
+        assignment.statusHistory = assignment.statusHistory || [
+          { status: assignment.status, at: assignment.assignedAt, note: null }
+        ];
+        assignment.workSegments = assignment.workSegments || [];
+        assignment.actualHours = assignment.actualHours ?? null;
+      });
+    }
   },
   {
-    id: 'cust_18',
-    name: 'Paul Martinez',
-    email: 'pmartinez@shoppingcenter.com',
-    phone: '+1-330-555-1890',
-    address: '963 Commerce St, Canton, OH 44710',
-    coordinates: { lat: 40.8045, lng: -81.3734 },
-    customer_tier: 'commercial',
-    service_history: [
-      { job_id: 'site_12', date: '2024-02-05', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.6, feedback: 'Good value' }
-    ],
-    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
-    current_issues: ['ParkingLotLandscaping'],
-    property_type: 'commercial',
-    lot_size: 3.2,
-    annual_contract_value: 15000
+    version: 3,
+    description: 'Give assignments a scheduled date',
+    up(state) {
+      state.collections.assignments.forEach(assignment => {
+        assignment.scheduledDate = assignment.scheduledDate || assignment.assignedAt.slice(0, 10);
+      });
+    }
   },
   {
-    id: 'cust_19',
-    name: 'Dorothy Lee',
-    email: 'dlee@email.com',
-    phone: '+1-330-555-1901',
-    address: '159 Brookside Dr, North Canton, OH 44720',
-    coordinates: { lat: 40.8534, lng: -81.4089 },
-    customer_tier: 'premium',
-    service_history: [],
-    preferences: { communication: 'phone', billing: 'monthly', organic_only: true },
-    current_issues: ['SlopeErosion'],
-    property_type: 'residential',
-    lot_size: 0.65,
-    annual_contract_value: 3200
+    version: 4,
+    description: 'Add worker shifts, time off and customer time windows',
+    up(state) {
+      state.collections.time_off = state.collections.time_off || [];
+      state.collections.workers.forEach(worker => {
+        worker.weekly_shifts = worker.weekly_shifts ||
+          JSON.parse(JSON.stringify(DEFAULT_WEEKLY_SHIFTS[worker.availability] || DEFAULT_WEEKLY_SHIFTS.full_time));
+      });
+      state.collections.customers.forEach(customer => {
+        customer.preferences = { ...customer.preferences, time_windows: customer.preferences?.time_windows || [] };
+      });
+      state.collections.assignments.forEach(assignment => {
+        assignment.scheduledStart = assignment.scheduledStart || null;
+        assignment.scheduledEnd = assignment.scheduledEnd || null;
+      });
+      state.collections.service_tickets.forEach(ticket => {
+        ticket.scheduled_start = ticket.scheduled_start || null;
+        ticket.scheduled_end = ticket.scheduled_end || null;
+      });
+    }
   },
   {
-    id: 'cust_20',
-    name: 'Mark Anderson',
-    email: 'manderson@email.com',
-    phone: '+1-330-555-2012',
-    address: '753 Countryside Ln, Massillon, OH 44646',
-    coordinates: { lat: 40.7812, lng: -81.5178 },
-    customer_tier: 'standard',
-    service_history: [
-      { job_id: 'site_13', date: '2024-03-25', service_type: 'SpringCleanup', worker_assigned: 'John Smith', rating: 4.8, feedback: 'Yard looks great!' }
-    ],
-    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
-    current_issues: ['FallLeafRemoval'],
-    property_type: 'residential',
-    lot_size: 0.48,
-    annual_contract_value: 1300
+    version: 5,
+    description: 'Add recurring service contracts',
+    up(state) {
+      state.collections.contracts = state.collections.contracts || [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Add invoice line items, payments and balances',
+    up(state) {
+      state.collections.invoices.forEach(invoice => {
+        invoice.billing_cycle = invoice.billing_cycle || 'manual';
+        invoice.billing_period = invoice.billing_period || null;
+        invoice.line_items = invoice.line_items || [];
+        invoice.subtotal = invoice.subtotal ?? invoice.amount;
+        invoice.discount = invoice.discount ?? 0;
+        invoice.amount_paid = invoice.amount_paid ?? (invoice.status === 'paid' ? invoice.amount : 0);
+        invoice.balance = invoice.balance ?? (invoice.amount - invoice.amount_paid);
+        invoice.payments = invoice.payments || [];
+      });
+      state.collections.service_tickets.forEach(ticket => {
+        ticket.invoice_id = ticket.invoice_id || null;
+      });
+      state.collections.assignments.forEach(assignment => {
+        assignment.invoiceId = assignment.invoiceId || null;
+        assignment.materials = assignment.materials || [];
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Record lifecycle history and activate customers with prior service',
+    up(state) {
+      state.collections.crm_customers.forEach(profile => {
+        profile.lifecycle_history = profile.lifecycle_history || [];
+        if (profile.lifecycle_stage === 'lead' && (profile.service_history || []).length > 0) {
+          profile.lifecycle_history.push({
+            from: 'lead',
+            to: 'active',
+            reason: 'Existing service history',
+            event: 'migration',
+            at: new Date().toISOString()
+          });
+          profile.lifecycle_stage = 'active';
+        }
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Add versioned quotes',
+    up(state) {
+      state.collections.quotes = state.collections.quotes || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Add knowledge graph change log and snapshots',
+    up(state) {
+      state.collections.kg_changes = state.collections.kg_changes || [];
+      state.collections.kg_snapshots = state.collections.kg_snapshots || [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Add territories and tag customers and work sites with them',
+    up(state) {
+      state.collections.territories = state.collections.territories || [];
+      ['customers', 'crm_customers', 'work_sites'].forEach(name => {
+        state.collections[name].forEach(record => {
+          record.territory_id = record.territory_id || null;
+        });
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Add chat actions awaiting confirmation and the chat tool call audit log',
+    up(state) {
+      state.collections.chat_actions = state.collections.chat_actions || [];
+      state.collections.chat_tool_calls = state.collections.chat_tool_calls || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Add conversation summaries and mark the role of logged chat messages',
+    up(state) {
+      state.collections.conversations = state.collections.conversations || [];
+      state.collections.communications
+        .filter(c => c.type === 'ai_chat' && !c.role)
+        .forEach(c => { c.role = 'user'; });
+    }
+  },
+  {
+    version: 13,
+    description: 'Add the human handoff queue for customer chats',
+    up(state) {
+      state.collections.handoffs = state.collections.handoffs || [];
+    }
+  },
+  {
+    version: 14,
+    description: 'Add trained churn models and a churn risk slot on CRM profiles',
+    up(state) {
+      state.collections.churn_models = state.collections.churn_models || [];
+      state.collections.crm_customers.forEach(profile => {
+        profile.churn_risk = profile.churn_risk || null;
+      });
+    }
+  },
+  {
+    version: 15,
+    description: 'Close zero-amount invoices that were left pending or overdue',
+    up(state) {
+      state.collections.invoices
+        .filter(i => ['pending', 'overdue'].includes(i.status) && (i.balance ?? i.amount) <= 0)
+        .forEach(i => {
+          i.status = 'paid';
+          i.balance = 0;
+          i.paid_at = i.paid_at || new Date().toISOString();
+        });
+    }
+  },
+  {
+    version: 16,
+    description: 'Keep only the oldest and newest knowledge graph snapshots as replay checkpoints',
+    up(state) {
+      const snapshots = [...state.collections.kg_snapshots]
+        .sort((a, b) => a.revision - b.revision || a.created_at.localeCompare(b.created_at));
+      state.collections.kg_snapshots = snapshots.length > 2
+        ? [snapshots[0], snapshots[snapshots.length - 1]]
+        : snapshots;
+    }
+  },
+  {
+    version: 17,
+    description: 'Link work sites to the customer at the same address',
+    up(state) {
+      state.collections.work_sites.forEach(site => {
+        site.customer_id = site.customer_id || state.collections.customers.find(c => c.address === site.address)?.id || null;
+      });
+    }
+  }
+];
+
+class DataRepository {
+  constructor(backend) {
+    this.backend = backend;
+    this.state = null;
+    this.flushTimer = null;
+  }
+
+  // Seed data is written against SEED_SCHEMA_VERSION, so a fresh database is
+  // migrated to that version, seeded, then carried forward like any other.
+  init(seed) {
+    this.state = this.backend.load() || { schema_version: 0, meta: { migrations: [] }, collections: {} };
+
+    if (!this.state.meta.seeded_at) {
+      this.migrate(SEED_SCHEMA_VERSION);
+      seed(this);
+      this.state.meta.seeded_at = new Date().toISOString();
+    }
+    this.migrate();
+
+    this.flush();
+  }
+
+  migrate(targetVersion = Infinity) {
+    MIGRATIONS
+      .filter(migration => migration.version > this.state.schema_version && migration.version <= targetVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        migration.up(this.state);
+        this.state.schema_version = migration.version;
+        this.state.meta.migrations.push({
+          version: migration.version,
+          description: migration.description,
+          applied_at: new Date().toISOString()
+        });
+        console.log(`🗄️  Applied migration ${migration.version}: ${migration.description}`);
+      });
+  }
+
+  collection(name) {
+    const records = this.state.collections[name];
+    if (!records) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return records;
+  }
+
+  all(name) {
+    return [...this.collection(name)];
+  }
+
+  find(name, predicate) {
+    return this.collection(name).find(predicate);
+  }
+
+  filter(name, predicate) {
+    return this.collection(name).filter(predicate);
+  }
+
+  findById(name, id) {
+    return this.find(name, record => record.id === id);
+  }
+
+  count(name) {
+    return this.collection(name).length;
+  }
+
+  insert(name, record) {
+    this.collection(name).push(record);
+    this.scheduleFlush();
+    return record;
+  }
+
+  update(name, id, changes) {
+    const record = this.findById(name, id);
+    if (!record) return null;
+
+    Object.assign(record, changes);
+    this.scheduleFlush();
+    return record;
+  }
+
+  remove(name, id) {
+    const records = this.collection(name);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return null;
+
+    const [removed] = records.splice(index, 1);
+    this.scheduleFlush();
+    return removed;
+  }
+
+  // Writes are coalesced so a burst of updates in one request hits disk once.
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), 50);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.backend.save(this.state);
+  }
+
+  describe() {
+    return {
+      ...this.backend.describe(),
+      schema_version: this.state.schema_version,
+      seeded_at: this.state.meta.seeded_at
+    };
+  }
+}
+
+// ==================== SEED DATA ====================
+
+// Loaded into the repository on first boot only; see DataRepository.init.
+const SEED_WORK_SITES = [
+  {
+    id: 'site_1',
+    address: '123 Main St, Canton, OH 44702',
+    coords: { lat: 40.7989, lng: -81.3784 },
+    difficulty_score: 0.8,
+    status: 'open',
+    preferred_skills: ['Mowing', 'Edging', 'Trimming'],
+    estimated_hours: 3,
+    property_size: 'large',
+    terrain_type: 'hilly',
+    grass_type: 'KentuckyBluegrass',
+    regional_factors: ['ClayLoam'],
+    historical_data: {
+      avg_completion_time: 3.2,
+      cost_overruns: 0.15,
+      customer_rating: 4.3
+    }
+  },
+  {
+    id: 'site_2',
+    address: '456 Oak Ave, Massillon, OH 44646',
+    coords: { lat: 40.7967, lng: -81.5215 },
+    difficulty_score: 0.4,
+    status: 'open',
+    preferred_skills: ['Mowing', 'Fertilizing'],
+    estimated_hours: 1.5,
+    property_size: 'medium',
+    terrain_type: 'flat',
+    grass_type: 'Bermuda',
+    regional_factors: ['SandyLoam'],
+    historical_data: {
+      avg_completion_time: 1.4,
+      cost_overruns: 0.02,
+      customer_rating: 4.8
+    }
   }
 ];
 
-// Initialize all customers in RealGreen CRM
-customers.forEach(customer => {
-  realGreenCRM.createCustomer(customer);
+const SEED_WORKERS = [
+  {
+    id: 'worker_1',
+    name: 'John Smith',
+    skills: ['Mowing', 'Edging', 'Trimming', 'Fertilizing'],
+    home_coords: { lat: 40.8000, lng: -81.4000 },
+    rating: 4.8,
+    hourly_rate: 25,
+    active_assignment_ids: [],
+    certifications: ['PesticideApplicator', 'LandscapeDesign'],
+    years_experience: 8,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.92,
+      quality_consistency: 0.88,
+      customer_satisfaction: 4.8,
+      specialization_factors: {
+        LargeLawns: 0.95,
+        HillyTerrain: 0.82,
+        KentuckyBluegrass: 0.91,
+        ClayLoam: 0.85
+      },
+      regional_expertise: ['Canton', 'NorthCanton']
+    }
+  },
+  {
+    id: 'worker_2',
+    name: 'Maria Garcia',
+    skills: ['Mowing', 'Planting', 'Landscaping', 'WeedControl', 'LandscapeDesign'],
+    home_coords: { lat: 40.7900, lng: -81.4500 },
+    rating: 4.9,
+    hourly_rate: 28,
+    active_assignment_ids: [],
+    certifications: ['MasterGardener', 'IrrigationSpecialist', 'PesticideApplicator'],
+    years_experience: 12,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.96,
+      quality_consistency: 0.94,
+      customer_satisfaction: 4.9,
+      specialization_factors: {
+        DelicateLandscaping: 0.98,
+        WeedControl: 0.95,
+        Bermuda: 0.92,
+        SandyLoam: 0.88
+      },
+      regional_expertise: ['Massillon', 'PerryTownship']
+    }
+  },
+  {
+    id: 'worker_3',
+    name: 'David Brown',
+    skills: ['Mowing', 'Aeration', 'Seeding', 'TreeTrimming'],
+    home_coords: { lat: 40.8200, lng: -81.3600 },
+    rating: 4.7,
+    hourly_rate: 26,
+    active_assignment_ids: [],
+    certifications: ['Arborist', 'SafetyTraining'],
+    years_experience: 10,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.89,
+      quality_consistency: 0.91,
+      customer_satisfaction: 4.7,
+      specialization_factors: {
+        Aeration: 0.93,
+        TreeWork: 0.90,
+        CommercialProperties: 0.87
+      },
+      regional_expertise: ['Canton', 'Alliance']
+    }
+  },
+  {
+    id: 'worker_4',
+    name: 'Jennifer Wilson',
+    skills: ['Mowing', 'Fertilizing', 'PestControl', 'DiseaseManagement'],
+    home_coords: { lat: 40.8700, lng: -81.4100 },
+    rating: 4.8,
+    hourly_rate: 30,
+    active_assignment_ids: [],
+    certifications: ['CertifiedTurfManager', 'PesticideApplicator', 'IPMSpecialist'],
+    years_experience: 15,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.94,
+      quality_consistency: 0.96,
+      customer_satisfaction: 4.8,
+      specialization_factors: {
+        DiseaseControl: 0.97,
+        OrganicMethods: 0.93,
+        PremiumProperties: 0.95
+      },
+      regional_expertise: ['NorthCanton', 'Jackson']
+    }
+  },
+  {
+    id: 'worker_5',
+    name: 'Robert Martinez',
+    skills: ['Mowing', 'Edging', 'Mulching', 'Cleanup'],
+    home_coords: { lat: 40.7800, lng: -81.5300 },
+    rating: 4.5,
+    hourly_rate: 22,
+    active_assignment_ids: [],
+    certifications: ['SafetyTraining'],
+    years_experience: 5,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.85,
+      quality_consistency: 0.82,
+      customer_satisfaction: 4.5,
+      specialization_factors: {
+        BasicMowing: 0.88,
+        Cleanup: 0.90,
+        ResidentialSmall: 0.86
+      },
+      regional_expertise: ['Massillon']
+    }
+  },
+  {
+    id: 'worker_6',
+    name: 'Linda Anderson',
+    skills: ['Mowing', 'Irrigation', 'WaterManagement', 'Landscaping'],
+    home_coords: { lat: 40.8100, lng: -81.3800 },
+    rating: 4.9,
+    hourly_rate: 29,
+    active_assignment_ids: [],
+    certifications: ['CertifiedIrrigationContractor', 'WaterConservationSpecialist'],
+    years_experience: 11,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.95,
+      quality_consistency: 0.93,
+      customer_satisfaction: 4.9,
+      specialization_factors: {
+        IrrigationSystems: 0.98,
+        DroughtManagement: 0.94,
+        WaterFeatures: 0.91
+      },
+      regional_expertise: ['Canton', 'Massillon']
+    }
+  },
+  {
+    id: 'worker_7',
+    name: 'Thomas Jackson',
+    skills: ['Mowing', 'HardscapeInstallation', 'Patios', 'Retaining Walls'],
+    home_coords: { lat: 40.9100, lng: -81.1100 },
+    rating: 4.6,
+    hourly_rate: 32,
+    active_assignment_ids: [],
+    certifications: ['HardscapeProfessional', 'SafetyTraining'],
+    years_experience: 9,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.88,
+      quality_consistency: 0.90,
+      customer_satisfaction: 4.6,
+      specialization_factors: {
+        Hardscaping: 0.96,
+        StoneWork: 0.93,
+        LargeProjects: 0.89
+      },
+      regional_expertise: ['Alliance', 'Sebring']
+    }
+  },
+  {
+    id: 'worker_8',
+    name: 'Patricia Davis',
+    skills: ['Mowing', 'Pruning', 'Shrubs', 'FlowerBeds', 'Planting'],
+    home_coords: { lat: 40.7950, lng: -81.5100 },
+    rating: 4.8,
+    hourly_rate: 27,
+    active_assignment_ids: [],
+    certifications: ['MasterGardener', 'HorticulturistCertified'],
+    years_experience: 13,
+    availability: 'part_time',
+    performance_metrics: {
+      efficiency_score: 0.91,
+      quality_consistency: 0.95,
+      customer_satisfaction: 4.8,
+      specialization_factors: {
+        Ornamentals: 0.97,
+        FlowerGardens: 0.96,
+        Pruning: 0.94
+      },
+      regional_expertise: ['Massillon', 'PerryTownship']
+    }
+  },
+  {
+    id: 'worker_9',
+    name: 'Michael Thompson',
+    skills: ['Mowing', 'SnowRemoval', 'SeasonalCleanup', 'Mulching'],
+    home_coords: { lat: 40.8500, lng: -81.4200 },
+    rating: 4.4,
+    hourly_rate: 24,
+    active_assignment_ids: [],
+    certifications: ['SafetyTraining', 'SnowPlowOperator'],
+    years_experience: 6,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.83,
+      quality_consistency: 0.85,
+      customer_satisfaction: 4.4,
+      specialization_factors: {
+        WinterServices: 0.92,
+        FallCleanup: 0.88,
+        CommercialSnowRemoval: 0.90
+      },
+      regional_expertise: ['NorthCanton', 'Canton']
+    }
+  },
+  {
+    id: 'worker_10',
+    name: 'Sandra White',
+    skills: ['Mowing', 'OrganicLawnCare', 'CompostManagement', 'SoilHealth'],
+    home_coords: { lat: 40.8300, lng: -81.3500 },
+    rating: 4.9,
+    hourly_rate: 31,
+    active_assignment_ids: [],
+    certifications: ['OrganicLandCareProfessional', 'SoilScientist', 'CompostSpecialist'],
+    years_experience: 14,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.93,
+      quality_consistency: 0.97,
+      customer_satisfaction: 4.9,
+      specialization_factors: {
+        OrganicMethods: 0.99,
+        SoilRemediation: 0.96,
+        EcoFriendly: 0.98
+      },
+      regional_expertise: ['Canton', 'NorthCanton', 'Jackson']
+    }
+  },
+  {
+    id: 'worker_11',
+    name: 'Christopher Harris',
+    skills: ['Mowing', 'Edging', 'EquipmentMaintenance', 'CommercialMowing'],
+    home_coords: { lat: 40.7750, lng: -81.5400 },
+    rating: 4.6,
+    hourly_rate: 23,
+    active_assignment_ids: [],
+    certifications: ['EquipmentOperator', 'SafetyTraining'],
+    years_experience: 7,
+    availability: 'full_time',
+    performance_metrics: {
+      efficiency_score: 0.87,
+      quality_consistency: 0.86,
+      customer_satisfaction: 4.6,
+      specialization_factors: {
+        LargeCommercial: 0.91,
+        EquipmentSkills: 0.93,
+        FastPaced: 0.89
+      },
+      regional_expertise: ['Massillon']
+    }
+  },
+  {
+    id: 'worker_12',
+    name: 'Elizabeth Moore',
+    skills: ['Mowing', 'ColorDesign', 'Annuals', 'Perennials', 'Landscaping'],
+    home_coords: { lat: 40.8650, lng: -81.4150 },
+    rating: 4.7,
+    hourly_rate: 28,
+    active_assignment_ids: [],
+    certifications: ['LandscapeDesigner', 'ColorTheoryCertified'],
+    years_experience: 10,
+    availability: 'part_time',
+    performance_metrics: {
+      efficiency_score: 0.90,
+      quality_consistency: 0.92,
+      customer_satisfaction: 4.7,
+      specialization_factors: {
+        ColorSchemes: 0.95,
+        SeasonalDisplays: 0.94,
+        DesignConsultation: 0.93
+      },
+      regional_expertise: ['NorthCanton']
+    }
+  }
+];
+
+// ==================== REALGREEN CRM SIMULATION ====================
+
+// Emits CRM events (service_completed, communication_logged, invoice_overdue,
+// invoice_paid, quote_sent, quote_accepted, quote_declined) that other subsystems react to.
+// communication_analyzed is emitted by the CommunicationAnalyzer once sentiment is scored.
+class RealGreenCRM extends EventEmitter {
+  constructor(repository) {
+    super();
+    this.repository = repository;
+  }
+
+  get serviceTickets() {
+    return this.repository.all('service_tickets');
+  }
+
+  get invoices() {
+    return this.repository.all('invoices');
+  }
+
+  get communications() {
+    return this.repository.all('communications');
+  }
+
+  // Customer lifecycle management
+  createCustomer(customerData) {
+    const customer = {
+      ...customerData,
+      crm_id: `RG${Date.now()}`,
+      created_at: new Date().toISOString(),
+      lifecycle_stage: 'lead', // lead, prospect, active, at_risk, inactive
+      lifecycle_history: [],
+      churn_risk: null,
+      lifetime_value: 0,
+      next_service_date: null,
+      account_manager: null
+    };
+    this.repository.insert('crm_customers', customer);
+    return customer;
+  }
+
+  // Service ticket management
+  createServiceTicket(customerId, serviceType, priority = 'medium', details = {}) {
+    const ticket = {
+      id: `ticket_${uuidv4()}`,
+      customer_id: customerId,
+      service_type: serviceType,
+      status: 'open', // open, scheduled, in_progress, completed, cancelled
+      priority: priority, // low, medium, high, urgent
+      created_at: new Date().toISOString(),
+      scheduled_date: null,
+      scheduled_start: null,
+      scheduled_end: null,
+      assigned_worker: null,
+      estimated_cost: 0,
+      actual_cost: 0,
+      ...details
+    };
+    this.repository.insert('service_tickets', ticket);
+    return ticket;
+  }
+
+  // Invoice generation
+  generateInvoice(customerId, amount, services, details = {}) {
+    const invoice = {
+      id: `INV-${Date.now()}-${uuidv4().slice(0, 6)}`,
+      customer_id: customerId,
+      amount: amount,
+      services: services,
+      status: 'pending', // pending, partially_paid, paid, overdue, cancelled
+      created_at: new Date().toISOString(),
+      due_date: new Date(Date.now() + INVOICE_TERMS_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      payment_method: null,
+      billing_cycle: 'manual',
+      billing_period: null,
+      line_items: [],
+      subtotal: amount,
+      discount: 0,
+      amount_paid: 0,
+      balance: amount,
+      payments: [],
+      ...details
+    };
+    this.repository.insert('invoices', invoice);
+    return invoice;
+  }
+
+  // Communication tracking
+  logCommunication(customerId, type, content, details = {}) {
+    const comm = {
+      id: `comm_${uuidv4()}`,
+      customer_id: customerId,
+      type: type, // email, phone, sms, in_person, ai_chat, ai_chat_reply
+      content: content,
+      timestamp: new Date().toISOString(),
+      sentiment: 'neutral', // positive, neutral, negative
+      ...details
+    };
+    this.repository.insert('communications', comm);
+    this.emit('communication_logged', { customerId, communication: comm });
+    return comm;
+  }
+
+  getCustomerProfile(customerId) {
+    return this.repository.findById('crm_customers', customerId);
+  }
+
+  getCustomerServiceHistory(customerId) {
+    return this.repository.filter('service_tickets', t => t.customer_id === customerId);
+  }
+
+  getCustomerInvoices(customerId) {
+    return this.repository.filter('invoices', i => i.customer_id === customerId);
+  }
+}
+
+// Generate 20 diverse customers across Stark County
+const SEED_CUSTOMERS = [
+  {
+    id: 'cust_1',
+    name: 'Sarah Johnson',
+    email: 'sarah.johnson@email.com',
+    phone: '+1-330-555-0123',
+    address: '123 Main St, Canton, OH 44702',
+    coordinates: { lat: 40.7989, lng: -81.3784 },
+    customer_tier: 'premium',
+    service_history: [
+      { job_id: 'site_1', date: '2024-01-15', service_type: 'FullLawnCare', worker_assigned: 'John Smith', rating: 4.8, feedback: 'Excellent work on the edging!' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
+    current_issues: ['BrownPatches', 'WeedInfestation'],
+    property_type: 'residential',
+    lot_size: 0.5,
+    annual_contract_value: 2400
+  },
+  {
+    id: 'cust_2',
+    name: 'Michael Chen',
+    email: 'mchen@techcorp.com',
+    phone: '+1-330-555-0234',
+    address: '456 Oak Ave, Massillon, OH 44646',
+    coordinates: { lat: 40.7967, lng: -81.5215 },
+    customer_tier: 'standard',
+    service_history: [
+      { job_id: 'site_2', date: '2024-02-20', service_type: 'Mowing', worker_assigned: 'Maria Garcia', rating: 4.9, feedback: 'Always on time!' }
+    ],
+    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
+    current_issues: ['CrabgrassControl'],
+    property_type: 'residential',
+    lot_size: 0.33,
+    annual_contract_value: 1200
+  },
+  {
+    id: 'cust_3',
+    name: 'Jennifer Martinez',
+    email: 'jmartinez@email.com',
+    phone: '+1-330-555-0345',
+    address: '789 Maple Dr, North Canton, OH 44720',
+    coordinates: { lat: 40.8756, lng: -81.4023 },
+    customer_tier: 'premium',
+    service_history: [],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
+    current_issues: ['LawnRenovation', 'ThatchBuildup'],
+    property_type: 'residential',
+    lot_size: 0.75,
+    annual_contract_value: 3600
+  },
+  {
+    id: 'cust_4',
+    name: 'Robert Williams',
+    email: 'rwilliams@email.com',
+    phone: '+1-330-555-0456',
+    address: '234 Pine St, Alliance, OH 44601',
+    coordinates: { lat: 40.9153, lng: -81.1059 },
+    customer_tier: 'basic',
+    service_history: [
+      { job_id: 'site_3', date: '2024-03-10', service_type: 'Mowing', worker_assigned: 'David Brown', rating: 4.2, feedback: 'Good service' }
+    ],
+    preferences: { communication: 'phone', billing: 'per_service', organic_only: false },
+    current_issues: [],
+    property_type: 'residential',
+    lot_size: 0.25,
+    annual_contract_value: 800
+  },
+  {
+    id: 'cust_5',
+    name: 'Emily Davis',
+    email: 'edavis@greenvalley.com',
+    phone: '+1-330-555-0567',
+    address: '567 Elm Blvd, Canton, OH 44708',
+    coordinates: { lat: 40.8123, lng: -81.3912 },
+    customer_tier: 'premium',
+    service_history: [
+      { job_id: 'site_4', date: '2024-01-25', service_type: 'FullLawnCare', worker_assigned: 'Maria Garcia', rating: 5.0, feedback: 'Outstanding!' }
+    ],
+    preferences: { communication: 'email', billing: 'annual', organic_only: true },
+    current_issues: ['DiseaseControl'],
+    property_type: 'residential',
+    lot_size: 1.2,
+    annual_contract_value: 4800
+  },
+  {
+    id: 'cust_6',
+    name: 'David Thompson',
+    email: 'dthompson@email.com',
+    phone: '+1-330-555-0678',
+    address: '890 Cherry Ln, Massillon, OH 44647',
+    coordinates: { lat: 40.7834, lng: -81.5387 },
+    customer_tier: 'standard',
+    service_history: [],
+    preferences: { communication: 'sms', billing: 'monthly', organic_only: false },
+    current_issues: ['BareSpots', 'PoorDrainage'],
+    property_type: 'residential',
+    lot_size: 0.4,
+    annual_contract_value: 1800
+  },
+  {
+    id: 'cust_7',
+    name: 'Lisa Anderson',
+    email: 'landerson@email.com',
+    phone: '+1-330-555-0789',
+    address: '123 Walnut Ave, Canton, OH 44705',
+    coordinates: { lat: 40.7856, lng: -81.3567 },
+    customer_tier: 'basic',
+    service_history: [
+      { job_id: 'site_5', date: '2024-04-05', service_type: 'Aeration', worker_assigned: 'John Smith', rating: 4.6, feedback: 'Great improvement' }
+    ],
+    preferences: { communication: 'email', billing: 'per_service', organic_only: false },
+    current_issues: ['CompactedSoil'],
+    property_type: 'residential',
+    lot_size: 0.3,
+    annual_contract_value: 600
+  },
+  {
+    id: 'cust_8',
+    name: 'James Wilson',
+    email: 'jwilson@commercialplaza.com',
+    phone: '+1-330-555-0890',
+    address: '456 Business Pkwy, North Canton, OH 44720',
+    coordinates: { lat: 40.8623, lng: -81.4156 },
+    customer_tier: 'commercial',
+    service_history: [
+      { job_id: 'site_6', date: '2024-02-14', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.7, feedback: 'Professional service' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
+    current_issues: ['HighTrafficAreas'],
+    property_type: 'commercial',
+    lot_size: 2.5,
+    annual_contract_value: 12000
+  },
+  {
+    id: 'cust_9',
+    name: 'Patricia Moore',
+    email: 'pmoore@email.com',
+    phone: '+1-330-555-0901',
+    address: '789 Sunset Dr, Massillon, OH 44646',
+    coordinates: { lat: 40.7701, lng: -81.5123 },
+    customer_tier: 'premium',
+    service_history: [],
+    preferences: { communication: 'phone', billing: 'monthly', organic_only: true },
+    current_issues: ['MossGrowth', 'ShadeIssues'],
+    property_type: 'residential',
+    lot_size: 0.6,
+    annual_contract_value: 2800
+  },
+  {
+    id: 'cust_10',
+    name: 'Christopher Taylor',
+    email: 'ctaylor@email.com',
+    phone: '+1-330-555-1012',
+    address: '321 River Rd, Canton, OH 44706',
+    coordinates: { lat: 40.8234, lng: -81.3456 },
+    customer_tier: 'standard',
+    service_history: [
+      { job_id: 'site_7', date: '2024-03-20', service_type: 'Fertilization', worker_assigned: 'Maria Garcia', rating: 4.8, feedback: 'Lawn looks amazing!' }
+    ],
+    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
+    current_issues: ['NutrientDeficiency'],
+    property_type: 'residential',
+    lot_size: 0.45,
+    annual_contract_value: 1500
+  },
+  {
+    id: 'cust_11',
+    name: 'Nancy Jackson',
+    email: 'njackson@email.com',
+    phone: '+1-330-555-1123',
+    address: '654 Hill St, Alliance, OH 44601',
+    coordinates: { lat: 40.9234, lng: -81.1234 },
+    customer_tier: 'basic',
+    service_history: [],
+    preferences: { communication: 'email', billing: 'per_service', organic_only: false },
+    current_issues: ['OvergrownLawn'],
+    property_type: 'residential',
+    lot_size: 0.35,
+    annual_contract_value: 700
+  },
+  {
+    id: 'cust_12',
+    name: 'Daniel White',
+    email: 'dwhite@industrialpark.com',
+    phone: '+1-330-555-1234',
+    address: '987 Industrial Dr, Canton, OH 44707',
+    coordinates: { lat: 40.7923, lng: -81.3623 },
+    customer_tier: 'commercial',
+    service_history: [
+      { job_id: 'site_8', date: '2024-01-30', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.5, feedback: 'Reliable service' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
+    current_issues: ['LargeAreaMaintenance'],
+    property_type: 'commercial',
+    lot_size: 5.0,
+    annual_contract_value: 18000
+  },
+  {
+    id: 'cust_13',
+    name: 'Karen Harris',
+    email: 'kharris@email.com',
+    phone: '+1-330-555-1345',
+    address: '147 Garden Ln, Massillon, OH 44646',
+    coordinates: { lat: 40.7889, lng: -81.5289 },
+    customer_tier: 'premium',
+    service_history: [
+      { job_id: 'site_9', date: '2024-02-28', service_type: 'LandscapeDesign', worker_assigned: 'Maria Garcia', rating: 5.0, feedback: 'Beautiful work!' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: true },
+    current_issues: ['LandscapingNeeds'],
+    property_type: 'residential',
+    lot_size: 0.8,
+    annual_contract_value: 5200
+  },
+  {
+    id: 'cust_14',
+    name: 'Steven Martin',
+    email: 'smartin@email.com',
+    phone: '+1-330-555-1456',
+    address: '258 Forest Ave, North Canton, OH 44720',
+    coordinates: { lat: 40.8689, lng: -81.4267 },
+    customer_tier: 'standard',
+    service_history: [],
+    preferences: { communication: 'phone', billing: 'per_service', organic_only: false },
+    current_issues: ['TreeDebris'],
+    property_type: 'residential',
+    lot_size: 0.55,
+    annual_contract_value: 1600
+  },
+  {
+    id: 'cust_15',
+    name: 'Betty Thompson',
+    email: 'bthompson@email.com',
+    phone: '+1-330-555-1567',
+    address: '369 Meadow Rd, Canton, OH 44709',
+    coordinates: { lat: 40.8156, lng: -81.4012 },
+    customer_tier: 'premium',
+    service_history: [
+      { job_id: 'site_10', date: '2024-03-15', service_type: 'FullLawnCare', worker_assigned: 'John Smith', rating: 4.9, feedback: 'Thorough and professional' }
+    ],
+    preferences: { communication: 'email', billing: 'annual', organic_only: true },
+    current_issues: ['GrubControl'],
+    property_type: 'residential',
+    lot_size: 0.9,
+    annual_contract_value: 3900
+  },
+  {
+    id: 'cust_16',
+    name: 'Kevin Garcia',
+    email: 'kgarcia@email.com',
+    phone: '+1-330-555-1678',
+    address: '741 Valley View Dr, Massillon, OH 44647',
+    coordinates: { lat: 40.7756, lng: -81.5456 },
+    customer_tier: 'basic',
+    service_history: [],
+    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
+    current_issues: ['BasicMowing'],
+    property_type: 'residential',
+    lot_size: 0.28,
+    annual_contract_value: 550
+  },
+  {
+    id: 'cust_17',
+    name: 'Sandra Rodriguez',
+    email: 'srodriguez@email.com',
+    phone: '+1-330-555-1789',
+    address: '852 Park Ave, Alliance, OH 44601',
+    coordinates: { lat: 40.9067, lng: -81.1167 },
+    customer_tier: 'standard',
+    service_history: [
+      { job_id: 'site_11', date: '2024-04-10', service_type: 'WeedControl', worker_assigned: 'Maria Garcia', rating: 4.7, feedback: 'Effective treatment' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
+    current_issues: ['DandelionInvasion'],
+    property_type: 'residential',
+    lot_size: 0.42,
+    annual_contract_value: 1400
+  },
+  {
+    id: 'cust_18',
+    name: 'Paul Martinez',
+    email: 'pmartinez@shoppingcenter.com',
+    phone: '+1-330-555-1890',
+    address: '963 Commerce St, Canton, OH 44710',
+    coordinates: { lat: 40.8045, lng: -81.3734 },
+    customer_tier: 'commercial',
+    service_history: [
+      { job_id: 'site_12', date: '2024-02-05', service_type: 'CommercialMaintenance', worker_assigned: 'David Brown', rating: 4.6, feedback: 'Good value' }
+    ],
+    preferences: { communication: 'email', billing: 'monthly', organic_only: false },
+    current_issues: ['ParkingLotLandscaping'],
+    property_type: 'commercial',
+    lot_size: 3.2,
+    annual_contract_value: 15000
+  },
+  {
+    id: 'cust_19',
+    name: 'Dorothy Lee',
+    email: 'dlee@email.com',
+    phone: '+1-330-555-1901',
+    address: '159 Brookside Dr, North Canton, OH 44720',
+    coordinates: { lat: 40.8534, lng: -81.4089 },
+    customer_tier: 'premium',
+    service_history: [],
+    preferences: { communication: 'phone', billing: 'monthly', organic_only: true },
+    current_issues: ['SlopeErosion'],
+    property_type: 'residential',
+    lot_size: 0.65,
+    annual_contract_value: 3200
+  },
+  {
+    id: 'cust_20',
+    name: 'Mark Anderson',
+    email: 'manderson@email.com',
+    phone: '+1-330-555-2012',
+    address: '753 Countryside Ln, Massillon, OH 44646',
+    coordinates: { lat: 40.7812, lng: -81.5178 },
+    customer_tier: 'standard',
+    service_history: [
+      { job_id: 'site_13', date: '2024-03-25', service_type: 'SpringCleanup', worker_assigned: 'John Smith', rating: 4.8, feedback: 'Yard looks great!' }
+    ],
+    preferences: { communication: 'sms', billing: 'per_service', organic_only: false },
+    current_issues: ['FallLeafRemoval'],
+    property_type: 'residential',
+    lot_size: 0.48,
+    annual_contract_value: 1300
+  }
+];
+
+// ==================== REPOSITORY BOOTSTRAP ====================
+
+const repository = new DataRepository(createStorageBackend(STORAGE_BACKEND));
+const realGreenCRM = new RealGreenCRM(repository);
+
+// ==================== HELPER FUNCTIONS ====================
+
+function calculateAssignmentScore(worker, workSite) {
+  const skillMatch = calculateSkillMatch(worker.skills, workSite.preferred_skills);
+  const distance = calculateDistance(worker.home_coords, workSite.coords);
+  const distanceScore = Math.max(0, 1 - (distance / 20));
+  const availabilityScore = worker.active_assignment_ids.length === 0 ? 1 : 
+                          worker.active_assignment_ids.length <= 2 ? 0.7 : 0.3;
+  const historicalScore = worker.rating / 5;
+  const territoryScore = territoryService.territoryMatch(worker, workSite);
+
+  return (skillMatch * 0.35 + distanceScore * 0.25 + availabilityScore * 0.2 + historicalScore * 0.1 + territoryScore * 0.1);
+}
+
+function calculateSkillMatch(workerSkills, siteSkills) {
+  if (!siteSkills.length) return 0.5;
+  const matching = siteSkills.filter(skill => workerSkills.includes(skill));
+  return matching.length / siteSkills.length;
+}
+
+function calculateDistance(coord1, coord2) {
+  const R = 6371;
+  const dLat = (coord2.lat - coord1.lat) * Math.PI / 180;
+  const dLon = (coord2.lng - coord1.lng) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(coord1.lat * Math.PI / 180) * Math.cos(coord2.lat * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+async function getKGInsightsForSite(site) {
+  const region = getRegionFor(site);
+  const regionalData = kg.data.regions[region] || {};
+  const { season } = seasonResolver.forRegion(region);
+  const seasonData = kg.data.seasons[season] || {};
+  const soilData = kg.data.soilTypes[site.regional_factors?.[0]] || {};
+  const grassData = kg.data.grassTypes[site.grass_type] || {};
+  
+  return {
+    region: region,
+    climate_zone: regionalData.climateZone,
+    soil_analysis: `${site.regional_factors?.[0]} - ${soilData.drainage} drainage, pH ${soilData.pH}`,
+    grass_requirements: `${site.grass_type} - ${grassData.maintenance} maintenance, ${grassData.droughtTolerance} drought tolerance`,
+    seasonal_considerations: `${season} - optimal for ${(seasonData.optimalActivities || []).join(', ') || 'routine maintenance'}`,
+    common_weeds: regionalData.commonWeeds?.join(', ') || 'Various',
+    mowing_height: grassData.idealMowingHeight
+  };
+}
+
+// Server-sent events on an Express response. A client that disconnects doesn't
+// stop the generation; later events are just dropped.
+function openEventStream(res) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  let open = true;
+  res.on('close', () => { open = false; });
+  return {
+    send(event, data) {
+      if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (open) res.end();
+    }
+  };
+}
+
+// ==================== SCHEDULING ====================
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WEEKLY_SHIFTS = {
+  full_time: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+    .reduce((shifts, day) => ({ ...shifts, [day]: [{ start: '08:00', end: '16:00' }] }), {}),
+  part_time: ['monday', 'wednesday', 'friday']
+    .reduce((shifts, day) => ({ ...shifts, [day]: [{ start: '08:00', end: '12:00' }] }), {})
+};
+
+const SLOT_STEP_MINUTES = 30;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function fromMinutes(total) {
+  const hours = Math.floor(total / 60);
+  const minutes = Math.round(total % 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// ISO weeks are keyed by their Monday
+function mondayOf(date) {
+  return addDays(date, -((new Date(`${date}T12:00:00Z`).getUTCDay() + 6) % 7));
+}
+
+function isValidTime(time) {
+  return typeof time === 'string' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+// Round-trips through Date so impossible days like 02-30 don't roll over
+function isValidDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T12:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Subtracts busy intervals from free intervals (all in minutes since midnight)
+function subtractIntervals(free, busy) {
+  return busy.reduce((remaining, b) => remaining.flatMap(f => {
+    if (b.end <= f.start || b.start >= f.end) return [f];
+    const pieces = [];
+    if (b.start > f.start) pieces.push({ start: f.start, end: b.start });
+    if (b.end < f.end) pieces.push({ start: b.end, end: f.end });
+    return pieces;
+  }), free);
+}
+
+function intersectIntervals(a, b) {
+  return a.flatMap(x => b
+    .map(y => ({ start: Math.max(x.start, y.start), end: Math.min(x.end, y.end) }))
+    .filter(i => i.start < i.end));
+}
+
+// Worker shift templates, time off and customer time windows. Bookings are the
+// time-slotted assignments and service tickets already held by a worker.
+class SchedulingService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  getShifts(worker, date) {
+    const weekly = worker.weekly_shifts || DEFAULT_WEEKLY_SHIFTS[worker.availability] || {};
+    return (weekly[weekdayOf(date)] || []).map(s => ({ start: toMinutes(s.start), end: toMinutes(s.end) }));
+  }
+
+  getTimeOff(workerId, date) {
+    return this.repository.filter('time_off', t =>
+      t.worker_id === workerId && t.start_date <= date && t.end_date >= date
+    );
+  }
+
+  getCustomerWindows(customerId, date) {
+    const customer = customerId && this.repository.findById('customers', customerId);
+    const windows = customer?.preferences?.time_windows || [];
+    if (!windows.length) return null;
+
+    return windows
+      .filter(w => w.day === weekdayOf(date))
+      .map(w => ({ start: toMinutes(w.start), end: toMinutes(w.end) }));
+  }
+
+  getBookings(workerId, date, ignoreId = null) {
+    const assignmentBookings = this.repository
+      .filter('assignments', a =>
+        a.workerId === workerId &&
+        a.scheduledDate === date &&
+        a.scheduledStart &&
+        a.id !== ignoreId &&
+        OPEN_ASSIGNMENT_STATUSES.includes(a.status)
+      )
+      .map(a => ({ type: 'assignment', id: a.id, start: toMinutes(a.scheduledStart), end: toMinutes(a.scheduledEnd) }));
+
+    const ticketBookings = this.repository
+      .filter('service_tickets', t =>
+        t.assigned_worker === workerId &&
+        t.scheduled_date === date &&
+        t.scheduled_start &&
+        t.id !== ignoreId &&
+        !['completed', 'cancelled'].includes(t.status)
+      )
+      .map(t => ({ type: 'ticket', id: t.id, start: toMinutes(t.scheduled_start), end: toMinutes(t.scheduled_end) }));
+
+    return [...assignmentBookings, ...ticketBookings];
+  }
+
+  timeOffConflicts(worker, date) {
+    return this.getTimeOff(worker.id, date).map(t => ({
+      type: 'time_off',
+      id: t.id,
+      message: `${worker.name} is off ${t.start_date} to ${t.end_date}${t.reason ? ` (${t.reason})` : ''}`
+    }));
+  }
+
+  // Returns every reason the slot can't be booked; an empty list means it is free
+  checkConflicts({ workerId, date, start, end, customerId = null, ignoreId = null }) {
+    const worker = this.repository.findById('workers', workerId);
+    if (!worker) return [{ type: 'worker_not_found', message: `Worker ${workerId} not found` }];
+
+    const conflicts = this.timeOffConflicts(worker, date);
+    const slot = { start: toMinutes(start), end: toMinutes(end) };
+
+    const shifts = this.getShifts(worker, date);
+    if (!shifts.some(s => s.start <= slot.start && s.end >= slot.end)) {
+      conflicts.push({
+        type: 'outside_shift',
+        message: shifts.length
+          ? `${start}–${end} is outside ${worker.name}'s shift on ${weekdayOf(date)} (${shifts.map(s => `${fromMinutes(s.start)}–${fromMinutes(s.end)}`).join(', ')})`
+          : `${worker.name} has no shift on ${weekdayOf(date)}`
+      });
+    }
+
+    this.getBookings(workerId, date, ignoreId)
+      .filter(b => b.start < slot.end && b.end > slot.start)
+      .forEach(b => conflicts.push({
+        type: 'double_booking',
+        id: b.id,
+        message: `${worker.name} is already booked ${fromMinutes(b.start)}–${fromMinutes(b.end)} on ${date} (${b.type} ${b.id})`
+      }));
+
+    const windows = this.getCustomerWindows(customerId, date);
+    if (windows && !windows.some(w => w.start <= slot.start && w.end >= slot.end)) {
+      conflicts.push({
+        type: 'customer_window',
+        message: `${start}–${end} is outside the customer's time windows on ${weekdayOf(date)}`
+      });
+    }
+
+    return conflicts;
+  }
+
+  freeIntervals(worker, date, customerId = null) {
+    if (this.getTimeOff(worker.id, date).length) return [];
+
+    let free = subtractIntervals(this.getShifts(worker, date), this.getBookings(worker.id, date));
+    const windows = this.getCustomerWindows(customerId, date);
+    if (windows) free = intersectIntervals(free, windows);
+    return free;
+  }
+
+  findAvailability({ date, days = 1, durationHours = 1, workerId = null, customerId = null, skill = null }) {
+    const duration = Math.round(durationHours * 60);
+    const workers = this.repository.filter('workers', w =>
+      (!workerId || w.id === workerId) && (!skill || w.skills.includes(skill))
+    );
+
+    const results = [];
+    for (let offset = 0; offset < days; offset++) {
+      const day = addDays(date, offset);
+      workers.forEach(worker => {
+        const free = this.freeIntervals(worker, day, customerId);
+        const slots = [];
+        free.forEach(interval => {
+          for (let t = interval.start; t + duration <= interval.end; t += SLOT_STEP_MINUTES) {
+            slots.push({ start: fromMinutes(t), end: fromMinutes(t + duration) });
+          }
+        });
+        if (slots.length) {
+          results.push({
+            worker_id: worker.id,
+            worker_name: worker.name,
+            date: day,
+            free: free.map(i => ({ start: fromMinutes(i.start), end: fromMinutes(i.end) })),
+            slots
+          });
+        }
+      });
+    }
+
+    return results;
+  }
+
+  static describeConflicts(conflicts) {
+    return conflicts.map(c => c.message).join('; ');
+  }
+
+  // Validates a list of { start, end } ranges (plus `day` for customer windows)
+  static validateRanges(ranges, requireDay = false) {
+    if (!Array.isArray(ranges)) return 'Expected an array of time ranges';
+    for (const range of ranges) {
+      if (!isPlainObject(range)) return 'Each range must be an object with start and end';
+      if (!isValidTime(range.start) || !isValidTime(range.end)) return 'Times must be HH:MM';
+      if (toMinutes(range.start) >= toMinutes(range.end)) return `Range ${range.start}–${range.end} ends before it starts`;
+      if (requireDay && !WEEKDAYS.includes(range.day)) return `day must be one of: ${WEEKDAYS.join(', ')}`;
+    }
+    return null;
+  }
+}
+
+const scheduler = new SchedulingService(repository);
+
+// ==================== ASSIGNMENT LIFECYCLE ====================
+
+// scheduled → en_route → in_progress ⇄ paused → completed; any open job may be
+// cancelled, and jobs that have not started work yet may be reassigned.
+const ASSIGNMENT_TRANSITIONS = {
+  scheduled: ['en_route', 'in_progress', 'cancelled', 'reassigned'],
+  en_route: ['in_progress', 'cancelled', 'reassigned'],
+  in_progress: ['paused', 'completed', 'cancelled'],
+  paused: ['in_progress', 'cancelled', 'reassigned'],
+  completed: [],
+  cancelled: [],
+  reassigned: []
+};
+
+const ASSIGNMENT_TIMESTAMP_FIELDS = {
+  en_route: 'enRouteAt',
+  in_progress: 'startedAt',
+  paused: 'pausedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  reassigned: 'reassignedAt'
+};
+
+class AssignmentManager {
+  constructor(repository, io, scheduler) {
+    this.repository = repository;
+    this.io = io;
+    this.scheduler = scheduler;
+  }
+
+  create(workerId, siteId, scheduledDate = null, scheduledStart = null) {
+    const site = this.repository.findById('work_sites', siteId);
+    const worker = this.repository.findById('workers', workerId);
+
+    if (!site || !worker) {
+      return { success: false, error: 'Site or worker not found' };
+    }
+
+    const now = new Date().toISOString();
+    const date = scheduledDate || now.slice(0, 10);
+    const scheduledEnd = scheduledStart
+      ? fromMinutes(toMinutes(scheduledStart) + Math.round(site.estimated_hours * 60))
+      : null;
+
+    // Whole-day assignments have no slot to check, but the worker still can't be off
+    const conflicts = scheduledStart
+      ? this.scheduler.checkConflicts({
+        workerId, date, start: scheduledStart, end: scheduledEnd, customerId: findCustomerForSite(site)?.id || null
+      })
+      : this.scheduler.timeOffConflicts(worker, date);
+    if (conflicts.length) {
+      return { success: false, error: SchedulingService.describeConflicts(conflicts), conflicts };
+    }
+
+    this.repository.update('work_sites', siteId, { status: 'assigned' });
+    this.repository.update('workers', workerId, {
+      active_assignment_ids: [...worker.active_assignment_ids, siteId]
+    });
+
+    const assignment = {
+      id: `assign_${uuidv4()}`,
+      workerId,
+      siteId,
+      assignedAt: now,
+      scheduledDate: date,
+      scheduledStart,
+      scheduledEnd,
+      status: 'scheduled',
+      statusHistory: [{ status: 'scheduled', at: now, note: null }],
+      workSegments: [],
+      actualHours: null
+    };
+    this.repository.insert('assignments', assignment);
+
+    this.io.emit('assignment_created', assignment);
+    this.io.emit('site_updated', site);
+    this.io.emit('worker_updated', worker);
+
+    return { success: true, assignment, site, worker };
+  }
+
+  transition(assignmentId, nextStatus, note = null) {
+    const assignment = this.repository.findById('assignments', assignmentId);
+    if (!assignment) {
+      return { success: false, error: 'Assignment not found' };
+    }
+
+    const allowed = ASSIGNMENT_TRANSITIONS[assignment.status] || [];
+    if (!allowed.includes(nextStatus)) {
+      return {
+        success: false,
+        error: `Cannot move assignment from '${assignment.status}' to '${nextStatus}'`,
+        allowed_transitions: allowed
+      };
+    }
+
+    const now = new Date().toISOString();
+    const previousStatus = assignment.status;
+    const workSegments = [...(assignment.workSegments || [])];
+
+    // Work time is measured in segments so pauses don't count toward actual hours
+    if (nextStatus === 'in_progress') {
+      workSegments.push({ startedAt: now, endedAt: null });
+    } else if (previousStatus === 'in_progress') {
+      const openSegment = workSegments[workSegments.length - 1];
+      workSegments[workSegments.length - 1] = { ...openSegment, endedAt: now };
+    }
+
+    const changes = {
+      status: nextStatus,
+      statusHistory: [...(assignment.statusHistory || []), { status: nextStatus, at: now, note }],
+      workSegments
+    };
+    const timestampField = ASSIGNMENT_TIMESTAMP_FIELDS[nextStatus];
+    if (timestampField && !(nextStatus === 'in_progress' && assignment.startedAt)) {
+      changes[timestampField] = now;
+    }
+
+    this.repository.update('assignments', assignmentId, changes);
+    this.io.emit('assignment_updated', { assignment, from: previousStatus, to: nextStatus });
+
+    return { success: true, assignment };
+  }
+
+  complete(assignmentId, { actualHours, rating, note, materials = [] } = {}) {
+    if (rating !== undefined && rating !== null && !(Number(rating) >= 1 && Number(rating) <= 5)) {
+      return { success: false, error: 'rating must be a number from 1 to 5' };
+    }
+    const result = this.transition(assignmentId, 'completed', note);
+    if (!result.success) return result;
+
+    const { assignment } = result;
+    const hours = actualHours !== undefined && actualHours !== null
+      ? parseFloat(actualHours)
+      : AssignmentManager.measuredHours(assignment);
+    this.repository.update('assignments', assignment.id, { actualHours: hours, materials, invoiceId: null });
+
+    const worker = this.releaseWorker(assignment);
+    const site = this.recordCompletion(assignment.siteId, hours, rating);
+
+    this.io.emit('site_updated', site);
+    if (worker) this.io.emit('worker_updated', worker);
+
+    return { success: true, assignment, site, worker };
+  }
+
+  cancel(assignmentId, reason = null) {
+    const result = this.transition(assignmentId, 'cancelled', reason);
+    if (!result.success) return result;
+
+    const { assignment } = result;
+    const worker = this.releaseWorker(assignment);
+    // The site stays assigned while another open assignment still covers it
+    const stillAssigned = this.repository.find('assignments', a =>
+      a.siteId === assignment.siteId && a.id !== assignment.id && OPEN_ASSIGNMENT_STATUSES.includes(a.status)
+    );
+    const site = stillAssigned
+      ? this.repository.findById('work_sites', assignment.siteId)
+      : this.repository.update('work_sites', assignment.siteId, { status: 'open' });
+
+    if (site) this.io.emit('site_updated', site);
+    if (worker) this.io.emit('worker_updated', worker);
+
+    return { success: true, assignment, site, worker };
+  }
+
+  reassign(assignmentId, newWorkerId, reason = null) {
+    const current = this.repository.findById('assignments', assignmentId);
+    if (!current) {
+      return { success: false, error: 'Assignment not found' };
+    }
+    if (current.workerId === newWorkerId) {
+      return { success: false, error: 'Assignment is already held by that worker' };
+    }
+    if (!this.repository.findById('workers', newWorkerId)) {
+      return { success: false, error: 'Worker not found' };
+    }
+
+    const result = this.transition(assignmentId, 'reassigned', reason);
+    if (!result.success) return result;
+
+    const previousWorker = this.releaseWorker(result.assignment);
+    if (previousWorker) this.io.emit('worker_updated', previousWorker);
+
+    const created = this.create(newWorkerId, current.siteId, current.scheduledDate, current.scheduledStart);
+    if (!created.success) return created;
+
+    this.repository.update('assignments', assignmentId, { reassignedTo: created.assignment.id });
+    this.repository.update('assignments', created.assignment.id, { reassignedFrom: assignmentId });
+
+    return { success: true, assignment: result.assignment, replacement: created.assignment };
+  }
+
+  releaseWorker(assignment) {
+    const worker = this.repository.findById('workers', assignment.workerId);
+    if (!worker) return null;
+
+    const index = worker.active_assignment_ids.indexOf(assignment.siteId);
+    if (index === -1) return worker;
+
+    const remaining = [...worker.active_assignment_ids];
+    remaining.splice(index, 1);
+    return this.repository.update('workers', worker.id, { active_assignment_ids: remaining });
+  }
+
+  // Folds the finished job into the site's running averages
+  recordCompletion(siteId, hours, rating) {
+    const site = this.repository.findById('work_sites', siteId);
+    if (!site) return null;
+
+    const history = site.historical_data || {};
+    const samples = history.completed_jobs || 1;
+    const blend = (previous, value) => previous === undefined
+      ? value
+      : (previous * samples + value) / (samples + 1);
+
+    const overrun = site.estimated_hours ? (hours - site.estimated_hours) / site.estimated_hours : 0;
+    const historicalData = {
+      ...history,
+      avg_completion_time: blend(history.avg_completion_time, hours),
+      cost_overruns: blend(history.cost_overruns, overrun),
+      completed_jobs: samples + 1,
+      last_completed_at: new Date().toISOString()
+    };
+    if (rating !== undefined && rating !== null) {
+      historicalData.customer_rating = blend(history.customer_rating, Number(rating));
+    }
+
+    return this.repository.update('work_sites', siteId, {
+      status: 'completed',
+      historical_data: historicalData
+    });
+  }
+
+  static measuredHours(assignment) {
+    const ms = (assignment.workSegments || []).reduce((sum, segment) => {
+      if (!segment.endedAt) return sum;
+      return sum + (new Date(segment.endedAt) - new Date(segment.startedAt));
+    }, 0);
+    return Math.round(ms / 36000) / 100;
+  }
+}
+
+const assignmentManager = new AssignmentManager(repository, io, scheduler);
+
+// ==================== DISPATCH OPTIMIZER ====================
+
+const DAILY_HOUR_CAPACITY = { full_time: 8, part_time: 4 };
+const AVG_DRIVE_SPEED_KMH = 40;
+const OPEN_ASSIGNMENT_STATUSES = ['scheduled', 'en_route', 'in_progress', 'paused'];
+
+// Plans many sites at once: a most-constrained-first greedy pass seeds the plan,
+// then move/swap local search lowers total cost while keeping every constraint.
+class DispatchOptimizer {
+  constructor(repository, kg, scheduler, options = {}) {
+    this.repository = repository;
+    this.kg = kg;
+    this.scheduler = scheduler;
+    this.minSkillMatch = options.minSkillMatch ?? 0.5;
+    this.qualityWeightKm = options.qualityWeightKm ?? 20;
+    this.maxIterations = options.maxIterations ?? 200;
+  }
+
+  optimize(siteIds = null, date = new Date().toISOString().slice(0, 10)) {
+    const sites = this.repository.filter('work_sites', s =>
+      s.status === 'open' && (!siteIds || siteIds.includes(s.id))
+    );
+    const workers = this.repository.all('workers');
+
+    const load = new Map(workers.map(w => [w.id, this.committedHours(w, date)]));
+    const capacity = new Map(workers.map(w => [w.id, this.dailyCapacity(w, date)]));
+
+    // Candidate (site, worker) pairs that satisfy skills and certifications
+    const candidates = new Map();
+    const unassigned = [];
+    sites.forEach(site => {
+      const options = [];
+      const reasons = new Set();
+      workers.forEach(worker => {
+        const check = this.checkEligibility(worker, site);
+        if (check.eligible) {
+          options.push(this.evaluate(worker, site));
+        } else {
+          reasons.add(check.reason);
+        }
+      });
+      if (options.length) {
+        candidates.set(site.id, options.sort((a, b) => a.cost - b.cost));
+      } else {
+        unassigned.push({ siteId: site.id, address: site.address, reasons: [...reasons] });
+      }
+    });
+
+    const fits = (workerId, hours) => load.get(workerId) + hours <= capacity.get(workerId);
+
+    // Greedy: sites with the fewest eligible workers are placed first
+    const plan = new Map();
+    [...candidates.keys()]
+      .sort((a, b) => candidates.get(a).length - candidates.get(b).length)
+      .forEach(siteId => {
+        const choice = candidates.get(siteId).find(option => fits(option.workerId, option.hours));
+        if (!choice) {
+          const site = sites.find(s => s.id === siteId);
+          unassigned.push({ siteId, address: site.address, reasons: ['No eligible worker has remaining daily capacity'] });
+          return;
+        }
+        plan.set(siteId, choice);
+        load.set(choice.workerId, load.get(choice.workerId) + choice.hours);
+      });
+
+    const improvements = this.improve(plan, candidates, load, capacity);
+
+    return {
+      plan: [...plan.values()],
+      unassigned,
+      improvements,
+      load,
+      capacity
+    };
+  }
+
+  improve(plan, candidates, load, capacity) {
+    let improvements = 0;
+    const fits = (workerId, hours) => load.get(workerId) + hours <= capacity.get(workerId);
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let improved = false;
+
+      // Move: hand a site to a cheaper worker who still has room
+      for (const [siteId, current] of plan) {
+        for (const option of candidates.get(siteId)) {
+          if (option.workerId === current.workerId || option.cost >= current.cost) continue;
+          if (!fits(option.workerId, option.hours)) continue;
+
+          load.set(current.workerId, load.get(current.workerId) - current.hours);
+          load.set(option.workerId, load.get(option.workerId) + option.hours);
+          plan.set(siteId, option);
+          improved = true;
+          improvements++;
+          break;
+        }
+      }
+
+      // Swap: exchange workers between two planned sites
+      const planned = [...plan.keys()];
+      for (let i = 0; i < planned.length; i++) {
+        for (let j = i + 1; j < planned.length; j++) {
+          const a = plan.get(planned[i]);
+          const b = plan.get(planned[j]);
+          if (a.workerId === b.workerId) continue;
+
+          const aToB = candidates.get(planned[i]).find(o => o.workerId === b.workerId);
+          const bToA = candidates.get(planned[j]).find(o => o.workerId === a.workerId);
+          if (!aToB || !bToA || aToB.cost + bToA.cost >= a.cost + b.cost) continue;
+
+          const loadA = load.get(a.workerId) - a.hours + bToA.hours;
+          const loadB = load.get(b.workerId) - b.hours + aToB.hours;
+          if (loadA > capacity.get(a.workerId) || loadB > capacity.get(b.workerId)) continue;
+
+          load.set(a.workerId, loadA);
+          load.set(b.workerId, loadB);
+          plan.set(planned[i], aToB);
+          plan.set(planned[j], bToA);
+          improved = true;
+          improvements++;
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return improvements;
+  }
+
+  checkEligibility(worker, site) {
+    const skills = site.preferred_skills || [];
+    const skillMatch = calculateSkillMatch(worker.skills, skills);
+    if (skillMatch < this.minSkillMatch) {
+      return { eligible: false, reason: `Skill match below ${this.minSkillMatch}` };
+    }
+
+    // Regulated skills (KG certification: true) are never optional
+    for (const skill of skills) {
+      const accepted = this.kg.getRequiredCertifications(skill);
+      if (!accepted) continue;
+      if (!worker.skills.includes(skill)) {
+        return { eligible: false, reason: `Missing certified skill ${skill}` };
+      }
+      if (accepted.length && !accepted.some(cert => worker.certifications.includes(cert))) {
+        return { eligible: false, reason: `${skill} requires one of: ${accepted.join(', ')}` };
+      }
+    }
+
+    return { eligible: true };
+  }
+
+  evaluate(worker, site) {
+    const distance = calculateDistance(worker.home_coords, site.coords);
+    const travelHours = (distance * 2) / AVG_DRIVE_SPEED_KMH;
+    const score = calculateAssignmentScore(worker, site);
+
+    return {
+      siteId: site.id,
+      address: site.address,
+      workerId: worker.id,
+      workerName: worker.name,
+      distance_km: Math.round(distance * 100) / 100,
+      travel_hours: Math.round(travelHours * 100) / 100,
+      estimated_hours: site.estimated_hours,
+      hours: site.estimated_hours + travelHours,
+      score: Math.round(score * 1000) / 1000,
+      cost: distance + this.qualityWeightKm * (1 - score)
+    };
+  }
+
+  // Rostered hours that day (zero on time off), capped by the contract type
+  dailyCapacity(worker, date) {
+    if (this.scheduler.getTimeOff(worker.id, date).length) return 0;
+    const rostered = this.scheduler.getShifts(worker, date).reduce((sum, s) => sum + (s.end - s.start) / 60, 0);
+    return Math.min(rostered, DAILY_HOUR_CAPACITY[worker.availability] || DAILY_HOUR_CAPACITY.full_time);
+  }
+
+  // Hours already committed that day through open assignments, including round-trip travel
+  committedHours(worker, date) {
+    return this.repository
+      .filter('assignments', a =>
+        a.workerId === worker.id &&
+        a.scheduledDate === date &&
+        OPEN_ASSIGNMENT_STATUSES.includes(a.status)
+      )
+      .reduce((sum, a) => {
+        const site = this.repository.findById('work_sites', a.siteId);
+        if (!site) return sum;
+        return sum + site.estimated_hours + (calculateDistance(worker.home_coords, site.coords) * 2) / AVG_DRIVE_SPEED_KMH;
+      }, 0);
+  }
+}
+
+// ==================== ROUTE PLANNING ====================
+
+// Straight-line distance understates road distance; this is a typical urban detour ratio
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Orders a worker's stops for one day as a closed tour from and back to home:
+// nearest-neighbour construction followed by 2-opt until no segment reversal helps.
+class RoutePlanner {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  planForWorker(worker, date, startTime = '08:00') {
+    const stops = this.repository
+      .filter('assignments', a =>
+        a.workerId === worker.id &&
+        a.scheduledDate === date &&
+        !['cancelled', 'reassigned'].includes(a.status)
+      )
+      .map(assignment => ({ assignment, site: this.repository.findById('work_sites', assignment.siteId) }))
+      .filter(stop => stop.site);
+
+    const order = RoutePlanner.twoOpt(worker.home_coords, stops.map(s => s.site.coords),
+      RoutePlanner.nearestNeighbour(worker.home_coords, stops.map(s => s.site.coords)));
+
+    return this.buildItinerary(worker, date, startTime, order.map(i => stops[i]));
+  }
+
+  buildItinerary(worker, date, startTime, orderedStops) {
+    const [hours, minutes] = startTime.split(':').map(Number);
+    let clock = new Date(`${date}T00:00:00Z`);
+    clock.setUTCHours(hours, minutes || 0, 0, 0);
+    const departure = clock.toISOString();
+
+    let previous = worker.home_coords;
+    let totalDriveKm = 0;
+    let totalDriveHours = 0;
+    let totalWorkHours = 0;
+
+    const itinerary = orderedStops.map(({ assignment, site }, index) => {
+      const legKm = RoutePlanner.roadDistance(previous, site.coords);
+      const driveHours = legKm / AVG_DRIVE_SPEED_KMH;
+      const arrival = new Date(clock.getTime() + driveHours * 3600000);
+      const leave = new Date(arrival.getTime() + site.estimated_hours * 3600000);
+
+      totalDriveKm += legKm;
+      totalDriveHours += driveHours;
+      totalWorkHours += site.estimated_hours;
+      clock = leave;
+      previous = site.coords;
+
+      return {
+        sequence: index + 1,
+        assignment_id: assignment.id,
+        assignment_status: assignment.status,
+        site_id: site.id,
+        address: site.address,
+        coords: site.coords,
+        leg_distance_km: Math.round(legKm * 100) / 100,
+        drive_minutes: Math.round(driveHours * 60),
+        work_hours: site.estimated_hours,
+        arrival: arrival.toISOString(),
+        departure: leave.toISOString()
+      };
+    });
+
+    const returnKm = orderedStops.length ? RoutePlanner.roadDistance(previous, worker.home_coords) : 0;
+    totalDriveKm += returnKm;
+    totalDriveHours += returnKm / AVG_DRIVE_SPEED_KMH;
+    const returnHome = new Date(clock.getTime() + (returnKm / AVG_DRIVE_SPEED_KMH) * 3600000);
+
+    return {
+      worker_id: worker.id,
+      worker_name: worker.name,
+      date,
+      start: worker.home_coords,
+      departure,
+      return_home: returnHome.toISOString(),
+      stops: itinerary,
+      polyline: [worker.home_coords, ...itinerary.map(s => s.coords), ...(itinerary.length ? [worker.home_coords] : [])]
+        .map(c => [c.lat, c.lng]),
+      totals: {
+        stops: itinerary.length,
+        drive_km: Math.round(totalDriveKm * 100) / 100,
+        drive_hours: Math.round(totalDriveHours * 100) / 100,
+        work_hours: totalWorkHours,
+        day_hours: Math.round((totalDriveHours + totalWorkHours) * 100) / 100
+      }
+    };
+  }
+
+  static roadDistance(from, to) {
+    return calculateDistance(from, to) * ROAD_DISTANCE_FACTOR;
+  }
+
+  static nearestNeighbour(home, points) {
+    const remaining = points.map((_, i) => i);
+    const order = [];
+    let current = home;
+
+    while (remaining.length) {
+      let bestIndex = 0;
+      remaining.forEach((pointIndex, i) => {
+        if (calculateDistance(current, points[pointIndex]) < calculateDistance(current, points[remaining[bestIndex]])) {
+          bestIndex = i;
+        }
+      });
+      const [next] = remaining.splice(bestIndex, 1);
+      order.push(next);
+      current = points[next];
+    }
+
+    return order;
+  }
+
+  // Home is pinned at both ends; only the visiting order in between is reversed
+  static twoOpt(home, points, order) {
+    const tour = [home, ...order.map(i => points[i]), home];
+    const indices = [null, ...order, null];
+    const d = (a, b) => calculateDistance(a, b);
+
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 1; i < tour.length - 2; i++) {
+        for (let k = i + 1; k < tour.length - 1; k++) {
+          const delta = d(tour[i - 1], tour[k]) + d(tour[i], tour[k + 1])
+            - d(tour[i - 1], tour[i]) - d(tour[k], tour[k + 1]);
+          if (delta < -1e-9) {
+            tour.splice(i, k - i + 1, ...tour.slice(i, k + 1).reverse());
+            indices.splice(i, k - i + 1, ...indices.slice(i, k + 1).reverse());
+            improved = true;
+          }
+        }
+      }
+    }
+
+    return indices.slice(1, -1);
+  }
+}
+
+const routePlanner = new RoutePlanner(repository);
+
+// ==================== SERVICE CONTRACTS ====================
+
+const CONTRACT_HORIZON_DAYS = parseInt(process.env.CONTRACT_HORIZON_DAYS || '21', 10);
+const CONTRACT_SCHEDULER_INTERVAL_MS = parseInt(process.env.CONTRACT_SCHEDULER_INTERVAL_MS || String(60 * 60 * 1000), 10);
+
+// Recurrence rules: weekly (every `interval` weeks on `weekday`), monthly (on
+// `day_of_month`) or program (fixed calendar `steps`, each with its own service).
+const CONTRACT_TEMPLATES = {
+  weekly_mowing: {
+    name: 'Weekly Mowing',
+    services: ['Mowing'],
+    recurrence: { frequency: 'weekly', interval: 1, weekday: 'monday' },
+    season_start: '04-15',
+    season_end: '10-31'
+  },
+  biweekly_mowing: {
+    name: 'Bi-weekly Mowing',
+    services: ['Mowing'],
+    recurrence: { frequency: 'weekly', interval: 2, weekday: 'monday' },
+    season_start: '04-15',
+    season_end: '10-31'
+  },
+  fertilization_5_step: {
+    name: '5-Step Fertilization Program',
+    services: ['Fertilization'],
+    recurrence: {
+      frequency: 'program',
+      steps: [
+        { month: 4, day: 1, service_type: 'Fertilization', label: 'Step 1: Pre-emergent crabgrass control' },
+        { month: 5, day: 15, service_type: 'Fertilization', label: 'Step 2: Broadleaf weed control and feed' },
+        { month: 6, day: 30, service_type: 'Fertilization', label: 'Step 3: Summer feed and grub prevention' },
+        { month: 8, day: 15, service_type: 'Fertilization', label: 'Step 4: Late summer feed' },
+        { month: 10, day: 15, service_type: 'Fertilization', label: 'Step 5: Fall winterizer' }
+      ]
+    },
+    season_start: '03-15',
+    season_end: '11-15'
+  },
+  monthly_weed_control: {
+    name: 'Monthly Weed Control',
+    services: ['WeedControl'],
+    recurrence: { frequency: 'monthly', day_of_month: 1 },
+    season_start: '04-01',
+    season_end: '09-30'
+  }
+};
+
+function inSeason(date, seasonStart, seasonEnd) {
+  const monthDay = date.slice(5);
+  return seasonStart <= seasonEnd
+    ? monthDay >= seasonStart && monthDay <= seasonEnd
+    : monthDay >= seasonStart || monthDay <= seasonEnd; // season wraps the new year
+}
+
+// Turns contracts into concrete CRM service tickets a few weeks ahead of time
+class ContractScheduler {
+  constructor(repository, crm, io) {
+    this.repository = repository;
+    this.crm = crm;
+    this.io = io;
+    this.timer = null;
+  }
+
+  // Visits a contract implies between two dates (inclusive), as { date, service_type, label }
+  static visitsBetween(contract, from, to) {
+    const visits = [];
+    const { recurrence } = contract;
+    const anchorWeek = Math.floor(new Date(`${contract.start_date}T12:00:00Z`).getTime() / (7 * 86400000));
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (date < contract.start_date || (contract.end_date && date > contract.end_date)) continue;
+      if (!inSeason(date, contract.season_start, contract.season_end)) continue;
+
+      const d = new Date(`${date}T12:00:00Z`);
+      if (recurrence.frequency === 'weekly') {
+        const week = Math.floor(d.getTime() / (7 * 86400000));
+        if (weekdayOf(date) === recurrence.weekday && (week - anchorWeek) % (recurrence.interval || 1) === 0) {
+          contract.services.forEach(service => visits.push({ date, service_type: service, label: null }));
+        }
+      } else if (recurrence.frequency === 'monthly') {
+        if (d.getUTCDate() === recurrence.day_of_month) {
+          contract.services.forEach(service => visits.push({ date, service_type: service, label: null }));
+        }
+      } else if (recurrence.frequency === 'program') {
+        recurrence.steps
+          .filter(step => step.month === d.getUTCMonth() + 1 && step.day === d.getUTCDate())
+          .forEach(step => visits.push({ date, service_type: step.service_type, label: step.label || null }));
+      }
+    }
+
+    return visits;
+  }
+
+  materialize(horizonDays = CONTRACT_HORIZON_DAYS, today = new Date().toISOString().slice(0, 10)) {
+    const until = addDays(today, horizonDays);
+    const created = [];
+
+    this.repository.filter('contracts', c => c.status === 'active').forEach(contract => {
+      const from = contract.generated_through && contract.generated_through >= today
+        ? addDays(contract.generated_through, 1)
+        : today;
+
+      ContractScheduler.visitsBetween(contract, from, until).forEach(visit => {
+        const visitKey = `${contract.id}:${visit.date}:${visit.service_type}`;
+        // Visits withdrawn by pausing the contract don't block it from being regenerated
+        if (this.repository.find('service_tickets', t => t.contract_visit_key === visitKey && !t.withdrawn_by_contract)) return;
+
+        const ticket = this.crm.createServiceTicket(contract.customer_id, visit.service_type, 'medium', {
+          contract_id: contract.id,
+          contract_visit_key: visitKey,
+          requested_date: visit.date,
+          notes: visit.label,
+          estimated_cost: contract.pricing.per_visit
+        });
+        created.push(ticket);
+        this.io.emit('ticket_created', ticket);
+      });
+
+      this.repository.update('contracts', contract.id, { generated_through: until });
+      this.refreshNextServiceDate(contract.customer_id, today);
+    });
+
+    return { created, generated_through: until };
+  }
+
+  refreshNextServiceDate(customerId, today = new Date().toISOString().slice(0, 10)) {
+    const upcoming = this.repository
+      .filter('service_tickets', t =>
+        t.customer_id === customerId &&
+        !['completed', 'cancelled'].includes(t.status) &&
+        (t.scheduled_date || t.requested_date) >= today
+      )
+      .map(t => t.scheduled_date || t.requested_date)
+      .sort();
+
+    this.repository.update('crm_customers', customerId, { next_service_date: upcoming[0] || null });
+  }
+
+  start() {
+    const run = () => {
+      try {
+        const { created } = this.materialize();
+        if (created.length) {
+          console.log(`📅 Contract scheduler created ${created.length} service tickets`);
+        }
+      } catch (error) {
+        console.error('Contract scheduler error:', error);
+      }
+    };
+    run();
+    this.timer = setInterval(run, CONTRACT_SCHEDULER_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  // Expected visits in one full season, used to spread an annual price per visit
+  static visitsPerSeason(contract) {
+    const year = new Date().getUTCFullYear();
+    const probe = { ...contract, start_date: `${year}-01-01`, end_date: null };
+    return ContractScheduler.visitsBetween(probe, `${year}-01-01`, `${year}-12-31`).length;
+  }
+}
+
+const contractScheduler = new ContractScheduler(repository, realGreenCRM, io);
+
+// ==================== BILLING ====================
+
+const TIER_DISCOUNTS = { premium: 0.10, commercial: 0.15, standard: 0.05, basic: 0 };
+const INVOICE_TERMS_DAYS = 30;
+const BILLING_INTERVAL_MS = parseInt(process.env.BILLING_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const AGING_BUCKETS = [
+  { key: 'current', min: -Infinity, max: 0 },
+  { key: '1_30', min: 1, max: 30 },
+  { key: '31_60', min: 31, max: 60 },
+  { key: '61_90', min: 61, max: 90 },
+  { key: '90_plus', min: 91, max: Infinity }
+];
+
+const roundCents = value => Math.round(value * 100) / 100;
+
+// Sites carry no customer reference in the seed data, so fall back to the address
+function findCustomerForSite(site) {
+  if (!site) return null;
+  if (site.customer_id) return repository.findById('customers', site.customer_id);
+  return repository.find('customers', c => c.address === site.address) || null;
+}
+
+function validateMaterials(materials) {
+  if (materials === undefined) return null;
+  if (!Array.isArray(materials)) return 'materials must be an array';
+  for (const m of materials) {
+    if (!m.description || !(parseFloat(m.quantity) > 0) || !(parseFloat(m.unit_price) >= 0)) {
+      return 'each material needs a description, a positive quantity and a non-negative unit_price';
+    }
+  }
+  return null;
+}
+
+// Builds invoices from completed work according to each customer's billing cycle:
+// per_service bills every completed job, monthly bills closed months, and annual
+// bills the contract value once per year with completed work recorded against it.
+class BillingEngine {
+  constructor(repository, crm, io) {
+    this.repository = repository;
+    this.crm = crm;
+    this.io = io;
+    this.timer = null;
+  }
+
+  unbilledWork(customerId, before = null) {
+    const tickets = this.repository.filter('service_tickets', t =>
+      t.customer_id === customerId &&
+      t.status === 'completed' &&
+      !t.invoice_id &&
+      (!before || t.completed_at < before)
+    );
+    const assignments = this.repository.filter('assignments', a =>
+      a.status === 'completed' &&
+      !a.invoiceId &&
+      (!before || a.completedAt < before) &&
+      findCustomerForSite(this.repository.findById('work_sites', a.siteId))?.id === customerId
+    );
+    return { tickets, assignments };
+  }
+
+  labourLine(description, workerId, hours) {
+    const worker = workerId && this.repository.findById('workers', workerId);
+    const rate = worker ? worker.hourly_rate : 0;
+    return {
+      type: 'labour',
+      description: `${description}${worker ? ` – ${worker.name}` : ''} (${hours}h @ $${rate}/h)`,
+      quantity: hours,
+      unit_price: rate,
+      amount: roundCents(hours * rate)
+    };
+  }
+
+  materialLines(materials = []) {
+    return materials.map(m => ({
+      type: 'materials',
+      description: m.description,
+      quantity: parseFloat(m.quantity),
+      unit_price: parseFloat(m.unit_price),
+      amount: roundCents(parseFloat(m.quantity) * parseFloat(m.unit_price))
+    }));
+  }
+
+  buildLineItems(customer, { tickets, assignments }) {
+    const lines = [];
+
+    tickets.forEach(ticket => {
+      const contract = ticket.contract_id && this.repository.findById('contracts', ticket.contract_id);
+      if (contract) {
+        lines.push({
+          type: 'contract_visit',
+          description: `${ticket.service_type} – ${contract.name} (${ticket.requested_date || ticket.scheduled_date})`,
+          quantity: 1,
+          unit_price: contract.pricing.per_visit,
+          amount: roundCents(contract.pricing.per_visit),
+          ticket_id: ticket.id
+        });
+      } else if (ticket.actual_hours) {
+        lines.push({ ...this.labourLine(ticket.service_type, ticket.assigned_worker, ticket.actual_hours), ticket_id: ticket.id });
+      } else {
+        lines.push({
+          type: 'service',
+          description: ticket.service_type,
+          quantity: 1,
+          unit_price: ticket.estimated_cost || 0,
+          amount: roundCents(ticket.estimated_cost || 0),
+          ticket_id: ticket.id
+        });
+      }
+      lines.push(...this.materialLines(ticket.materials).map(l => ({ ...l, ticket_id: ticket.id })));
+    });
+
+    assignments.forEach(assignment => {
+      const site = this.repository.findById('work_sites', assignment.siteId);
+      const label = `Site work at ${site ? site.address : assignment.siteId}`;
+      lines.push({ ...this.labourLine(label, assignment.workerId, assignment.actualHours || 0), assignment_id: assignment.id });
+      lines.push(...this.materialLines(assignment.materials).map(l => ({ ...l, assignment_id: assignment.id })));
+    });
+
+    const subtotal = roundCents(lines.reduce((sum, l) => sum + l.amount, 0));
+    const discountRate = TIER_DISCOUNTS[customer.customer_tier] || 0;
+    if (discountRate && subtotal > 0) {
+      lines.push({
+        type: 'discount',
+        description: `${customer.customer_tier} tier discount (${Math.round(discountRate * 100)}%)`,
+        quantity: 1,
+        unit_price: -roundCents(subtotal * discountRate),
+        amount: -roundCents(subtotal * discountRate)
+      });
+    }
+
+    return { lines, subtotal, discount: roundCents(subtotal * discountRate), total: roundCents(subtotal * (1 - discountRate)) };
+  }
+
+  createInvoice(customer, work, details) {
+    const { lines, subtotal, discount, total } = this.buildLineItems(customer, work);
+    const services = [...new Set([
+      ...work.tickets.map(t => t.service_type),
+      ...(work.assignments.length ? ['SiteWork'] : [])
+    ])];
+
+    const invoice = this.crm.generateInvoice(customer.id, total, services, {
+      line_items: lines,
+      subtotal,
+      discount,
+      ...details,
+      ...BillingEngine.settledIfEmpty(total)
+    });
+    this.markBilled(work, invoice.id);
+    this.notify(invoice);
+    return invoice;
+  }
+
+  markBilled(work, invoiceId) {
+    work.tickets.forEach(t => this.repository.update('service_tickets', t.id, { invoice_id: invoiceId }));
+    work.assignments.forEach(a => this.repository.update('assignments', a.id, { invoiceId }));
+  }
+
+  notify(invoice) {
+    this.crm.logCommunication(invoice.customer_id, 'invoice_generated', `Invoice ${invoice.id} for ${invoice.amount}`);
+    this.io.emit('invoice_created', invoice);
+  }
+
+  runForCustomer(customer, asOf = new Date()) {
+    const cycle = customer.preferences?.billing || 'per_service';
+    const created = [];
+
+    if (cycle === 'annual') {
+      const year = String(asOf.getUTCFullYear());
+      let annual = this.repository.find('invoices', i =>
+        i.customer_id === customer.id && i.billing_cycle === 'annual' && i.billing_period === year
+      );
+      if (!annual) {
+        const discountRate = TIER_DISCOUNTS[customer.customer_tier] || 0;
+        const value = customer.annual_contract_value || 0;
+        annual = this.crm.generateInvoice(customer.id, roundCents(value * (1 - discountRate)), ['AnnualServiceContract'], {
+          line_items: [
+            { type: 'contract', description: `Annual service contract ${year}`, quantity: 1, unit_price: value, amount: value },
+            ...(discountRate ? [{
+              type: 'discount',
+              description: `${customer.customer_tier} tier discount (${Math.round(discountRate * 100)}%)`,
+              quantity: 1,
+              unit_price: -roundCents(value * discountRate),
+              amount: -roundCents(value * discountRate)
+            }] : [])
+          ],
+          subtotal: value,
+          discount: roundCents(value * discountRate),
+          billing_cycle: 'annual',
+          billing_period: year,
+          ...BillingEngine.settledIfEmpty(roundCents(value * (1 - discountRate)))
+        });
+        this.notify(annual);
+        created.push(annual);
+      }
+      this.markBilled(this.unbilledWork(customer.id), annual.id);
+      return created;
+    }
+
+    if (cycle === 'monthly') {
+      // Only months that have fully closed are billed
+      const monthStart = `${asOf.toISOString().slice(0, 7)}-01T00:00:00.000Z`;
+      const work = this.unbilledWork(customer.id, monthStart);
+      if (work.tickets.length || work.assignments.length) {
+        const months = [...new Set([...work.tickets.map(t => t.completed_at), ...work.assignments.map(a => a.completedAt)]
+          .map(date => date.slice(0, 7)))].sort();
+        created.push(this.createInvoice(customer, work, {
+          billing_cycle: 'monthly',
+          billing_period: months.length > 1 ? `${months[0]}..${months[months.length - 1]}` : months[0]
+        }));
+      }
+      return created;
+    }
+
+    // per_service: one invoice per completed job
+    const work = this.unbilledWork(customer.id);
+    work.tickets.forEach(ticket => created.push(this.createInvoice(customer, { tickets: [ticket], assignments: [] }, {
+      billing_cycle: 'per_service',
+      billing_period: ticket.completed_at.slice(0, 10)
+    })));
+    work.assignments.forEach(assignment => created.push(this.createInvoice(customer, { tickets: [], assignments: [assignment] }, {
+      billing_cycle: 'per_service',
+      billing_period: assignment.completedAt.slice(0, 10)
+    })));
+    return created;
+  }
+
+  runBillingCycle(asOf = new Date()) {
+    return this.repository.all('customers').flatMap(customer => this.runForCustomer(customer, asOf));
+  }
+
+  recordPayment(invoiceId, { amount, method = 'card', reference = null }) {
+    const invoice = this.repository.findById('invoices', invoiceId);
+    if (!invoice) {
+      return { success: false, error: 'Invoice not found' };
+    }
+    if (['paid', 'cancelled'].includes(invoice.status)) {
+      return { success: false, error: `Invoice is already ${invoice.status}` };
+    }
+
+    const value = roundCents(parseFloat(amount));
+    const balance = BillingEngine.balance(invoice);
+    if (!(value > 0)) {
+      return { success: false, error: 'Payment amount must be positive' };
+    }
+    if (value > balance) {
+      return { success: false, error: `Payment of ${value} exceeds the outstanding balance of ${balance}` };
+    }
+
+    const payment = {
+      id: `pay_${uuidv4()}`,
+      amount: value,
+      method,
+      reference,
+      received_at: new Date().toISOString()
+    };
+    const amountPaid = roundCents((invoice.amount_paid || 0) + value);
+    const remaining = roundCents(invoice.amount - amountPaid);
+    const status = remaining === 0
+      ? 'paid'
+      : (invoice.status === 'overdue' ? 'overdue' : 'partially_paid');
+
+    this.repository.update('invoices', invoice.id, {
+      payments: [...(invoice.payments || []), payment],
+      amount_paid: amountPaid,
+      balance: remaining,
+      status,
+      payment_method: method,
+      paid_at: status === 'paid' ? payment.received_at : null
+    });
+
+    const profile = this.crm.getCustomerProfile(invoice.customer_id);
+    if (profile) {
+      this.repository.update('crm_customers', profile.id, { lifetime_value: roundCents((profile.lifetime_value || 0) + value) });
+    }
+    this.crm.logCommunication(invoice.customer_id, 'payment_received', `Payment of ${value} received for ${invoice.id}`);
+    this.io.emit('invoice_updated', invoice);
+    if (status === 'paid') {
+      this.crm.emit('invoice_paid', { customerId: invoice.customer_id, invoice });
+    }
+
+    return { success: true, invoice, payment };
+  }
+
+  markOverdue(now = new Date()) {
+    const overdue = this.repository.filter('invoices', i =>
+      ['pending', 'partially_paid'].includes(i.status) && BillingEngine.balance(i) > 0 && new Date(i.due_date) < now
+    );
+    overdue.forEach(invoice => {
+      this.repository.update('invoices', invoice.id, { status: 'overdue' });
+      this.io.emit('invoice_updated', invoice);
+      this.crm.emit('invoice_overdue', { customerId: invoice.customer_id, invoice });
+    });
+    return overdue;
+  }
+
+  agingReport(now = new Date()) {
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, { count: 0, amount: 0 }]));
+    const byCustomer = {};
+
+    this.repository
+      .filter('invoices', i => !['paid', 'cancelled'].includes(i.status) && BillingEngine.balance(i) > 0)
+      .forEach(invoice => {
+        const daysPastDue = Math.floor((now - new Date(invoice.due_date)) / 86400000);
+        const bucket = AGING_BUCKETS.find(b => daysPastDue >= b.min && daysPastDue <= b.max);
+        const balance = BillingEngine.balance(invoice);
+
+        buckets[bucket.key].count++;
+        buckets[bucket.key].amount = roundCents(buckets[bucket.key].amount + balance);
+
+        if (!byCustomer[invoice.customer_id]) {
+          const customer = this.repository.findById('customers', invoice.customer_id);
+          byCustomer[invoice.customer_id] = {
+            customer_id: invoice.customer_id,
+            name: customer ? customer.name : null,
+            total: 0,
+            ...Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]))
+          };
+        }
+        byCustomer[invoice.customer_id][bucket.key] = roundCents(byCustomer[invoice.customer_id][bucket.key] + balance);
+        byCustomer[invoice.customer_id].total = roundCents(byCustomer[invoice.customer_id].total + balance);
+      });
+
+    return {
+      as_of: now.toISOString(),
+      buckets,
+      total_outstanding: roundCents(Object.values(buckets).reduce((sum, b) => sum + b.amount, 0)),
+      customers: Object.values(byCustomer).sort((a, b) => b.total - a.total)
+    };
+  }
+
+  start() {
+    const run = () => {
+      try {
+        const overdue = this.markOverdue();
+        const invoices = this.runBillingCycle();
+        if (overdue.length || invoices.length) {
+          console.log(`💵 Billing run: ${invoices.length} invoices created, ${overdue.length} marked overdue`);
+        }
+      } catch (error) {
+        console.error('Billing run error:', error);
+      }
+    };
+    run();
+    this.timer = setInterval(run, BILLING_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  // Invoices with nothing to collect (e.g. work completed without hours) are
+  // closed on creation so they can't go overdue
+  static settledIfEmpty(total) {
+    return total > 0 ? {} : { status: 'paid', balance: 0, paid_at: new Date().toISOString() };
+  }
+
+  static balance(invoice) {
+    return invoice.balance ?? roundCents(invoice.amount - (invoice.amount_paid || 0));
+  }
+}
+
+const billingEngine = new BillingEngine(repository, realGreenCRM, io);
+
+// ==================== CUSTOMER LIFECYCLE ====================
+
+const LIFECYCLE_STAGES = ['lead', 'prospect', 'active', 'at_risk', 'inactive'];
+
+// Rules are checked in order for each CRM event; the first rule whose `from`
+// stage, `event` and optional `when` guard all match decides the transition.
+const LIFECYCLE_RULES = [
+  { event: 'quote_sent', from: ['lead'], to: 'prospect', reason: 'Quote sent' },
+  { event: 'service_completed', from: ['lead', 'prospect', 'inactive'], to: 'active', reason: 'First completed service' },
+  { event: 'quote_accepted', from: ['lead', 'prospect', 'inactive'], to: 'active', reason: 'Quote accepted' },
+  {
+    event: 'communication_analyzed',
+    from: ['active', 'prospect'],
+    to: 'at_risk',
+    when: ({ communication }) => communication.sentiment === 'negative',
+    reason: 'Negative sentiment in customer communication'
+  },
+  { event: 'invoice_overdue', from: ['active', 'prospect'], to: 'at_risk', reason: 'Invoice overdue' },
+  {
+    event: 'churn_scored',
+    from: ['active'],
+    to: 'at_risk',
+    when: ({ risk }) => risk.score >= CHURN_AT_RISK_THRESHOLD,
+    reason: 'Churn risk score above threshold'
+  },
+  {
+    // Only undoes moves the churn score made; other at_risk reasons clear on their own events
+    event: 'churn_scored',
+    from: ['at_risk'],
+    to: 'active',
+    when: ({ risk, profile }) => risk.score < CHURN_RECOVERY_THRESHOLD &&
+      (profile.lifecycle_history || []).slice(-1)[0]?.event === 'churn_scored',
+    reason: 'Churn risk score back to low'
+  },
+  {
+    event: 'invoice_paid',
+    from: ['at_risk'],
+    to: 'active',
+    when: ({ customerId, repository }) => !repository.find('invoices', i => i.customer_id === customerId && i.status === 'overdue'),
+    reason: 'Overdue balance cleared'
+  }
+];
+
+// Stages staff may set by hand; rule-driven moves are not limited by this
+const MANUAL_LIFECYCLE_TRANSITIONS = {
+  lead: ['prospect', 'active', 'inactive'],
+  prospect: ['lead', 'active', 'inactive'],
+  active: ['at_risk', 'inactive'],
+  at_risk: ['active', 'inactive'],
+  inactive: ['lead', 'prospect', 'active']
+};
+
+class LifecycleManager {
+  constructor(repository, crm, io, rules = LIFECYCLE_RULES) {
+    this.repository = repository;
+    this.crm = crm;
+    this.io = io;
+    this.rules = rules;
+
+    ['quote_sent', 'quote_accepted', 'service_completed', 'communication_analyzed', 'invoice_overdue', 'invoice_paid', 'churn_scored'].forEach(event => {
+      this.crm.on(event, payload => this.handleEvent(event, payload));
+    });
+  }
+
+  handleEvent(event, payload) {
+    const customerId = payload.customerId;
+    const profile = this.crm.getCustomerProfile(customerId);
+    if (!profile) return null;
+
+    const context = { ...payload, customerId, profile, repository: this.repository };
+    const rule = this.rules.find(r =>
+      r.event === event &&
+      r.from.includes(profile.lifecycle_stage) &&
+      (!r.when || r.when(context))
+    );
+    if (!rule) return null;
+
+    return this.transition(customerId, rule.to, rule.reason, event);
+  }
+
+  transition(customerId, stage, reason, event = 'manual') {
+    const profile = this.crm.getCustomerProfile(customerId);
+    if (!profile || profile.lifecycle_stage === stage) return null;
+
+    const change = {
+      from: profile.lifecycle_stage,
+      to: stage,
+      reason,
+      event,
+      at: new Date().toISOString()
+    };
+    this.repository.update('crm_customers', customerId, {
+      lifecycle_stage: stage,
+      lifecycle_history: [...(profile.lifecycle_history || []), change]
+    });
+
+    this.io.emit('lifecycle_changed', { customerId, ...change });
+    return change;
+  }
+}
+
+const lifecycleManager = new LifecycleManager(repository, realGreenCRM, io);
+
+// ==================== COMMUNICATION ANALYSIS ====================
+
+// auto uses the LLM provider when one is configured (always the case for
+// OpenAI-compatible ones, so every analysed communication goes to it), otherwise
+// the local lexicon
+const SENTIMENT_ANALYZER = process.env.SENTIMENT_ANALYZER || 'auto';
+
+// Communications written by the customer or about their service; system events
+// and assistant replies are not scored
+const ANALYZED_COMMUNICATION_TYPES = ['ai_chat', 'email', 'sms', 'phone', 'in_person', 'ticket_note'];
+const LOGGABLE_COMMUNICATION_TYPES = ['email', 'sms', 'phone', 'in_person', 'ticket_note'];
+
+const COMMUNICATION_TOPICS = {
+  missed_visit: { label: 'Missed visit', pattern: /\b(missed|no[- ]show|skipped|forgot|didn'?t (show|come)|never (showed|came))\b/ },
+  billing_dispute: { label: 'Billing dispute', pattern: /\b(overcharg\w*|charged twice|double[- ]charged|refund|dispute\w*|wrong (amount|bill|invoice|charge))\b/ },
+  lawn_damage: { label: 'Lawn damage', pattern: /\b(damag\w*|scalp\w*|burn(ed|t)|ruts?|tore up|torn up|ruined|broke|broken)\b/ },
+  lawn_health: { label: 'Lawn health', pattern: /\b(brown|patch(es)?|weeds?|grubs?|moss|thin|bare|fungus|disease|yellow\w*)\b/ },
+  scheduling: { label: 'Scheduling', pattern: /\b(schedul\w*|reschedul\w*|appointment|book\w*|next week|tomorrow|come out)\b/ },
+  pricing: { label: 'Pricing', pattern: /\b(price|pricing|cost|quote|estimate|how much|expensive)\b/ },
+  service_quality: { label: 'Service quality', pattern: /\b(sloppy|rude|careless|uneven|poor job|great job|excellent work|professional)\b/ },
+  cancellation: { label: 'Cancellation', pattern: /\b(cancel\w*|terminat\w*|switch(ing)? (companies|providers)|stop (the )?service)\b/ }
+};
+
+// Word weights for the local model; a negation in the two words before flips the sign
+const SENTIMENT_LEXICON = {
+  amazing: 3, awesome: 3, excellent: 3, perfect: 3, wonderful: 3, fantastic: 3, love: 3,
+  beautiful: 2, great: 2, happy: 2, pleased: 2, recommend: 2, impressed: 2, lush: 2,
+  good: 1, nice: 1, thanks: 1, thank: 1, professional: 1, friendly: 1, helpful: 1, prompt: 1,
+  terrible: -3, awful: -3, horrible: -3, worst: -3, furious: -3, unacceptable: -3, ruined: -3, overcharged: -3,
+  angry: -2, upset: -2, disappointed: -2, frustrated: -2, rude: -2, sloppy: -2, poor: -2, bad: -2,
+  missed: -2, damaged: -2, wrong: -2, cancel: -2, refund: -2, complaint: -2,
+  late: -1, dead: -1, brown: -1, problem: -1, issue: -1, careless: -1, expensive: -1
+};
+const SENTIMENT_NEGATIONS = ['not', 'no', 'never', 'hardly'];
+
+function analyzeWithLexicon(text) {
+  const lower = String(text || '').toLowerCase();
+  const words = lower.match(/[a-z']+/g) || [];
+  const total = words.reduce((sum, word, i) => {
+    const weight = SENTIMENT_LEXICON[word] || 0;
+    const negated = words.slice(Math.max(0, i - 2), i).some(w => SENTIMENT_NEGATIONS.includes(w) || w.endsWith("n't"));
+    return sum + (negated ? -weight : weight);
+  }, 0);
+  const score = Math.max(-1, Math.min(1, total / 5));
+  return {
+    sentiment: score <= -0.2 ? 'negative' : score >= 0.2 ? 'positive' : 'neutral',
+    score: Math.round(score * 100) / 100,
+    topics: Object.keys(COMMUNICATION_TOPICS).filter(topic => COMMUNICATION_TOPICS[topic].pattern.test(lower))
+  };
+}
+
+const emptySentimentCounts = () => ({ positive: 0, neutral: 0, negative: 0 });
+
+// Scores communications as they are logged and rolls the results up. Analysis
+// runs one communication at a time so a burst of messages doesn't flood the
+// provider; `communication_analyzed` fires when a result is stored.
+class CommunicationAnalyzer {
+  constructor(repository, crm, agent, io, mode = SENTIMENT_ANALYZER) {
+    this.repository = repository;
+    this.crm = crm;
+    this.agent = agent;
+    this.io = io;
+    this.mode = mode;
+    this.queue = Promise.resolve();
+
+    this.crm.on('communication_logged', ({ communication }) => {
+      if (!ANALYZED_COMMUNICATION_TYPES.includes(communication.type)) return;
+      this.queue = this.queue
+        .then(() => this.process(communication))
+        .catch(error => console.error('Communication analysis error:', error));
+    });
+  }
+
+  get usesLLM() {
+    return this.mode === 'llm' || (this.mode === 'auto' && this.agent.provider.isConfigured());
+  }
+
+  async analyze(text) {
+    if (this.usesLLM) {
+      const result = await this.agent.analyzeCommunication(text);
+      if (result.success) return { ...result.value, method: 'llm' };
+    }
+    return { ...analyzeWithLexicon(text), method: 'lexicon' };
+  }
+
+  // Feedback is put down to the worker on the ticket it mentions, or else the
+  // worker on the customer's latest visit in the 30 days before it
+  workerFor(communication) {
+    if (communication.worker_id) return communication.worker_id;
+    if (communication.ticket_id) {
+      return this.repository.findById('service_tickets', communication.ticket_id)?.assigned_worker || null;
+    }
+    const day = communication.timestamp.slice(0, 10);
+    const since = addDays(day, -30);
+    const visit = this.repository
+      .filter('service_tickets', t =>
+        t.customer_id === communication.customer_id &&
+        t.assigned_worker &&
+        t.status !== 'cancelled' &&
+        t.scheduled_date && t.scheduled_date <= day && t.scheduled_date >= since
+      )
+      .sort((a, b) => b.scheduled_date.localeCompare(a.scheduled_date))[0];
+    return visit ? visit.assigned_worker : null;
+  }
+
+  store(communication, analysis) {
+    this.repository.update('communications', communication.id, {
+      sentiment: analysis.sentiment,
+      sentiment_score: analysis.score,
+      topics: analysis.topics,
+      analysis_method: analysis.method,
+      analyzed_at: new Date().toISOString(),
+      worker_id: this.workerFor(communication)
+    });
+  }
+
+  async process(communication) {
+    this.store(communication, await this.analyze(communication.content));
+    this.crm.emit('communication_analyzed', { customerId: communication.customer_id, communication });
+    this.io.emit('communication_analyzed', communication);
+    return communication;
+  }
+
+  // Scores history logged before analysis existed, with the lexicon so startup stays offline
+  backfill() {
+    const pending = this.repository.filter('communications', c =>
+      ANALYZED_COMMUNICATION_TYPES.includes(c.type) && !c.analyzed_at
+    );
+    pending.forEach(c => this.store(c, { ...analyzeWithLexicon(c.content), method: 'lexicon' }));
+    return pending.length;
+  }
+
+  analyzed(filter = () => true) {
+    return this.repository.filter('communications', c => c.analyzed_at && filter(c));
+  }
+
+  static rollup(communications) {
+    const bySentiment = emptySentimentCounts();
+    const topics = {};
+    communications.forEach(c => {
+      bySentiment[c.sentiment]++;
+      c.topics.forEach(topic => { topics[topic] = (topics[topic] || 0) + 1; });
+    });
+    const negative = communications.filter(c => c.sentiment === 'negative');
+    return {
+      analyzed: communications.length,
+      by_sentiment: bySentiment,
+      avg_score: communications.length
+        ? Math.round((communications.reduce((sum, c) => sum + c.sentiment_score, 0) / communications.length) * 100) / 100
+        : null,
+      topics,
+      last_negative_at: negative.length ? negative[negative.length - 1].timestamp : null
+    };
+  }
+
+  byCustomer() {
+    const customers = this.repository.all('customers');
+    return customers
+      .map(customer => ({ customer_id: customer.id, name: customer.name, ...CommunicationAnalyzer.rollup(this.analyzed(c => c.customer_id === customer.id)) }))
+      .filter(entry => entry.analyzed)
+      .sort((a, b) => a.avg_score - b.avg_score);
+  }
+
+  byWorker() {
+    return this.repository.all('workers')
+      .map(worker => ({ worker_id: worker.id, name: worker.name, ...CommunicationAnalyzer.rollup(this.analyzed(c => c.worker_id === worker.id)) }))
+      .filter(entry => entry.analyzed)
+      .sort((a, b) => a.avg_score - b.avg_score);
+  }
+
+  // Buckets of the last `days` days by day or ISO week (keyed by its Monday)
+  trend(days = 30, interval = 'day') {
+    const today = new Date().toISOString().slice(0, 10);
+    const since = addDays(today, -(days - 1));
+    const bucketOf = day => (interval === 'week' ? mondayOf(day) : day);
+
+    const buckets = new Map();
+    for (let day = since; day <= today; day = addDays(day, 1)) {
+      const period = bucketOf(day);
+      if (!buckets.has(period)) buckets.set(period, []);
+    }
+    this.analyzed(c => c.timestamp.slice(0, 10) >= since).forEach(c => {
+      buckets.get(bucketOf(c.timestamp.slice(0, 10)))?.push(c);
+    });
+
+    return [...buckets].map(([period, communications]) => {
+      const { analyzed, by_sentiment: bySentiment, avg_score: avgScore, topics } = CommunicationAnalyzer.rollup(communications);
+      return { period, total: analyzed, ...bySentiment, avg_score: avgScore, topics };
+    });
+  }
+}
+
+const communicationAnalyzer = new CommunicationAnalyzer(repository, realGreenCRM, aiAgent, io);
+
+const CUSTOMER_TIERS = ['basic', 'standard', 'premium', 'commercial'];
+const PROPERTY_TYPES = ['residential', 'commercial'];
+const BILLING_CYCLES = ['per_service', 'monthly', 'annual'];
+const COMMUNICATION_CHANNELS = ['email', 'sms', 'phone'];
+const CUSTOMER_FIELDS = [
+  'name', 'email', 'phone', 'address', 'coordinates', 'customer_tier', 'preferences',
+  'current_issues', 'property_type', 'lot_size', 'annual_contract_value'
+];
+
+// Returns a list of problems; `partial` skips required-field checks for PATCH
+function validateCustomerInput(data, partial = false) {
+  const errors = [];
+  const has = field => data[field] !== undefined;
+
+  if (!partial) {
+    ['name', 'email', 'address', 'coordinates'].forEach(field => {
+      if (!has(field)) errors.push(`${field} is required`);
+    });
+  }
+
+  Object.keys(data).forEach(field => {
+    if (!CUSTOMER_FIELDS.includes(field)) errors.push(`Unknown field '${field}'`);
+  });
+
+  if (has('name') && (typeof data.name !== 'string' || !data.name.trim())) errors.push('name must be a non-empty string');
+  if (has('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) errors.push('email is not valid');
+  if (has('phone') && !/^\+?[\d\s().-]{7,}$/.test(data.phone)) errors.push('phone is not valid');
+  if (has('address') && (typeof data.address !== 'string' || !data.address.trim())) errors.push('address must be a non-empty string');
+  if (has('coordinates') && !(
+    data.coordinates &&
+    Math.abs(parseFloat(data.coordinates.lat)) <= 90 &&
+    Math.abs(parseFloat(data.coordinates.lng)) <= 180
+  )) errors.push('coordinates must be { lat, lng }');
+  if (has('customer_tier') && !CUSTOMER_TIERS.includes(data.customer_tier)) errors.push(`customer_tier must be one of: ${CUSTOMER_TIERS.join(', ')}`);
+  if (has('property_type') && !PROPERTY_TYPES.includes(data.property_type)) errors.push(`property_type must be one of: ${PROPERTY_TYPES.join(', ')}`);
+  if (has('lot_size') && !(parseFloat(data.lot_size) > 0)) errors.push('lot_size must be a positive number (acres)');
+  if (has('annual_contract_value') && !(parseFloat(data.annual_contract_value) >= 0)) errors.push('annual_contract_value must be a non-negative number');
+  if (has('current_issues') && !Array.isArray(data.current_issues)) errors.push('current_issues must be an array');
+  if (has('preferences') && (!data.preferences || typeof data.preferences !== 'object' || Array.isArray(data.preferences))) {
+    errors.push('preferences must be an object');
+  } else if (has('preferences')) {
+    const prefs = data.preferences;
+    if (prefs.billing !== undefined && !BILLING_CYCLES.includes(prefs.billing)) errors.push(`preferences.billing must be one of: ${BILLING_CYCLES.join(', ')}`);
+    if (prefs.communication !== undefined && !COMMUNICATION_CHANNELS.includes(prefs.communication)) errors.push(`preferences.communication must be one of: ${COMMUNICATION_CHANNELS.join(', ')}`);
+    if (prefs.time_windows !== undefined) {
+      const problem = SchedulingService.validateRanges(prefs.time_windows, true);
+      if (problem) errors.push(`preferences.time_windows: ${problem}`);
+    }
+  }
+
+  return errors;
+}
+
+// ==================== CHURN RISK ====================
+
+const CHURN_MODEL = process.env.CHURN_MODEL || 'weighted'; // weighted, logistic
+const CHURN_AT_RISK_THRESHOLD = parseFloat(process.env.CHURN_AT_RISK_THRESHOLD || '0.5');
+const CHURN_RECOVERY_THRESHOLD = parseFloat(process.env.CHURN_RECOVERY_THRESHOLD || '0.3');
+// Anything but a positive whole number falls back to hourly; 0 or NaN would re-score non-stop
+const CHURN_SCORING_INTERVAL_MS = (ms => (Number.isInteger(ms) && ms > 0 ? ms : 60 * 60 * 1000))(
+  Number(process.env.CHURN_SCORING_INTERVAL_MS ?? String(60 * 60 * 1000))
+);
+const CHURN_LOOKBACK_DAYS = 90;
+const CHURN_MIN_TRAINING_EXAMPLES = 10;
+const CHURN_TOP_FACTORS = 3;
+
+// Each feature is scaled to 0..1 so weights read as shares of the score, and
+// names its retention action for when it is a top contributor
+const CHURN_FEATURES = {
+  low_rating: { label: 'Low service ratings', weight: 0.2, action: 'Book a quality check visit with a crew lead' },
+  negative_sentiment: { label: 'Negative recent communications', weight: 0.2, action: 'Have the account manager call about recent complaints' },
+  cancellation_intent: { label: 'Mentioned cancelling', weight: 0.15, action: 'Offer a retention discount or a lighter plan before they cancel' },
+  overdue_balance: { label: 'Overdue balance', weight: 0.15, action: 'Offer a payment plan for the overdue balance' },
+  open_issues: { label: 'Unresolved lawn issues', weight: 0.1, action: 'Send a treatment plan for the open lawn issues' },
+  late_payments: { label: 'Pays invoices late', weight: 0.1, action: 'Suggest autopay or a billing cycle that suits them' },
+  service_gap: { label: 'No recent service', weight: 0.1, action: 'Reach out to book the next visit' }
+};
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+function churnLevel(score) {
+  if (score >= CHURN_AT_RISK_THRESHOLD) return 'high';
+  if (score >= CHURN_RECOVERY_THRESHOLD) return 'medium';
+  return 'low';
+}
+
+// Scores every customer with an explainable weighted sum of features, or with a
+// logistic regression trained on customers who left versus those who stayed.
+// Scores are stored on the CRM profile and re-run on the CRM events that move
+// a feature; `churn_scored` lets lifecycle rules act on them.
+class ChurnModel {
+  constructor(repository, crm, io, mode = CHURN_MODEL) {
+    this.repository = repository;
+    this.crm = crm;
+    this.io = io;
+    this.mode = mode;
+    this.timer = null;
+
+    ['communication_analyzed', 'invoice_overdue', 'invoice_paid', 'service_completed'].forEach(event => {
+      this.crm.on(event, ({ customerId }) => {
+        try {
+          this.score(customerId);
+        } catch (error) {
+          console.error('Churn scoring error:', error);
+        }
+      });
+    });
+  }
+
+  // Latest trained regression, used when CHURN_MODEL=logistic
+  get trained() {
+    return [...this.repository.all('churn_models')].sort((a, b) => b.trained_at.localeCompare(a.trained_at))[0] || null;
+  }
+
+  get active() {
+    const trained = this.mode === 'logistic' ? this.trained : null;
+    return trained
+      ? { type: 'logistic', id: trained.id, trained_at: trained.trained_at, weights: trained.weights, bias: trained.bias }
+      : { type: 'weighted', weights: Object.fromEntries(Object.entries(CHURN_FEATURES).map(([name, f]) => [name, f.weight])) };
+  }
+
+  features(customer, now = new Date()) {
+    const profile = this.crm.getCustomerProfile(customer.id) || {};
+    const since = new Date(now.getTime() - CHURN_LOOKBACK_DAYS * 86400000).toISOString();
+
+    const ratings = (profile.service_history || []).map(s => s.rating).filter(r => typeof r === 'number');
+    const avgRating = ratings.length ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : null;
+
+    const recent = this.repository.filter('communications', c =>
+      c.customer_id === customer.id && c.analyzed_at && c.timestamp >= since
+    );
+    const negative = recent.filter(c => c.sentiment === 'negative').length;
+
+    const invoices = this.crm.getCustomerInvoices(customer.id);
+    const overdue = invoices
+      .filter(i => i.status === 'overdue')
+      .reduce((sum, i) => sum + BillingEngine.balance(i), 0);
+    const paid = invoices.filter(i => i.paid_at);
+    const paidLate = paid.filter(i => i.paid_at > i.due_date).length;
+
+    const serviceDates = [
+      ...(profile.service_history || []).map(s => s.date),
+      ...this.crm.getCustomerServiceHistory(customer.id)
+        .filter(t => t.status === 'completed')
+        .map(t => (t.completed_at || t.scheduled_date || '').slice(0, 10))
+    ].filter(Boolean).sort();
+    const lastService = serviceDates[serviceDates.length - 1];
+    const daysSinceService = lastService ? (now - new Date(`${lastService}T00:00:00Z`)) / 86400000 : null;
+
+    return {
+      low_rating: avgRating === null ? 0 : clamp01((4.5 - avgRating) / 1.5),
+      negative_sentiment: recent.length ? negative / recent.length : 0,
+      cancellation_intent: recent.some(c => (c.topics || []).includes('cancellation')) ? 1 : 0,
+      overdue_balance: overdue > 0 ? clamp01(overdue / Math.max(100, (customer.annual_contract_value || 0) * 0.25)) : 0,
+      open_issues: clamp01((customer.current_issues || []).length / 4),
+      late_payments: paid.length ? paidLate / paid.length : 0,
+      // Customers who never had a visit are leads, not churn risks
+      service_gap: daysSinceService === null ? 0 : clamp01((daysSinceService - 30) / 90)
+    };
+  }
+
+  // Contributions are weight × value: shares of the score for the weighted
+  // model, log-odds for the regression
+  predict(features, model = this.active) {
+    const contributions = Object.keys(CHURN_FEATURES).map(name => ({
+      feature: name,
+      label: CHURN_FEATURES[name].label,
+      value: Math.round(features[name] * 100) / 100,
+      contribution: Math.round((model.weights[name] || 0) * features[name] * 1000) / 1000
+    }));
+    const total = contributions.reduce((sum, c) => sum + c.contribution, 0);
+    const score = model.type === 'logistic'
+      ? sigmoid(model.bias + total)
+      : total / Object.values(model.weights).reduce((sum, w) => sum + w, 0);
+    return { score: Math.round(clamp01(score) * 100) / 100, contributions };
+  }
+
+  assess(customer, now = new Date()) {
+    const model = this.active;
+    const { score, contributions } = this.predict(this.features(customer, now), model);
+    const factors = contributions
+      .filter(c => c.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, CHURN_TOP_FACTORS);
+    return {
+      score,
+      level: churnLevel(score),
+      model: model.type,
+      factors,
+      actions: factors.map(f => CHURN_FEATURES[f.feature].action),
+      scored_at: now.toISOString()
+    };
+  }
+
+  score(customerId) {
+    const customer = this.repository.findById('customers', customerId);
+    const profile = this.crm.getCustomerProfile(customerId);
+    if (!customer || !profile) return null;
+
+    const previous = profile.churn_risk;
+    const risk = this.assess(customer);
+    this.repository.update('crm_customers', customerId, { churn_risk: risk });
+    this.crm.emit('churn_scored', { customerId, risk });
+    if (!previous || previous.level !== risk.level) {
+      this.io.emit('churn_risk_changed', { customerId, from: previous ? previous.level : null, to: risk.level, score: risk.score });
+    }
+    return risk;
+  }
+
+  scoreAll() {
+    return this.repository.all('customers').map(customer => this.score(customer.id)).filter(Boolean);
+  }
+
+  // Customers ranked by stored score, highest first
+  ranked({ level = null, limit = null } = {}) {
+    const entries = this.repository.all('customers')
+      .map(customer => {
+        const profile = this.crm.getCustomerProfile(customer.id);
+        if (!profile || !profile.churn_risk) return null;
+        return {
+          customer_id: customer.id,
+          name: customer.name,
+          customer_tier: customer.customer_tier,
+          lifecycle_stage: profile.lifecycle_stage,
+          annual_contract_value: customer.annual_contract_value || 0,
+          ...profile.churn_risk
+        };
+      })
+      .filter(entry => entry && (!level || entry.level === level))
+      .sort((a, b) => b.score - a.score || b.annual_contract_value - a.annual_contract_value);
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  // Fits a logistic regression by gradient descent: customers who went inactive
+  // after being active are churned, active customers are retained
+  train({ epochs = 500, learningRate = 0.5, l2 = 0.01 } = {}) {
+    const examples = this.repository.all('customers')
+      .map(customer => {
+        const profile = this.crm.getCustomerProfile(customer.id);
+        if (!profile) return null;
+        const wasCustomer = (profile.lifecycle_history || []).some(change => ['active', 'at_risk'].includes(change.from));
+        if (profile.lifecycle_stage === 'inactive' && wasCustomer) return { x: this.features(customer), y: 1 };
+        if (['active', 'at_risk'].includes(profile.lifecycle_stage)) return { x: this.features(customer), y: 0 };
+        return null;
+      })
+      .filter(Boolean);
+
+    const positives = examples.filter(e => e.y === 1).length;
+    if (examples.length < CHURN_MIN_TRAINING_EXAMPLES || !positives || positives === examples.length) {
+      return {
+        success: false,
+        error: `Training needs at least ${CHURN_MIN_TRAINING_EXAMPLES} labelled customers including both churned and retained ones (have ${examples.length}, ${positives} churned)`
+      };
+    }
+
+    const names = Object.keys(CHURN_FEATURES);
+    const weights = Object.fromEntries(names.map(name => [name, 0]));
+    let bias = 0;
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradients = Object.fromEntries(names.map(name => [name, l2 * weights[name]]));
+      let biasGradient = 0;
+      examples.forEach(({ x, y }) => {
+        const error = sigmoid(bias + names.reduce((sum, name) => sum + weights[name] * x[name], 0)) - y;
+        names.forEach(name => { gradients[name] += (error * x[name]) / examples.length; });
+        biasGradient += error / examples.length;
+      });
+      names.forEach(name => { weights[name] -= learningRate * gradients[name]; });
+      bias -= learningRate * biasGradient;
+    }
+
+    const candidate = { type: 'logistic', weights, bias };
+    const correct = examples.filter(({ x, y }) => (this.predict(x, candidate).score >= 0.5 ? 1 : 0) === y).length;
+    const model = {
+      id: `churn_model_${uuidv4()}`,
+      type: 'logistic',
+      weights: Object.fromEntries(names.map(name => [name, Math.round(weights[name] * 1000) / 1000])),
+      bias: Math.round(bias * 1000) / 1000,
+      examples: examples.length,
+      churned: positives,
+      training_accuracy: Math.round((correct / examples.length) * 100) / 100,
+      trained_at: new Date().toISOString()
+    };
+    this.repository.insert('churn_models', model);
+    return { success: true, model, in_use: this.mode === 'logistic' };
+  }
+
+  start() {
+    const run = () => {
+      try {
+        const scores = this.scoreAll();
+        const high = scores.filter(risk => risk.level === 'high').length;
+        if (high) console.log(`📉 Churn scoring: ${high} of ${scores.length} customers at high risk`);
+      } catch (error) {
+        console.error('Churn scoring error:', error);
+      }
+    };
+    run();
+    this.timer = setInterval(run, CHURN_SCORING_INTERVAL_MS);
+    this.timer.unref();
+  }
+}
+
+const churnModel = new ChurnModel(repository, realGreenCRM, io);
+
+// ==================== QUOTES & ESTIMATES ====================
+
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS || '30', 10);
+const QUOTE_MAX_VISITS = 52; // one visit a week for a year; accepting creates a ticket per visit
+const PRICE_BOOK_FILE = process.env.PRICE_BOOK_FILE || null;
+
+// Per-visit prices are `base + per_acre * lot_size`, scaled by the property,
+// terrain and grass multipliers, never below `minimum`, then discounted by tier.
+// `skill` is the worker skill a visit needs, used when looking for open slots
+const DEFAULT_PRICE_BOOK = {
+  services: {
+    Mowing: { description: 'Mowing, trimming and edging', base: 30, per_acre: 40, minimum: 35, default_visits: 1, skill: 'Mowing' },
+    Fertilization: { description: 'Granular fertilizer application', base: 40, per_acre: 55, minimum: 50, default_visits: 1, skill: 'Fertilizing' },
+    WeedControl: { description: 'Broadleaf and crabgrass weed control', base: 35, per_acre: 50, minimum: 45, default_visits: 1, skill: 'WeedControl' },
+    Aeration: { description: 'Core aeration', base: 60, per_acre: 90, minimum: 85, default_visits: 1, skill: 'Aeration' },
+    Overseeding: { description: 'Overseeding with matched seed blend', base: 70, per_acre: 120, minimum: 95, default_visits: 1, skill: 'Seeding' },
+    GrubControl: { description: 'Preventive grub control', base: 45, per_acre: 65, minimum: 60, default_visits: 1, skill: 'PestControl' },
+    TreeTrimming: { description: 'Tree and shrub trimming (certified arborist)', base: 120, per_acre: 80, minimum: 150, default_visits: 1, skill: 'TreeTrimming' }
+  },
+  property_type: { residential: 1, commercial: 1.2 },
+  terrain: { flat: 1, gently_sloping: 1.1, hilly: 1.25 },
+  grass_type: { KentuckyBluegrass: 1, Fescue: 1, Bermuda: 1.05 },
+  tier_discounts: TIER_DISCOUNTS,
+  default_lot_size: 0.25,
+  default_terrain: 'flat',
+  default_grass_type: 'KentuckyBluegrass'
+};
+
+// A price book file only needs the keys it overrides
+function loadPriceBook(filePath) {
+  if (!filePath) return DEFAULT_PRICE_BOOK;
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    ...DEFAULT_PRICE_BOOK,
+    ...overrides,
+    services: { ...DEFAULT_PRICE_BOOK.services, ...overrides.services }
+  };
+}
+
+// Quotes are versioned: revising one supersedes it with a new record carrying the
+// same quote_number and a higher version. Customers answer through the token link.
+class QuoteService {
+  constructor(repository, crm, io, priceBook) {
+    this.repository = repository;
+    this.crm = crm;
+    this.io = io;
+    this.priceBook = priceBook;
+  }
+
+  // Property inputs come from the request first, then the customer's site, then defaults
+  propertyFor(customer, overrides = {}) {
+    const site = this.repository.find('work_sites', s =>
+      s.customer_id === customer.id || s.address === customer.address
+    );
+    return {
+      lot_size: parseFloat(overrides.lot_size ?? customer.lot_size) || this.priceBook.default_lot_size,
+      property_type: overrides.property_type || customer.property_type || 'residential',
+      terrain_type: overrides.terrain_type || site?.terrain_type || this.priceBook.default_terrain,
+      grass_type: overrides.grass_type || site?.grass_type || this.priceBook.default_grass_type,
+      customer_tier: customer.customer_tier || 'basic'
+    };
+  }
+
+  estimate(customer, services, overrides = {}) {
+    const book = this.priceBook;
+    const property = this.propertyFor(customer, overrides);
+    const malformed = services.findIndex(s => typeof s !== 'string' && !(isPlainObject(s) && typeof s.service_type === 'string'));
+    if (malformed !== -1) {
+      return { success: false, error: `services[${malformed}] must be a service type or { service_type, visits }` };
+    }
+    const badVisits = services.findIndex(s => s.visits !== undefined &&
+      !(['number', 'string'].includes(typeof s.visits) && Number.isInteger(Number(s.visits)) && Number(s.visits) >= 1 && Number(s.visits) <= QUOTE_MAX_VISITS));
+    if (badVisits !== -1) {
+      return { success: false, error: `services[${badVisits}].visits must be a whole number from 1 to ${QUOTE_MAX_VISITS}` };
+    }
+    const unknown = services.map(s => s.service_type || s).filter(type => !book.services[type]);
+    if (unknown.length) {
+      return { success: false, error: `Unknown service(s): ${unknown.join(', ')}` };
+    }
+
+    const multiplier =
+      (book.property_type[property.property_type] ?? 1) *
+      (book.terrain[property.terrain_type] ?? 1) *
+      (book.grass_type[property.grass_type] ?? 1);
+
+    const lineItems = services.map(entry => {
+      const type = entry.service_type || entry;
+      const price = book.services[type];
+      const visits = entry.visits === undefined ? price.default_visits : Number(entry.visits);
+      const unitPrice = roundCents(Math.max(price.minimum, (price.base + price.per_acre * property.lot_size) * multiplier));
+      return {
+        type: 'service',
+        service_type: type,
+        description: price.description,
+        quantity: visits,
+        unit_price: unitPrice,
+        amount: roundCents(unitPrice * visits)
+      };
+    });
+
+    const subtotal = roundCents(lineItems.reduce((sum, l) => sum + l.amount, 0));
+    const discountRate = book.tier_discounts[property.customer_tier] || 0;
+    const discount = roundCents(subtotal * discountRate);
+
+    return {
+      success: true,
+      property,
+      multiplier: Math.round(multiplier * 1000) / 1000,
+      line_items: lineItems,
+      subtotal,
+      discount_rate: discountRate,
+      discount,
+      total: roundCents(subtotal - discount)
+    };
+  }
+
+  create(customerId, services, options = {}) {
+    const customer = this.repository.findById('customers', customerId);
+    if (!customer) return { success: false, error: 'Customer not found' };
+    if (!Array.isArray(services) || services.length === 0) {
+      return { success: false, error: 'services must be a non-empty array' };
+    }
+
+    const estimate = this.estimate(customer, services, options);
+    if (!estimate.success) return estimate;
+
+    const now = new Date();
+    const quote = {
+      id: `quote_${uuidv4()}`,
+      quote_number: options.quote_number || `Q-${now.getTime().toString(36).toUpperCase()}`,
+      version: options.version || 1,
+      customer_id: customerId,
+      status: options.draft ? 'draft' : 'sent', // draft, sent, accepted, declined, expired, superseded
+      token: uuidv4().replace(/-/g, ''),
+      property: estimate.property,
+      line_items: estimate.line_items,
+      subtotal: estimate.subtotal,
+      discount_rate: estimate.discount_rate,
+      discount: estimate.discount,
+      total: estimate.total,
+      notes: options.notes || null,
+      created_at: now.toISOString(),
+      expires_at: addDays(now.toISOString().slice(0, 10), QUOTE_VALIDITY_DAYS),
+      responded_at: null,
+      decline_reason: null,
+      ticket_ids: []
+    };
+    this.repository.insert('quotes', quote);
+
+    // Drafts stay internal until send() is called
+    if (quote.status === 'sent') this.announce(quote);
+    this.io.emit('quote_created', quote);
+    return { success: true, quote };
+  }
+
+  announce(quote) {
+    this.crm.logCommunication(quote.customer_id, 'quote_sent', `Quote ${quote.quote_number} v${quote.version} sent: ${quote.total}`);
+    this.crm.emit('quote_sent', { customerId: quote.customer_id, quote });
+  }
+
+  // Send a draft; its validity period starts now
+  send(quoteId) {
+    const quote = this.repository.findById('quotes', quoteId);
+    if (!quote) return { success: false, error: 'Quote not found' };
+    if (quote.status !== 'draft') {
+      return { success: false, error: `Quote is ${quote.status}, only drafts can be sent` };
+    }
+
+    this.repository.update('quotes', quote.id, {
+      status: 'sent',
+      expires_at: addDays(new Date().toISOString().slice(0, 10), QUOTE_VALIDITY_DAYS)
+    });
+    this.announce(quote);
+    this.io.emit('quote_updated', quote);
+    return { success: true, quote };
+  }
+
+  revise(quoteId, services, options = {}) {
+    const current = this.refreshExpiry(this.repository.findById('quotes', quoteId));
+    if (!current) return { success: false, error: 'Quote not found' };
+    if (!['draft', 'sent', 'expired'].includes(current.status)) {
+      return { success: false, error: `A ${current.status} quote cannot be revised` };
+    }
+
+    const lines = services || current.line_items.map(l => ({ service_type: l.service_type, visits: l.quantity }));
+    const result = this.create(current.customer_id, lines, {
+      ...current.property,
+      ...options,
+      notes: options.notes ?? current.notes,
+      quote_number: current.quote_number,
+      version: current.version + 1,
+      draft: current.status === 'draft'
+    });
+    if (result.success) {
+      this.repository.update('quotes', current.id, { status: 'superseded', superseded_by: result.quote.id });
+    }
+    return result;
+  }
+
+  // Expiry is applied lazily whenever a quote is read
+  refreshExpiry(quote, today = new Date().toISOString().slice(0, 10)) {
+    if (quote && quote.status === 'sent' && quote.expires_at < today) {
+      this.repository.update('quotes', quote.id, { status: 'expired' });
+    }
+    return quote;
+  }
+
+  findByToken(token) {
+    return this.refreshExpiry(this.repository.find('quotes', q => q.token === token));
+  }
+
+  respond(token, decision, reason = null) {
+    const quote = this.findByToken(token);
+    if (!quote) return { success: false, error: 'Quote not found' };
+    if (quote.status === 'draft') return { success: false, error: 'Quote has not been sent yet' };
+    if (quote.status !== 'sent') {
+      return { success: false, error: `Quote is ${quote.status} and can no longer be answered` };
+    }
+    if (!['accept', 'decline'].includes(decision)) {
+      return { success: false, error: "decision must be 'accept' or 'decline'" };
+    }
+
+    const respondedAt = new Date().toISOString();
+    if (decision === 'decline') {
+      this.repository.update('quotes', quote.id, { status: 'declined', responded_at: respondedAt, decline_reason: reason });
+      this.crm.logCommunication(quote.customer_id, 'quote_declined', `Quote ${quote.quote_number} declined${reason ? `: ${reason}` : ''}`);
+      this.crm.emit('quote_declined', { customerId: quote.customer_id, quote });
+      this.io.emit('quote_updated', quote);
+      return { success: true, quote, tickets: [] };
+    }
+
+    // One ticket per visit, each carrying its share of the discounted price
+    const factor = quote.subtotal ? quote.total / quote.subtotal : 1;
+    const tickets = quote.line_items.flatMap(line =>
+      Array.from({ length: line.quantity }, (_, i) => this.crm.createServiceTicket(quote.customer_id, line.service_type, 'medium', {
+        quote_id: quote.id,
+        estimated_cost: roundCents(line.unit_price * factor),
+        notes: line.quantity > 1 ? `${line.description} (visit ${i + 1} of ${line.quantity})` : line.description
+      }))
+    );
+
+    this.repository.update('quotes', quote.id, {
+      status: 'accepted',
+      responded_at: respondedAt,
+      ticket_ids: tickets.map(t => t.id)
+    });
+    this.crm.logCommunication(quote.customer_id, 'quote_accepted', `Quote ${quote.quote_number} accepted, ${tickets.length} ticket(s) created`);
+    this.crm.emit('quote_accepted', { customerId: quote.customer_id, quote, tickets });
+    tickets.forEach(ticket => this.io.emit('ticket_created', ticket));
+    this.io.emit('quote_updated', quote);
+    return { success: true, quote, tickets };
+  }
+
+  // Latest open quote (draft or sent) for a customer, if any
+  openQuoteFor(customerId) {
+    return this.repository
+      .filter('quotes', q => q.customer_id === customerId)
+      .map(q => this.refreshExpiry(q))
+      .filter(q => ['draft', 'sent'].includes(q.status))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))[0] || null;
+  }
+
+  static links(quote) {
+    const base = `/api/quotes/respond/${quote.token}`;
+    return { view: base, accept: `${base}/accept`, decline: `${base}/decline` };
+  }
+}
+
+const quoteService = new QuoteService(repository, realGreenCRM, io, loadPriceBook(PRICE_BOOK_FILE));
+
+// ==================== DEMAND FORECAST ====================
+
+const FORECAST_HISTORY_WEEKS = 104;
+const FORECAST_DEFAULT_WEEKS = 12;
+const FORECAST_MAX_WEEKS = 52;
+const FORECAST_Z = 1.645; // 90% interval
+const FORECAST_DEFAULT_JOB_HOURS = 1.5;
+
+// KG activities each service type belongs to, for the seasons' optimalActivities
+const SERVICE_SEASON_ACTIVITIES = {
+  Mowing: ['RegularMowing'],
+  FullLawnCare: ['RegularMowing', 'Fertilization'],
+  Fertilization: ['Fertilization', 'WinterizerFertilization'],
+  WeedControl: ['WeedControl'],
+  Aeration: ['Aeration'],
+  Overseeding: ['Overseeding'],
+  TreeTrimming: ['DormantPruning']
+};
+
+// Demand multiplier by season: peak where the KG lists the activity as optimal,
+// near zero for outdoor work in an off-season winter
+const SEASONAL_INDEX = { optimal: 1.5, other: 0.8, winter: 0.2 };
+
+// Weekly job counts per service type and region. Past demand comes from
+// completed tickets, assignments and service_history; each series gets a
+// de-seasonalised weekly level, which is projected with the seasonal index of
+// the target week. Contracted visits and booked jobs are a floor on the forecast.
+class DemandForecaster {
+  constructor(repository, crm, scheduler, seasons, priceBook) {
+    this.repository = repository;
+    this.crm = crm;
+    this.scheduler = scheduler;
+    this.seasons = seasons;
+    this.priceBook = priceBook;
+  }
+
+  seasonalIndex(serviceType, season) {
+    const activities = SERVICE_SEASON_ACTIVITIES[serviceType];
+    if (!activities) return 1;
+    const optimal = this.seasons.kg.data.seasons[season]?.optimalActivities || [];
+    if (activities.some(activity => optimal.includes(activity))) return SEASONAL_INDEX.optimal;
+    return season === 'Winter' ? SEASONAL_INDEX.winter : SEASONAL_INDEX.other;
+  }
+
+  // Seasons are resolved mid-week in the region's climate zone
+  seasonOf(region, weekStart) {
+    return this.seasons.forRegion(region, { date: addDays(weekStart, 3) }).season;
+  }
+
+  // Site work is typed by the first preferred skill a price book service needs
+  siteServiceType(site) {
+    const services = Object.entries(this.priceBook.services);
+    const match = (site?.preferred_skills || [])
+      .map(skill => services.find(([, service]) => service.skill === skill))
+      .find(Boolean);
+    return match ? match[0] : 'SiteWork';
+  }
+
+  // Past jobs as { date, service_type, region, hours }
+  history(since, until) {
+    const regions = new Map();
+    const regionOf = record => {
+      if (!record) return 'unknown';
+      if (!regions.has(record.id)) regions.set(record.id, getRegionFor(record) || 'unknown');
+      return regions.get(record.id);
+    };
+    const inRange = date => date && date >= since && date < until;
+    const jobs = [];
+
+    this.repository.filter('service_tickets', t => t.status === 'completed').forEach(ticket => {
+      const date = (ticket.completed_at || ticket.scheduled_date || '').slice(0, 10);
+      if (!inRange(date)) return;
+      const slotHours = ticket.scheduled_start && ticket.scheduled_end
+        ? (toMinutes(ticket.scheduled_end) - toMinutes(ticket.scheduled_start)) / 60
+        : null;
+      jobs.push({
+        date,
+        service_type: ticket.service_type,
+        region: regionOf(this.repository.findById('customers', ticket.customer_id)),
+        hours: ticket.actual_hours || slotHours
+      });
+    });
+
+    this.repository.filter('assignments', a => a.status === 'completed').forEach(assignment => {
+      const date = (assignment.completedAt || assignment.scheduledDate || '').slice(0, 10);
+      if (!inRange(date)) return;
+      const site = this.repository.findById('work_sites', assignment.siteId);
+      jobs.push({ date, service_type: this.siteServiceType(site), region: regionOf(site), hours: assignment.actualHours });
+    });
+
+    this.repository.all('customers').forEach(customer => {
+      const profile = this.crm.getCustomerProfile(customer.id);
+      (profile?.service_history || []).filter(entry => inRange(entry.date)).forEach(entry => {
+        jobs.push({ date: entry.date, service_type: entry.service_type, region: regionOf(customer), hours: null });
+      });
+    });
+
+    return jobs;
+  }
+
+  // Booked demand as { date, service_type, region }: contracted visits over the
+  // whole range (materialised or not), plus other open tickets and assignments
+  scheduled(from, to) {
+    const jobs = [];
+    const customerRegion = id => getRegionFor(this.repository.findById('customers', id) || {}) || 'unknown';
+
+    this.repository.filter('contracts', c => c.status === 'active').forEach(contract => {
+      const region = customerRegion(contract.customer_id);
+      const start = contract.start_date > from ? contract.start_date : from;
+      const end = contract.end_date && contract.end_date < to ? contract.end_date : to;
+      if (start > end) return;
+      ContractScheduler.visitsBetween(contract, start, end)
+        .forEach(visit => jobs.push({ date: visit.date, service_type: visit.service_type, region }));
+    });
+
+    this.repository
+      .filter('service_tickets', t => !t.contract_id && !['completed', 'cancelled'].includes(t.status))
+      .forEach(ticket => {
+        // Chat bookings only carry the customer's preferred_date until scheduled
+        const date = ticket.scheduled_date || ticket.requested_date || ticket.preferred_date;
+        if (date && date >= from && date <= to) {
+          jobs.push({ date, service_type: ticket.service_type, region: customerRegion(ticket.customer_id) });
+        }
+      });
+
+    this.repository
+      .filter('assignments', a => OPEN_ASSIGNMENT_STATUSES.includes(a.status) && a.scheduledDate >= from && a.scheduledDate <= to)
+      .forEach(assignment => {
+        const site = this.repository.findById('work_sites', assignment.siteId);
+        jobs.push({ date: assignment.scheduledDate, service_type: this.siteServiceType(site), region: getRegionFor(site || {}) || 'unknown' });
+      });
+
+    return jobs;
+  }
+
+  // Shift hours of every worker in the week, less days off
+  capacity(weekStart) {
+    return this.repository.all('workers').reduce((total, worker) => {
+      for (let offset = 0; offset < 7; offset++) {
+        const day = addDays(weekStart, offset);
+        if (this.scheduler.getTimeOff(worker.id, day).length) continue;
+        total += this.scheduler.getShifts(worker, day).reduce((sum, s) => sum + (s.end - s.start) / 60, 0);
+      }
+      return total;
+    }, 0);
+  }
+
+  forecast({ start = new Date().toISOString().slice(0, 10), weeks = FORECAST_DEFAULT_WEEKS, serviceType = null, region = null } = {}) {
+    const firstWeek = mondayOf(start);
+    const historyStart = addDays(firstWeek, -7 * FORECAST_HISTORY_WEEKS);
+    const lastDay = addDays(firstWeek, 7 * weeks - 1);
+    const matches = job => (!serviceType || job.service_type === serviceType) && (!region || job.region === region);
+    const keyOf = job => `${job.service_type}|${job.region}`;
+    const round = value => Math.round(value * 10) / 10;
+
+    const past = this.history(historyStart, firstWeek).filter(matches);
+    const booked = this.scheduled(firstWeek, lastDay).filter(matches);
+
+    // Average hours per job by service type, from jobs that recorded them
+    const hoursPerJob = {};
+    [...new Set([...past, ...booked].map(job => job.service_type))].forEach(type => {
+      const timed = past.filter(job => job.service_type === type && job.hours > 0);
+      hoursPerJob[type] = timed.length
+        ? round(timed.reduce((sum, job) => sum + job.hours, 0) / timed.length)
+        : FORECAST_DEFAULT_JOB_HOURS;
+    });
+
+    const series = new Map();
+    [...past, ...booked].forEach(job => {
+      if (!series.has(keyOf(job))) series.set(keyOf(job), { service_type: job.service_type, region: job.region, level: 0, variance: 0 });
+    });
+    series.forEach((entry, key) => {
+      const counts = new Map();
+      past.filter(job => keyOf(job) === key).forEach(job => {
+        const week = mondayOf(job.date);
+        counts.set(week, (counts.get(week) || 0) + 1);
+      });
+      const observed = [];
+      for (let w = 0; w < FORECAST_HISTORY_WEEKS; w++) {
+        const week = addDays(historyStart, 7 * w);
+        observed.push({ count: counts.get(week) || 0, index: this.seasonalIndex(entry.service_type, this.seasonOf(entry.region, week)) });
+      }
+      entry.level = observed.reduce((sum, o) => sum + o.count, 0) / observed.reduce((sum, o) => sum + o.index, 0);
+      entry.variance = observed.reduce((sum, o) => sum + (o.count - entry.level * o.index) ** 2, 0) / (observed.length - 1);
+    });
+
+    const forecastWeeks = [];
+    for (let w = 0; w < weeks; w++) {
+      const weekStart = addDays(firstWeek, 7 * w);
+      const weekEnd = addDays(weekStart, 6);
+      const rows = [...series.values()].map(entry => {
+        const season = this.seasonOf(entry.region, weekStart);
+        const expected = entry.level * this.seasonalIndex(entry.service_type, season);
+        const known = booked.filter(job => keyOf(job) === `${entry.service_type}|${entry.region}` && job.date >= weekStart && job.date <= weekEnd).length;
+        const jobs = Math.max(expected, known);
+        const margin = FORECAST_Z * Math.sqrt(Math.max(entry.variance, expected));
+        const perJob = hoursPerJob[entry.service_type];
+        return {
+          service_type: entry.service_type,
+          region: entry.region,
+          season,
+          scheduled: known,
+          jobs: round(jobs),
+          lower: round(Math.max(known, jobs - margin)),
+          upper: round(jobs + margin),
+          hours: round(jobs * perJob),
+          lower_hours: round(Math.max(known, jobs - margin) * perJob),
+          upper_hours: round((jobs + margin) * perJob)
+        };
+      }).filter(row => row.upper > 0);
+
+      const capacityHours = round(this.capacity(weekStart));
+      const total = field => round(rows.reduce((sum, row) => sum + row[field], 0));
+      const forecastHours = total('hours');
+      forecastWeeks.push({
+        week_start: weekStart,
+        week_end: weekEnd,
+        jobs: total('jobs'),
+        forecast_hours: forecastHours,
+        lower_hours: total('lower_hours'),
+        upper_hours: total('upper_hours'),
+        capacity_hours: capacityHours,
+        utilization: capacityHours ? Math.round((forecastHours / capacityHours) * 100) / 100 : null,
+        // over: the forecast itself exceeds capacity; possible: only the upper bound does
+        capacity_flag: forecastHours > capacityHours ? 'over' : total('upper_hours') > capacityHours ? 'possible' : null,
+        series: rows.sort((a, b) => b.hours - a.hours)
+      });
+    }
+
+    return {
+      start: firstWeek,
+      weeks: forecastWeeks,
+      hours_per_job: hoursPerJob,
+      history: { from: historyStart, to: addDays(firstWeek, -1), jobs: past.length },
+      confidence: 0.9,
+      flagged_weeks: forecastWeeks.filter(week => week.capacity_flag).map(week => ({ week_start: week.week_start, capacity_flag: week.capacity_flag }))
+    };
+  }
+}
+
+const demandForecaster = new DemandForecaster(repository, realGreenCRM, scheduler, seasonResolver, quoteService.priceBook);
+
+// ==================== CONVERSATION MEMORY ====================
+
+// Chat turns are communications of these types, so the CRM log is the transcript.
+// Staff replies during a handoff count as assistant turns.
+const CONVERSATION_TYPES = { user: 'ai_chat', assistant: 'ai_chat_reply', staff: 'staff_reply' };
+// Once this many turns sit outside the summary, all but the newest few are folded in
+const CONVERSATION_SUMMARY_TRIGGER = 12;
+const CONVERSATION_KEEP_RECENT = 6;
+
+// Good enough for budgeting; real tokenizers average about four characters a token
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Per-customer chat memory. Turns are stored as CRM communications; a
+// `conversations` record holds the rolling summary and `summarized_through`, the
+// id of the last turn folded into it (or the last turn before a reset).
+class ConversationMemory {
+  constructor(repository, crm, agent) {
+    this.repository = repository;
+    this.crm = crm;
+    this.agent = agent;
+    this.summarizing = new Set();
+  }
+
+  turns(customerId) {
+    const types = Object.values(CONVERSATION_TYPES);
+    return this.repository.filter('communications', c => c.customer_id === customerId && types.includes(c.type));
+  }
+
+  conversation(customerId) {
+    return this.repository.findById('conversations', customerId) || {
+      id: customerId,
+      customer_id: customerId,
+      summary: null,
+      summarized_through: null,
+      summarized_turns: 0,
+      updated_at: null
+    };
+  }
+
+  save(conversation) {
+    const changes = { ...conversation, updated_at: new Date().toISOString() };
+    if (this.repository.findById('conversations', conversation.id)) {
+      return this.repository.update('conversations', conversation.id, changes);
+    }
+    this.repository.insert('conversations', changes);
+    return changes;
+  }
+
+  // Turns after the summary, oldest first
+  unsummarized(customerId, conversation = this.conversation(customerId)) {
+    const turns = this.turns(customerId);
+    const start = turns.findIndex(turn => turn.id === conversation.summarized_through) + 1;
+    return turns.slice(start);
+  }
+
+  // The summary, then as many of the newest turns as fit the token budget
+  context(customerId, budget = CONVERSATION_TOKEN_BUDGET) {
+    const conversation = this.conversation(customerId);
+    const summary = conversation.summary
+      ? `Summary of the earlier conversation with this customer:\n${conversation.summary}`
+      : null;
+    let remaining = budget - estimateTokens(summary);
+
+    const turns = [];
+    for (const turn of this.unsummarized(customerId, conversation).reverse()) {
+      remaining -= estimateTokens(turn.content);
+      if (remaining < 0) break;
+      turns.unshift(turn);
+    }
+    return { summary, turns };
+  }
+
+  // Messages for the prompt, after the system prompt
+  history(customerId) {
+    const { summary, turns } = this.context(customerId);
+    return [
+      ...(summary ? [{ role: 'system', content: summary }] : []),
+      ...turns.map(turn => ({ role: turn.role, content: turn.content }))
+    ];
+  }
+
+  // Logs both sides of an exchange, then summarises in the background if due
+  record(customerId, message, reply) {
+    this.crm.logCommunication(customerId, CONVERSATION_TYPES.user, message, { role: 'user' });
+    this.crm.logCommunication(customerId, CONVERSATION_TYPES.assistant, reply, { role: 'assistant' });
+    this.summarize(customerId).catch(error => console.error('Conversation summary error:', error));
+  }
+
+  async summarize(customerId, force = false) {
+    if (this.summarizing.has(customerId)) return null;
+    const conversation = this.conversation(customerId);
+    const pending = this.unsummarized(customerId, conversation);
+    if (!force && pending.length <= CONVERSATION_SUMMARY_TRIGGER) return null;
+
+    const folded = pending.slice(0, Math.max(0, pending.length - CONVERSATION_KEEP_RECENT));
+    if (!folded.length) return null;
+
+    this.summarizing.add(customerId);
+    try {
+      const result = await this.agent.summarizeConversation(conversation.summary, folded);
+      // On failure the turns stay unsummarised and the budget trims them instead
+      if (!result.success) return null;
+      return this.save({
+        ...conversation,
+        summary: result.content.trim(),
+        summarized_through: folded[folded.length - 1].id,
+        summarized_turns: conversation.summarized_turns + folded.length
+      });
+    } finally {
+      this.summarizing.delete(customerId);
+    }
+  }
+
+  // Starts a fresh context; the transcript itself stays in the CRM log
+  reset(customerId) {
+    const last = this.turns(customerId).pop();
+    return this.save({
+      ...this.conversation(customerId),
+      summary: null,
+      summarized_through: last ? last.id : null,
+      summarized_turns: 0
+    });
+  }
+
+  transcript(customerId) {
+    const conversation = this.conversation(customerId);
+    const context = this.context(customerId);
+    const inContext = new Set(context.turns.map(turn => turn.id));
+    return {
+      customer_id: customerId,
+      summary: conversation.summary,
+      summarized_through: conversation.summarized_through,
+      summarized_turns: conversation.summarized_turns,
+      updated_at: conversation.updated_at,
+      context_tokens: estimateTokens(context.summary) + context.turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0),
+      token_budget: CONVERSATION_TOKEN_BUDGET,
+      messages: this.turns(customerId).map(turn => ({
+        id: turn.id,
+        role: turn.role,
+        content: turn.content,
+        timestamp: turn.timestamp,
+        sentiment: turn.sentiment,
+        agent: turn.agent || null,
+        in_context: inContext.has(turn.id)
+      }))
+    };
+  }
+
+  // Customers who have chatted in the last day
+  activeCount() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    return new Set(this.repository
+      .filter('communications', c => c.type === CONVERSATION_TYPES.user && c.timestamp >= since)
+      .map(c => c.customer_id)).size;
+  }
+}
+
+const conversationMemory = new ConversationMemory(repository, realGreenCRM, aiAgent);
+
+// ==================== HUMAN HANDOFF ====================
+
+const ESCALATION_MIN_CONFIDENCE = parseFloat(process.env.ESCALATION_MIN_CONFIDENCE || '0.4');
+const ESCALATION_KEYWORDS = (process.env.ESCALATION_KEYWORDS || 'cancel,refund,complaint,manager,lawyer')
+  .split(',')
+  .map(keyword => keyword.trim().toLowerCase())
+  .filter(Boolean);
+const ESCALATION_TIERS = ['premium', 'commercial'];
+
+const HANDOFF_HOLDING_REPLY = "I'm bringing in a member of our team who can help with this. They'll reply here shortly.";
+const HANDOFF_WAITING_REPLY = "Thanks, I've passed that on. A team member will be with you shortly.";
+
+// Checked for each customer chat message before the assistant answers. Every
+// matching rule is recorded on the handoff; any match hands the chat to staff.
+const ESCALATION_RULES = [
+  {
+    name: 'low_confidence',
+    when: ({ intent }) => !intent.fallback && intent.confidence < ESCALATION_MIN_CONFIDENCE,
+    reason: ({ intent }) => `Low intent confidence (${intent.confidence})`
+  },
+  {
+    name: 'negative_sentiment',
+    when: ({ intent }) => intent.sentiment === 'negative',
+    reason: 'Customer sounds upset'
+  },
+  {
+    name: 'priority_tier',
+    when: ({ customer, intent }) => ESCALATION_TIERS.includes(customer.customer_tier) && intent.intent === 'report_issue',
+    reason: ({ customer }) => `${customer.customer_tier} customer reporting an issue`
+  },
+  {
+    name: 'keyword',
+    when: ({ message }) => ESCALATION_KEYWORDS.some(keyword => message.toLowerCase().includes(keyword)),
+    reason: ({ message }) => `Mentions "${ESCALATION_KEYWORDS.find(keyword => message.toLowerCase().includes(keyword))}"`
+  }
+];
+
+// A handoff is waiting until a staff member claims it, then claimed until it is
+// resolved. While one is open, the customer's messages go to staff instead of
+// the assistant. Every step is logged to the CRM communications.
+class HandoffService {
+  constructor(repository, crm, memory, io, rules = ESCALATION_RULES) {
+    this.repository = repository;
+    this.crm = crm;
+    this.memory = memory;
+    this.io = io;
+    this.rules = rules;
+  }
+
+  list(status = null) {
+    const statuses = status === 'open' ? ['waiting', 'claimed'] : [].concat(status || []);
+    return this.repository
+      .filter('handoffs', h => !statuses.length || statuses.includes(h.status))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  active(customerId) {
+    return this.repository.find('handoffs', h => h.customer_id === customerId && ['waiting', 'claimed'].includes(h.status)) || null;
+  }
+
+  evaluate(context) {
+    return this.rules
+      .filter(rule => rule.when(context))
+      .map(rule => ({ rule: rule.name, reason: typeof rule.reason === 'function' ? rule.reason(context) : rule.reason }));
+  }
+
+  // Chat reply for a customer who is already with staff, or null
+  intercept(customer, message) {
+    const handoff = this.active(customer.id);
+    if (!handoff) return null;
+
+    const turn = this.crm.logCommunication(customer.id, CONVERSATION_TYPES.user, message, { role: 'user', handoff_id: handoff.id });
+    this.io.emit('handoff_message', { handoff_id: handoff.id, customer_id: customer.id, role: 'user', content: message, timestamp: turn.timestamp });
+    // Once claimed, the staff member answers over the socket
+    const response = handoff.status === 'waiting' ? HANDOFF_WAITING_REPLY : null;
+    return { success: true, response, handoff };
+  }
+
+  // Opens a handoff when the message matches an escalation rule; returns the chat reply or null
+  escalate(customer, message, intent) {
+    const reasons = this.evaluate({ customer, message, intent });
+    if (!reasons.length) return null;
+
+    const handoff = {
+      id: `handoff_${uuidv4()}`,
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_tier: customer.customer_tier,
+      status: 'waiting', // waiting, claimed, resolved
+      reasons,
+      trigger_message: message,
+      intent: intent.intent,
+      created_at: new Date().toISOString(),
+      claimed_by: null,
+      claimed_at: null,
+      resolved_by: null,
+      resolved_at: null,
+      resolution_note: null
+    };
+    this.repository.insert('handoffs', handoff);
+    this.memory.record(customer.id, message, HANDOFF_HOLDING_REPLY);
+    this.crm.logCommunication(customer.id, 'handoff_requested', `Chat handed to staff: ${reasons.map(r => r.reason).join('; ')}`, { handoff_id: handoff.id });
+    this.io.emit('handoff_requested', handoff);
+    return { success: true, response: HANDOFF_HOLDING_REPLY, handoff, escalated: true };
+  }
+
+  claim(handoff, agent) {
+    if (!agent) return { success: false, error: 'agent is required' };
+    if (handoff.status === 'claimed' && handoff.claimed_by === agent) return { success: true, handoff };
+    if (handoff.status !== 'waiting') {
+      return { success: false, error: handoff.status === 'claimed' ? `Already claimed by ${handoff.claimed_by}` : `Handoff is ${handoff.status}` };
+    }
+
+    this.repository.update('handoffs', handoff.id, { status: 'claimed', claimed_by: agent, claimed_at: new Date().toISOString() });
+    this.crm.logCommunication(handoff.customer_id, 'handoff_claimed', `${agent} took over the chat`, { handoff_id: handoff.id, agent });
+    this.io.emit('handoff_updated', handoff);
+    return { success: true, handoff };
+  }
+
+  reply(handoff, agent, content) {
+    if (handoff.status !== 'claimed' || handoff.claimed_by !== agent) {
+      return { success: false, error: 'Claim the handoff before replying' };
+    }
+    if (!content || !String(content).trim()) return { success: false, error: 'message is required' };
+
+    const turn = this.crm.logCommunication(handoff.customer_id, CONVERSATION_TYPES.staff, String(content).trim(), {
+      role: 'assistant',
+      agent,
+      handoff_id: handoff.id
+    });
+    this.io.emit('staff_reply', { handoff_id: handoff.id, customer_id: handoff.customer_id, agent, content: turn.content, timestamp: turn.timestamp });
+    return { success: true, handoff, message: turn };
+  }
+
+  // Hands the chat back to the assistant
+  resolve(handoff, agent, note = null) {
+    if (handoff.status === 'resolved') return { success: false, error: 'Handoff is already resolved' };
+    if (handoff.status === 'claimed' && handoff.claimed_by !== agent) {
+      return { success: false, error: `Claimed by ${handoff.claimed_by}` };
+    }
+
+    this.repository.update('handoffs', handoff.id, {
+      status: 'resolved',
+      resolved_by: agent || null,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note
+    });
+    this.crm.logCommunication(handoff.customer_id, 'handoff_resolved', `Handoff resolved${agent ? ` by ${agent}` : ''}${note ? `: ${note}` : ''}`, { handoff_id: handoff.id });
+    this.io.emit('handoff_updated', handoff);
+    return { success: true, handoff };
+  }
+}
+
+const handoffService = new HandoffService(repository, realGreenCRM, conversationMemory, io);
+
+// ==================== CHAT TOOLS ====================
+
+const CHAT_TOOL_MAX_STEPS = 4;
+const CHAT_ACTION_TTL_MINUTES = 30;
+const CHAT_BOOKING_HOURS = 2;
+// Only a bare yes or no settles a pending action; anything more goes to the model
+const AFFIRMATIVE_REPLY = /^\s*(yes|yep|yeah|sure|ok(ay)?|confirm(ed)?|please do|go ahead|book it)\s*[.!]?\s*$/i;
+const NEGATIVE_REPLY = /^\s*(no|nope|cancel|don'?t|never ?mind|stop)\s*[.!]?\s*$/i;
+
+const DATE_SCHEMA = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+// Tools offered to the customer chat model. Parameters are JSON schemas, checked
+// with validateSchema before anything runs. Mutating tools never run straight
+// from the model: preview() describes the change and the customer confirms it.
+const CHAT_TOOLS = {
+  check_availability: {
+    description: 'Find open appointment slots for a service over the coming days',
+    mutating: false,
+    get parameters() {
+      return {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          service_type: { type: 'string', enum: Object.keys(quoteService.priceBook.services) },
+          date: { ...DATE_SCHEMA, description: 'First day to search (YYYY-MM-DD), defaults to tomorrow' },
+          days: { type: 'integer', minimum: 1, maximum: 14 }
+        }
+      };
+    },
+    run(args, { customerId }) {
+      const date = args.date || addDays(new Date().toISOString().slice(0, 10), 1);
+      const skill = args.service_type ? quoteService.priceBook.services[args.service_type].skill : null;
+      const openings = scheduler.findAvailability({ date, days: args.days || 7, durationHours: CHAT_BOOKING_HOURS, customerId, skill })
+        .map(day => ({ worker_id: day.worker_id, worker_name: day.worker_name, date: day.date, start: day.slots[0].start, end: day.slots[0].end }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+      return { service_type: args.service_type || null, openings: openings.slice(0, 5), total_openings: openings.length };
+    }
+  },
+
+  lookup_lawn_care_knowledge: {
+    description: 'Look up the knowledge graph: the customer\'s region, a grass or soil type, a season or a skill',
+    mutating: false,
+    parameters: {
+      type: 'object',
+      required: ['topic'],
+      additionalProperties: false,
+      properties: {
+        topic: { type: 'string', enum: ['region', 'grass', 'soil', 'season', 'skill'] },
+        name: { type: 'string', minLength: 1, description: 'Defaults to the customer\'s region or the current season' }
+      }
+    },
+    run(args, { customer }) {
+      const region = getRegionFor(customer);
+      const collections = { region: 'regions', grass: 'grassTypes', soil: 'soilTypes', season: 'seasons', skill: 'skills' };
+      const defaults = { region, season: seasonResolver.forRegion(region).season };
+      const name = args.name || defaults[args.topic];
+      if (!name) throw new Error(`name is required for topic ${args.topic}`);
+      const data = kg.data[collections[args.topic]][name];
+      if (!data) throw new Error(`No ${args.topic} named ${name} in the knowledge graph`);
+      return { topic: args.topic, name, data };
+    }
+  },
+
+  get_invoice_status: {
+    description: 'List the customer\'s invoices with status and balance, or one invoice by id',
+    mutating: false,
+    parameters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        invoice_id: { type: 'string', minLength: 1 }
+      }
+    },
+    run(args, { customerId }) {
+      const invoices = realGreenCRM.getCustomerInvoices(customerId)
+        .filter(invoice => !args.invoice_id || invoice.id === args.invoice_id)
+        .map(invoice => ({
+          id: invoice.id,
+          status: invoice.status,
+          amount: invoice.amount,
+          balance: BillingEngine.balance(invoice),
+          due_date: invoice.due_date
+        }));
+      if (args.invoice_id && !invoices.length) throw new Error(`Invoice ${args.invoice_id} not found for this customer`);
+      return {
+        invoices,
+        outstanding_balance: roundCents(invoices.filter(i => !['paid', 'cancelled'].includes(i.status)).reduce((sum, i) => sum + i.balance, 0))
+      };
+    }
+  },
+
+  send_quote: {
+    description: 'Send the customer their open draft quote so they can accept it online. Only when they ask for it. Needs customer confirmation.',
+    mutating: true,
+    parameters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {}
+    },
+    preview(args, { customerId }) {
+      const quote = quoteService.openQuoteFor(customerId);
+      if (!quote) return { errors: ['There is no open quote to send'], summary: 'Send quote' };
+      return {
+        errors: quote.status === 'draft' ? [] : [`Quote ${quote.quote_number} was already sent`],
+        summary: `Send quote ${quote.quote_number} v${quote.version} ($${quote.total.toFixed(2)})`
+      };
+    },
+    run(args, { customerId }) {
+      const quote = quoteService.openQuoteFor(customerId);
+      if (!quote) throw new Error('There is no open quote to send');
+      const result = quoteService.send(quote.id);
+      if (!result.success) throw new Error(result.error);
+      return { quote: result.quote, links: QuoteService.links(result.quote) };
+    },
+    describe({ quote, links }) {
+      return `Done! Quote ${quote.quote_number} for $${quote.total.toFixed(2)} is on its way. You can accept it at ${links.accept} until ${quote.expires_at}.`;
+    }
+  },
+
+  create_service_ticket: {
+    description: 'Book a service visit. Optionally reserve a slot returned by check_availability. Needs customer confirmation.',
+    mutating: true,
+    get parameters() {
+      return {
+        type: 'object',
+        required: ['service_type'],
+        additionalProperties: false,
+        properties: {
+          service_type: { type: 'string', enum: Object.keys(quoteService.priceBook.services) },
+          preferred_date: DATE_SCHEMA,
+          priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+          notes: { type: 'string' },
+          slot: {
+            type: 'object',
+            required: ['worker_id', 'date', 'start'],
+            additionalProperties: false,
+            properties: {
+              worker_id: { type: 'string', minLength: 1 },
+              date: DATE_SCHEMA,
+              start: { type: 'string', pattern: '^\\d{2}:\\d{2}$' }
+            }
+          }
+        }
+      };
+    },
+    slotConflicts(slot, customerId) {
+      const end = fromMinutes(toMinutes(slot.start) + CHAT_BOOKING_HOURS * 60);
+      return scheduler.checkConflicts({ workerId: slot.worker_id, date: slot.date, start: slot.start, end, customerId });
+    },
+    preview(args, { customerId, customer }) {
+      const today = new Date().toISOString().slice(0, 10);
+      const errors = [];
+      if (args.preferred_date && (!isValidDate(args.preferred_date) || args.preferred_date < today)) {
+        errors.push('preferred_date must be today or later');
+      }
+      if (args.slot) {
+        const conflicts = this.slotConflicts(args.slot, customerId);
+        if (conflicts.length) errors.push(`Slot is not available: ${SchedulingService.describeConflicts(conflicts)}`);
+      }
+      const estimate = quoteService.estimate(customer, [{ service_type: args.service_type, visits: 1 }]);
+      const when = args.slot
+        ? ` on ${args.slot.date} at ${args.slot.start}`
+        : args.preferred_date ? ` for ${args.preferred_date}` : '';
+      return {
+        errors,
+        summary: `Book ${args.service_type}${when} (estimated $${estimate.total.toFixed(2)})`
+      };
+    },
+    run(args, { customerId, customer }) {
+      const estimate = quoteService.estimate(customer, [{ service_type: args.service_type, visits: 1 }]);
+      const ticket = realGreenCRM.createServiceTicket(customerId, args.service_type, args.priority || 'medium', {
+        preferred_date: args.preferred_date || null,
+        notes: args.notes || null,
+        estimated_cost: estimate.total,
+        source: 'ai_chat'
+      });
+      realGreenCRM.logCommunication(customerId, 'ticket_created', `Service ticket created from chat: ${args.service_type}`);
+      io.emit('ticket_created', ticket);
+
+      // The slot was free at preview time; if it has gone since, the ticket stays unscheduled
+      let scheduleError = null;
+      if (args.slot) {
+        const conflicts = this.slotConflicts(args.slot, customerId);
+        if (conflicts.length) {
+          scheduleError = SchedulingService.describeConflicts(conflicts);
+        } else {
+          repository.update('service_tickets', ticket.id, {
+            status: 'scheduled',
+            assigned_worker: args.slot.worker_id,
+            scheduled_date: args.slot.date,
+            scheduled_start: args.slot.start,
+            scheduled_end: fromMinutes(toMinutes(args.slot.start) + CHAT_BOOKING_HOURS * 60)
+          });
+          realGreenCRM.logCommunication(customerId, 'ticket_scheduled', `${ticket.service_type} scheduled for ${ticket.scheduled_date} ${ticket.scheduled_start}–${ticket.scheduled_end}`);
+          io.emit('ticket_updated', ticket);
+        }
+      }
+      return { ticket, schedule_error: scheduleError };
+    },
+    describe({ ticket, schedule_error: scheduleError }) {
+      const when = ticket.status === 'scheduled'
+        ? ` for ${ticket.scheduled_date} at ${ticket.scheduled_start}`
+        : ticket.preferred_date ? ` (requested for ${ticket.preferred_date})` : '';
+      const note = scheduleError ? ' That time was just taken, so our office will call you to pick another.' : '';
+      return `Done! Your ${ticket.service_type} visit is booked${when}. Your ticket number is ${ticket.id}.${note}`;
+    }
+  }
+};
+
+function chatToolInstructions() {
+  return `
+Tools:
+- Today is ${new Date().toISOString().slice(0, 10)}.
+- Use the tools to look up availability, lawn care knowledge and invoices instead of guessing.
+- Only use send_quote when the customer asks to receive their quote.
+- create_service_ticket and send_quote do nothing by themselves. They return an action awaiting confirmation: tell the customer exactly what will happen and ask them to reply "yes" to confirm.`;
+}
+
+// Runs the model with tools until it answers in prose. Every call is written
+// to the chat_tool_calls audit log; mutating calls become chat_actions that wait
+// for the customer's confirmation.
+class ChatToolRunner {
+  constructor(agent, repository, io, tools = CHAT_TOOLS) {
+    this.agent = agent;
+    this.repository = repository;
+    this.io = io;
+    this.tools = tools;
+  }
+
+  definitions() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      type: 'function',
+      function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  audit(entry) {
+    const record = { id: uuidv4(), at: new Date().toISOString(), action_id: null, result: null, error: null, ...entry };
+    this.repository.insert('chat_tool_calls', record);
+    return record;
+  }
+
+  contextFor(customerId) {
+    return { customerId, customer: this.repository.findById('customers', customerId) };
+  }
+
+  async respond({ customerId, message, systemPrompt, history = [], onDelta = null }) {
+    const ctx = this.contextFor(customerId);
+    let pendingAction = this.pendingAction(customerId);
+    const pendingNote = pendingAction
+      ? `\n- Still awaiting the customer's confirmation: ${pendingAction.summary}. If they want it changed, propose the replacement with the same tool; it replaces this one.`
+      : '';
+    const messages = [
+      { role: 'system', content: systemPrompt + chatToolInstructions() + pendingNote },
+      ...history,
+      { role: 'user', content: message }
+    ];
+    const toolCalls = [];
+
+    for (let step = 0; step <= CHAT_TOOL_MAX_STEPS; step++) {
+      // The last step withholds the tools so the model has to answer
+      const tools = step < CHAT_TOOL_MAX_STEPS ? this.definitions() : undefined;
+      // Text sent alongside tool calls is superseded by the next step, so chunks
+      // carry their step and clients start over when it changes
+      const result = await this.agent.chat(messages, { task: 'chat', temperature: 0.8, tools, onDelta: onDelta && (delta => onDelta(delta, step)) });
+      if (!result.success) return result;
+      if (!result.tool_calls.length) {
+        return { ...result, tool_calls: toolCalls, pending_action: pendingAction };
+      }
+
+      messages.push({ role: 'assistant', content: result.content || '', tool_calls: result.tool_calls });
+      result.tool_calls.forEach(call => {
+        const { record, output } = this.invoke(call, ctx);
+        toolCalls.push(record);
+        if (output.status === 'awaiting_confirmation') pendingAction = this.repository.findById('chat_actions', output.action_id);
+        messages.push({ role: 'tool', tool_call_id: call.id, name: call.function.name, content: JSON.stringify(output) });
+      });
+    }
+    return { success: false, error: 'The model kept calling tools without answering', tool_calls: toolCalls, pending_action: pendingAction };
+  }
+
+  invoke(call, ctx) {
+    const name = call.function?.name;
+    const tool = this.tools[name];
+    const base = { customer_id: ctx.customerId, tool: name, mutating: Boolean(tool?.mutating), source: 'ai_chat' };
+    const reject = (args, error, details = []) => ({
+      record: this.audit({ ...base, arguments: args, outcome: 'rejected', error: [error, ...details].join('; ') }),
+      output: { error, ...(details.length && { details }) }
+    });
+
+    if (!tool) return reject(null, `Unknown tool ${name}`);
+    let args;
+    try {
+      const raw = call.function.arguments;
+      args = typeof raw === 'string' ? JSON.parse(raw || '{}') : (raw || {});
+    } catch (error) {
+      return reject(call.function.arguments, 'Arguments are not valid JSON');
+    }
+    const errors = validateSchema(args, tool.parameters);
+    if (errors.length) return reject(args, 'Invalid arguments', errors);
+
+    if (tool.mutating) {
+      const preview = tool.preview(args, ctx);
+      if (preview.errors.length) return reject(args, 'Cannot do that', preview.errors);
+      const action = this.propose(ctx.customerId, name, args, preview.summary);
+      return {
+        record: this.audit({ ...base, arguments: args, outcome: 'awaiting_confirmation', action_id: action.id }),
+        output: { status: 'awaiting_confirmation', action_id: action.id, summary: preview.summary }
+      };
+    }
+
+    try {
+      const output = tool.run(args, ctx);
+      return { record: this.audit({ ...base, arguments: args, outcome: 'executed', result: output }), output };
+    } catch (error) {
+      return {
+        record: this.audit({ ...base, arguments: args, outcome: 'failed', error: error.message }),
+        output: { error: error.message }
+      };
+    }
+  }
+
+  // A customer has at most one pending action; a new proposal supersedes the last
+  propose(customerId, tool, args, summary) {
+    this.repository
+      .filter('chat_actions', a => a.customer_id === customerId && a.status === 'pending')
+      .forEach(a => this.repository.update('chat_actions', a.id, { status: 'superseded', resolved_at: new Date().toISOString() }));
+
+    const now = new Date();
+    const action = {
+      id: `action_${uuidv4()}`,
+      customer_id: customerId,
+      tool,
+      arguments: args,
+      summary,
+      status: 'pending', // pending, confirmed, declined, expired, superseded, failed
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + CHAT_ACTION_TTL_MINUTES * 60 * 1000).toISOString(),
+      resolved_at: null,
+      result: null
+    };
+    this.repository.insert('chat_actions', action);
+    this.io.emit('chat_action_pending', action);
+    return action;
+  }
+
+  pendingAction(customerId) {
+    const action = this.repository
+      .filter('chat_actions', a => a.customer_id === customerId && a.status === 'pending')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))[0];
+    if (!action) return null;
+    if (action.expires_at < new Date().toISOString()) {
+      this.repository.update('chat_actions', action.id, { status: 'expired', resolved_at: new Date().toISOString() });
+      this.audit({ customer_id: customerId, tool: action.tool, mutating: true, source: 'system', arguments: action.arguments, outcome: 'expired', action_id: action.id });
+      return null;
+    }
+    return action;
+  }
+
+  // decision is 'confirm' or 'decline'; `via` records where it came from
+  resolve(action, decision, via) {
+    if (action.status === 'pending' && action.expires_at < new Date().toISOString()) this.pendingAction(action.customer_id);
+    if (action.status !== 'pending') return { success: false, error: `Action is ${action.status}` };
+
+    const tool = this.tools[action.tool];
+    const base = { customer_id: action.customer_id, tool: action.tool, mutating: true, source: via, arguments: action.arguments, action_id: action.id };
+    const resolvedAt = new Date().toISOString();
+
+    if (decision === 'decline') {
+      this.repository.update('chat_actions', action.id, { status: 'declined', resolved_at: resolvedAt });
+      this.audit({ ...base, outcome: 'declined' });
+      this.io.emit('chat_action_resolved', action);
+      return { success: true, action, message: `No problem, I've cancelled that request: ${action.summary}.` };
+    }
+
+    try {
+      const result = tool.run(action.arguments, this.contextFor(action.customer_id));
+      this.repository.update('chat_actions', action.id, { status: 'confirmed', resolved_at: resolvedAt, result });
+      this.audit({ ...base, outcome: 'executed', result });
+      this.io.emit('chat_action_resolved', action);
+      return { success: true, action, result, message: tool.describe(result) };
+    } catch (error) {
+      this.repository.update('chat_actions', action.id, { status: 'failed', resolved_at: resolvedAt, result: { error: error.message } });
+      this.audit({ ...base, outcome: 'failed', error: error.message });
+      return { success: false, action, error: error.message };
+    }
+  }
+
+  // A yes/no chat reply settles the latest pending action; null when there is
+  // nothing pending or the message is neither
+  resolveFromReply(customerId, message) {
+    const action = this.pendingAction(customerId);
+    if (!action) return null;
+    if (AFFIRMATIVE_REPLY.test(message)) return this.resolve(action, 'confirm', 'chat');
+    if (NEGATIVE_REPLY.test(message)) return this.resolve(action, 'decline', 'chat');
+    return null;
+  }
+
+  // Answers a yes/no reply without the model and records the turn like any other
+  replyToConfirmation(customerId, message) {
+    const settled = this.resolveFromReply(customerId, message);
+    if (!settled) return null;
+    const content = settled.success ? settled.message : `Sorry, I couldn't complete that: ${settled.error}`;
+    conversationMemory.record(customerId, message, content);
+    return { response: content, action: settled.action, result: settled.result || null };
+  }
+}
+
+const chatTools = new ChatToolRunner(aiAgent, repository, io);
+
+// ==================== KNOWLEDGE GRAPH VERSIONING ====================
+
+const KG_CHECKPOINT_INTERVAL = 25;
+const KG_CHECKPOINT_LIMIT = 20;
+
+// JSON triple input: IRIs are prefixed names and `a` means rdf:type; an object
+// that is not a known prefixed name becomes a literal (typed for numbers and booleans)
+function tripleFromJson(input) {
+  const [subject, predicate, object] = Array.isArray(input)
+    ? input
+    : [input.subject, input.predicate, input.object];
+  const isPrefixed = term => typeof term === 'string' && new RegExp(`^(${Object.keys(KG_PREFIXES).join('|')}):\\S+$`).test(term);
+
+  if (!isPrefixed(subject)) throw new Error(`subject must be a prefixed name (${subject})`);
+  if (predicate !== 'a' && !isPrefixed(predicate)) throw new Error(`predicate must be a prefixed name (${predicate})`);
+  if (object === undefined || object === null || object === '') throw new Error(`object is required for ${subject} ${predicate}`);
+
+  return [subject, predicate === 'a' ? 'rdf:type' : predicate, isPrefixed(object) ? object : toLiteral(object)];
+}
+
+// API edits are kept as an ordered change log on top of the RDF files, so they
+// survive hot reloads and restarts. Every change bumps the revision; full
+// snapshots are only kept as checkpoints (the baseline, every
+// KG_CHECKPOINT_INTERVAL revisions and manual ones), and any revision is rebuilt
+// by replaying the log from the nearest checkpoint before it.
+class KnowledgeGraphHistory {
+  constructor(kg, repository, io) {
+    this.kg = kg;
+    this.repository = repository;
+    this.io = io;
+  }
+
+  get revision() {
+    return this.repository.all('kg_changes').reduce((max, change) => Math.max(max, change.revision), 0);
+  }
+
+  init() {
+    this.replay();
+    if (this.repository.count('kg_snapshots') === 0) {
+      this.snapshot('Baseline from RDF files', 'system');
+    }
+  }
+
+  // Re-applies logged changes after the files have been (re)loaded
+  replay() {
+    [...this.repository.all('kg_changes')]
+      .sort((a, b) => a.revision - b.revision)
+      .forEach(change => this.apply(change));
+  }
+
+  apply(change) {
+    const provenance = { source: `api:revision-${change.revision}`, asserted_by: change.author, asserted_at: change.at };
+    change.removed.forEach(triple => this.kg.remove(triple));
+    change.added.forEach(triple => this.kg.add(triple, provenance));
+  }
+
+  record(action, added, removed, author, note) {
+    const change = {
+      id: uuidv4(),
+      revision: this.revision + 1,
+      action,
+      added,
+      removed,
+      author,
+      note: note || null,
+      at: new Date().toISOString()
+    };
+    this.apply(change);
+    this.repository.insert('kg_changes', change);
+    if (change.revision % KG_CHECKPOINT_INTERVAL === 0) {
+      this.snapshot(`Checkpoint at revision ${change.revision}`, 'system', change.revision);
+    }
+    this.io.emit('kg_updated', { source: action, revision: change.revision, added: added.length, removed: removed.length });
+    return change;
+  }
+
+  // Dangling references that the given mutation introduces
+  newDanglingReferences(mutate) {
+    const key = ref => `${ref.subject} ${ref.predicate} ${ref.object}`;
+    const before = new Set(this.kg.danglingReferences().map(key));
+    mutate();
+    return this.kg.danglingReferences().filter(ref => !before.has(key(ref)));
+  }
+
+  assert(triples, { author, note, strict = false, action = 'assert' }) {
+    const errors = validateTriples(triples);
+    if (errors.length) return { success: false, error: 'Triples failed validation', details: errors };
+
+    const added = triples.filter(triple => !this.kg.store.has(...triple));
+    const dangling = this.newDanglingReferences(() => added.forEach(triple => this.kg.store.add(...triple)));
+    added.forEach(triple => this.kg.store.remove(...triple));
+
+    if (strict && dangling.length) {
+      return { success: false, error: 'Triples reference entities that do not exist', dangling };
+    }
+    if (!added.length) return { success: true, change: null, added: 0, dangling };
+
+    const change = this.record(action, added, [], author, note);
+    return { success: true, change, added: added.length, dangling };
+  }
+
+  retract(triples, { author, note, strict = false }) {
+    const removed = triples.filter(triple => this.kg.store.has(...triple));
+    const dangling = this.newDanglingReferences(() => removed.forEach(triple => this.kg.store.remove(...triple)));
+    removed.forEach(triple => this.kg.store.add(...triple));
+
+    if (strict && dangling.length) {
+      return { success: false, error: 'Removing these triples would leave dangling references', dangling };
+    }
+    if (!removed.length) return { success: true, change: null, removed: 0, dangling };
+
+    const change = this.record('retract', [], removed, author, note);
+    return { success: true, change, removed: removed.length, dangling };
+  }
+
+  snapshot(label, author, revision = this.revision) {
+    const snapshot = {
+      id: uuidv4(),
+      revision,
+      label,
+      created_by: author,
+      created_at: new Date().toISOString(),
+      triples: this.kg.store.match()
+    };
+    this.repository.insert('kg_snapshots', snapshot);
+
+    // The oldest checkpoint is the baseline every replay can start from, so it is never pruned
+    const [, ...rest] = this.checkpoints();
+    rest
+      .slice(0, Math.max(0, rest.length - (KG_CHECKPOINT_LIMIT - 1)))
+      .forEach(old => this.repository.remove('kg_snapshots', old.id));
+    return snapshot;
+  }
+
+  checkpoints() {
+    return [...this.repository.all('kg_snapshots')]
+      .sort((a, b) => a.revision - b.revision || a.created_at.localeCompare(b.created_at));
+  }
+
+  // The graph as it stood at a revision: the latest checkpoint at or before it,
+  // with the logged changes after that checkpoint replayed on top
+  snapshotAt(revision) {
+    if (revision > this.revision) return null;
+    const checkpoint = this.checkpoints().filter(s => s.revision <= revision).pop();
+    if (!checkpoint) return null;
+
+    const { triples: checkpointTriples, ...meta } = checkpoint;
+    const key = LawnCareKnowledgeGraph.tripleKey;
+    const triples = new Map(checkpointTriples.map(triple => [key(triple), triple]));
+    this.repository
+      .filter('kg_changes', c => c.revision > checkpoint.revision && c.revision <= revision)
+      .sort((a, b) => a.revision - b.revision)
+      .forEach(change => {
+        change.removed.forEach(triple => triples.delete(key(triple)));
+        change.added.forEach(triple => triples.set(key(triple), triple));
+      });
+
+    return { revision, checkpoint: meta, triples: [...triples.values()] };
+  }
+
+  // `to` defaults to the live graph
+  diff(fromRevision, toRevision = null) {
+    const from = this.snapshotAt(fromRevision);
+    if (!from) return { success: false, error: `Revision ${fromRevision} cannot be rebuilt` };
+    const to = toRevision === null ? null : this.snapshotAt(toRevision);
+    if (toRevision !== null && !to) return { success: false, error: `Revision ${toRevision} cannot be rebuilt` };
+
+    const key = LawnCareKnowledgeGraph.tripleKey;
+    const fromTriples = from.triples;
+    const toTriples = to ? to.triples : this.kg.store.match();
+    const fromKeys = new Set(fromTriples.map(key));
+    const toKeys = new Set(toTriples.map(key));
+
+    return {
+      success: true,
+      from: fromRevision,
+      to: toRevision === null ? 'current' : toRevision,
+      added: toTriples.filter(t => !fromKeys.has(key(t))),
+      removed: fromTriples.filter(t => !toKeys.has(key(t)))
+    };
+  }
+
+  rollback(revision, { author, note }) {
+    const diff = this.diff(revision);
+    if (!diff.success) return diff;
+    if (!diff.added.length && !diff.removed.length) {
+      return { success: true, change: null, message: `Graph already matches revision ${revision}` };
+    }
+    // Undo the difference: re-add what was removed since, remove what was added since
+    const change = this.record('rollback', diff.removed, diff.added, author, note || `Rolled back to revision ${revision}`);
+    return { success: true, change };
+  }
+}
+
+const kgHistory = new KnowledgeGraphHistory(kg, repository, io);
+
+// ==================== KG REASONING ====================
+
+// RDFS and OWL-lite entailments, written in the same syntax as user rules
+const BUILTIN_RULES = `
+subClassTransitive: { ?a rdfs:subClassOf ?b . ?b rdfs:subClassOf ?c } => { ?a rdfs:subClassOf ?c }
+subClassMembership: { ?x a ?c . ?c rdfs:subClassOf ?d } => { ?x a ?d }
+subPropertyTransitive: { ?p rdfs:subPropertyOf ?q . ?q rdfs:subPropertyOf ?r } => { ?p rdfs:subPropertyOf ?r }
+subPropertyValue: { ?s ?p ?o . ?p rdfs:subPropertyOf ?q } => { ?s ?q ?o }
+inverseOf: { ?p owl:inverseOf ?q . ?s ?p ?o } => { ?o ?q ?s }
+inverseOfReverse: { ?p owl:inverseOf ?q . ?s ?q ?o } => { ?o ?p ?s }
+symmetricProperty: { ?p a owl:SymmetricProperty . ?s ?p ?o } => { ?o ?p ?s }
+transitiveProperty: { ?p a owl:TransitiveProperty . ?x ?p ?y . ?y ?p ?z } => { ?x ?p ?z }
+`;
+
+const KG_RULES_EXTENSION = '.rules';
+const REASONER_MAX_ITERATIONS = 50;
+
+// Rules are `name: { body } => { head }` to derive triples, or
+// `name: { body } => "message"` for constraints, where each body match is a
+// violation and ?variables in the message are filled from the match.
+class RuleParser extends SparqlParser {
+  parse() {
+    const rules = [];
+    while (this.peek()) {
+      const name = this.next();
+      if (name.type !== 'pname' || !name.value.endsWith(':')) {
+        throw new Error(`Expected a rule name like 'myRule:' at position ${name.at}`);
+      }
+      const body = this.parseGroup();
+      this.expectPunct('=');
+      this.expectPunct('>');
+
+      const rule = { name: name.value.slice(0, -1), body };
+      if (this.peek() && this.peek().type === 'string') {
+        rule.message = termValue(this.parseTerm());
+      } else {
+        const head = this.parseGroup();
+        if (head.filters.length || head.elements.some(e => e.type !== 'bgp')) {
+          throw new Error(`Rule ${rule.name}: the head may only contain triple patterns`);
+        }
+        rule.head = head.elements.flatMap(e => e.patterns);
+      }
+      rules.push(rule);
+    }
+    return rules;
+  }
+}
+
+function parseRules(text, source) {
+  return new RuleParser(text).parse().map(rule => ({ ...rule, source }));
+}
+
+// IRIs for operational records; characters a prefixed name cannot hold are dropped
+function entityIri(prefix, name) {
+  return `${prefix}:${String(name).replace(/[^\w-]/g, '')}`;
+}
+
+// Sites, workers and open assignments as triples, so rules can join them with the ontology
+function operationalTriples(repository) {
+  const triples = [];
+  repository.all('work_sites').forEach(site => {
+    const subject = entityIri('lc', site.id);
+    triples.push([subject, 'rdf:type', 'lc:WorkSite']);
+    if (site.grass_type) triples.push([subject, 'lc:grassType', entityIri('lc', site.grass_type)]);
+    [].concat(site.regional_factors || []).forEach(soil => triples.push([subject, 'lc:soilType', entityIri('lc', soil)]));
+    (site.preferred_skills || []).forEach(skill => triples.push([subject, 'lc:requiresSkill', entityIri('skill', skill)]));
+    if (site.terrain_type) triples.push([subject, 'lc:terrain', toLiteral(site.terrain_type)]);
+    const region = getRegionFor(site);
+    if (region) triples.push([subject, 'lc:inRegion', entityIri('lc', region)]);
+  });
+  repository.all('workers').forEach(worker => {
+    const subject = entityIri('lc', worker.id);
+    triples.push([subject, 'rdf:type', 'lc:Worker']);
+    (worker.skills || []).forEach(skill => triples.push([subject, 'lc:hasSkill', entityIri('skill', skill)]));
+    (worker.certifications || []).forEach(cert => triples.push([subject, 'lc:hasCertification', entityIri('lc', cert)]));
+    (worker.performance_metrics?.regional_expertise || []).forEach(region => triples.push([subject, 'lc:servesRegion', entityIri('lc', region)]));
+  });
+  repository.filter('assignments', a => OPEN_ASSIGNMENT_STATUSES.includes(a.status)).forEach(assignment => {
+    triples.push([entityIri('lc', assignment.siteId), 'lc:assignedWorker', entityIri('lc', assignment.workerId)]);
+  });
+  return triples;
+}
+
+// Forward-chains the built-in and user rules to a fixpoint over the asserted
+// graph plus operational data, then checks the constraint rules.
+class KnowledgeGraphReasoner {
+  constructor(kg, repository) {
+    this.kg = kg;
+    this.repository = repository;
+    this.builtinRules = parseRules(BUILTIN_RULES, 'builtin');
+    this.userRules = [];
+  }
+
+  get rules() {
+    return [...this.builtinRules, ...this.userRules];
+  }
+
+  // Same all-or-nothing behaviour as the RDF files: a bad rule file keeps the old rules
+  loadRules(dir) {
+    const files = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => path.extname(name) === KG_RULES_EXTENSION).sort()
+      : [];
+    const rules = [];
+    const errors = [];
+    files.forEach(name => {
+      try {
+        rules.push(...parseRules(fs.readFileSync(path.join(dir, name), 'utf8'), name));
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    });
+    if (errors.length) return { success: false, errors };
+    this.userRules = rules;
+    return { success: true, files, rules: rules.length };
+  }
+
+  materialize() {
+    const store = new TripleStore();
+    this.kg.store.match().forEach(triple => store.add(...triple));
+    operationalTriples(this.repository).forEach(triple => store.add(...triple));
+
+    const engine = new SparqlEngine(store);
+    const derivations = new Map(); // triple key -> rule name
+    const derivationRules = this.rules.filter(rule => rule.head);
+    let iterations = 0;
+    let changed = true;
+
+    while (changed && iterations < REASONER_MAX_ITERATIONS) {
+      changed = false;
+      iterations++;
+      derivationRules.forEach(rule => {
+        engine.evaluateGroup(rule.body, [{}]).forEach(solution => {
+          rule.head.forEach(pattern => {
+            const triple = pattern.map(term => (typeof term === 'object' ? solution[term.var] : term));
+            if (triple.some(term => term === undefined) || isLiteral(triple[0]) || isLiteral(triple[1])) return;
+            if (store.add(...triple)) {
+              derivations.set(LawnCareKnowledgeGraph.tripleKey(triple), rule.name);
+              changed = true;
+            }
+          });
+        });
+      });
+    }
+
+    return { store, engine, derivations, iterations, converged: !changed };
+  }
+
+  // Derived triples only, optionally filtered like TripleStore.match
+  inferred(subject = null, predicate = null, object = null) {
+    const { store, derivations, iterations, converged } = this.materialize();
+    const facts = store.match(subject, predicate, object)
+      .filter(triple => derivations.has(LawnCareKnowledgeGraph.tripleKey(triple)))
+      .map(([s, p, o]) => ({ subject: s, predicate: p, object: o, rule: derivations.get(LawnCareKnowledgeGraph.tripleKey([s, p, o])) }));
+    return { facts, iterations, converged };
+  }
+
+  violations() {
+    const { engine } = this.materialize();
+    return this.rules.filter(rule => rule.message).flatMap(rule =>
+      engine.evaluateGroup(rule.body, [{}]).map(solution => ({
+        rule: rule.name,
+        message: rule.message.replace(/[?$](\w+)/g, (match, name) =>
+          (solution[name] ? String(isLiteral(solution[name]) ? termValue(solution[name]) : localName(solution[name])) : match)),
+        bindings: Object.fromEntries(Object.entries(solution).map(([name, term]) => [name, describeTerm(term)])),
+        focus: [...new Set(Object.values(solution).filter(term => !isLiteral(term)))]
+      }))
+    );
+  }
+
+  validateSite(siteId) {
+    const subject = entityIri('lc', siteId);
+    return this.violations().filter(violation => violation.focus.includes(subject));
+  }
+}
+
+const kgReasoner = new KnowledgeGraphReasoner(kg, repository);
+const kgRulesLoad = kgReasoner.loadRules(KG_DIR);
+if (!kgRulesLoad.success) {
+  console.error(`⚠️  Knowledge graph rules in ${KG_DIR} failed to load:\n   ${kgRulesLoad.errors.join('\n   ')}`);
+}
+
+// ==================== TERRITORIES ====================
+
+const TERRITORY_FIELDS = ['name', 'color', 'geometry', 'crew', 'account_manager', 'notes'];
+const TERRITORY_DEFAULT_COLOR = '#22d3ee';
+
+// Editable service territories. Customers and work sites carry the id of the
+// territory that contains them (the smallest one where territories overlap), and
+// the territory's crew is preferred when its sites are dispatched.
+class TerritoryService {
+  constructor(repository, io) {
+    this.repository = repository;
+    this.io = io;
+    this.geometryCache = new Map(); // territory id -> { updated_at, indexed }
+  }
+
+  list() {
+    return this.repository.all('territories');
+  }
+
+  get(id) {
+    return this.repository.findById('territories', id);
+  }
+
+  indexed(territory) {
+    const cached = this.geometryCache.get(territory.id);
+    if (cached && cached.updated_at === territory.updated_at) return cached.indexed;
+    const indexed = indexGeometry(territory.geometry);
+    this.geometryCache.set(territory.id, { updated_at: territory.updated_at, indexed });
+    return indexed;
+  }
+
+  territoryAt(coords) {
+    if (!isCoordinate(coords)) return null;
+    const lat = parseFloat(coords.lat);
+    const lng = parseFloat(coords.lng);
+    return this.list()
+      .filter(territory => geometryContains(this.indexed(territory), lat, lng))
+      .sort((a, b) => this.indexed(a).area - this.indexed(b).area)[0] || null;
+  }
+
+  // Returns a list of problems; `partial` skips required-field checks for PATCH
+  validate(data, partial = false) {
+    const errors = [];
+    const has = field => data[field] !== undefined;
+
+    if (!partial) {
+      ['name', 'geometry'].forEach(field => {
+        if (!has(field)) errors.push(`${field} is required`);
+      });
+    }
+    Object.keys(data).forEach(field => {
+      if (!TERRITORY_FIELDS.includes(field)) errors.push(`Unknown field '${field}'`);
+    });
+
+    if (has('name') && (typeof data.name !== 'string' || !data.name.trim())) errors.push('name must be a non-empty string');
+    if (has('color') && !/^#[0-9a-f]{6}$/i.test(data.color)) errors.push('color must be a hex colour like #22d3ee');
+    if (has('geometry')) errors.push(...validateGeometry(data.geometry));
+    if (has('crew')) {
+      if (!Array.isArray(data.crew)) {
+        errors.push('crew must be an array of worker ids');
+      } else {
+        data.crew.filter(id => !this.repository.findById('workers', id))
+          .forEach(id => errors.push(`Unknown worker '${id}' in crew`));
+      }
+    }
+    if (has('account_manager') && data.account_manager !== null &&
+        (typeof data.account_manager !== 'string' || !data.account_manager.trim())) {
+      errors.push('account_manager must be a non-empty string or null');
+    }
+    return errors;
+  }
+
+  create(data) {
+    const now = new Date().toISOString();
+    const territory = {
+      id: `terr_${uuidv4()}`,
+      name: data.name.trim(),
+      color: data.color || TERRITORY_DEFAULT_COLOR,
+      geometry: { type: data.geometry.type, coordinates: data.geometry.coordinates },
+      crew: [...new Set(data.crew || [])],
+      account_manager: data.account_manager ? data.account_manager.trim() : null,
+      notes: data.notes || null,
+      created_at: now,
+      updated_at: now
+    };
+    this.repository.insert('territories', territory);
+    const retagged = this.retagAll();
+    this.io.emit('territory_created', { territory, retagged });
+    return { territory, retagged };
+  }
+
+  update(territory, data) {
+    const previousManager = territory.account_manager;
+    const changes = { ...data, updated_at: new Date().toISOString() };
+    if (changes.name) changes.name = changes.name.trim();
+    if (changes.crew) changes.crew = [...new Set(changes.crew)];
+    if (changes.account_manager) changes.account_manager = changes.account_manager.trim();
+    this.repository.update('territories', territory.id, changes);
+
+    // Profiles that inherited the old manager follow the territory
+    if (data.account_manager !== undefined && data.account_manager !== previousManager) {
+      this.repository
+        .filter('crm_customers', p => p.territory_id === territory.id && (!p.account_manager || p.account_manager === previousManager))
+        .forEach(p => this.repository.update('crm_customers', p.id, { account_manager: territory.account_manager }));
+    }
+    const retagged = data.geometry ? this.retagAll() : { customers: 0, work_sites: 0 };
+    this.io.emit('territory_updated', { territory, retagged });
+    return { territory, retagged };
+  }
+
+  remove(territory) {
+    this.repository.remove('territories', territory.id);
+    this.geometryCache.delete(territory.id);
+    const retagged = this.retagAll();
+    this.io.emit('territory_deleted', { id: territory.id, retagged });
+    return { retagged };
+  }
+
+  // Tags one customer or work site; returns true when its territory changed.
+  // Customers without an account manager take the territory's.
+  tag(collection, record) {
+    const territory = this.territoryAt(record.coordinates || record.coords);
+    const territoryId = territory ? territory.id : null;
+    if (record.territory_id === territoryId) return false;
+
+    this.repository.update(collection, record.id, { territory_id: territoryId });
+    if (collection === 'customers') {
+      const profile = this.repository.findById('crm_customers', record.id);
+      if (profile) {
+        this.repository.update('crm_customers', record.id, {
+          territory_id: territoryId,
+          ...(territory?.account_manager && !profile.account_manager && { account_manager: territory.account_manager })
+        });
+      }
+    }
+    return true;
+  }
+
+  retagAll() {
+    return {
+      customers: this.repository.all('customers').filter(c => this.tag('customers', c)).length,
+      work_sites: this.repository.all('work_sites').filter(s => this.tag('work_sites', s)).length
+    };
+  }
+
+  // A territory is served by its crew, or by workers living inside it when it has none
+  serves(worker, territory) {
+    if (territory.crew.length) return territory.crew.includes(worker.id);
+    return isCoordinate(worker.home_coords) &&
+      geometryContains(this.indexed(territory), worker.home_coords.lat, worker.home_coords.lng);
+  }
+
+  // 1 for an in-territory worker, 0 for an outsider, 0.5 when the site has no territory
+  territoryMatch(worker, site) {
+    const territory = site.territory_id ? this.get(site.territory_id) : null;
+    if (!territory) return 0.5;
+    return this.serves(worker, territory) ? 1 : 0;
+  }
+
+  summary(territory) {
+    return {
+      ...territory,
+      crew_members: territory.crew.map(id => this.repository.findById('workers', id)?.name || id),
+      customer_count: this.repository.filter('customers', c => c.territory_id === territory.id).length,
+      site_count: this.repository.filter('work_sites', s => s.territory_id === territory.id).length
+    };
+  }
+}
+
+const territoryService = new TerritoryService(repository, io);
+
+// ==================== REALGREEN CRM API ENDPOINTS ====================
+
+// Get customer CRM profile
+app.get('/api/crm/customer/:customerId', (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const profile = realGreenCRM.getCustomerProfile(customerId);
+    const serviceHistory = realGreenCRM.getCustomerServiceHistory(customerId);
+    const invoices = realGreenCRM.getCustomerInvoices(customerId);
+    const communications = realGreenCRM.communications.filter(c => c.customer_id === customerId);
+    
+    if (!profile) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    res.json({
+      success: true,
+      profile,
+      service_history: serviceHistory,
+      invoices,
+      communications: communications.slice(-10),
+      sentiment: CommunicationAnalyzer.rollup(communicationAnalyzer.analyzed(c => c.customer_id === customerId)),
+      lifetime_stats: {
+        total_services: serviceHistory.length,
+        total_invoiced: invoices.reduce((sum, inv) => sum + inv.amount, 0),
+        avg_rating: profile.service_history.reduce((sum, s) => sum + s.rating, 0) / (profile.service_history.length || 1)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Log an email, SMS, call, visit or ticket note; it is scored like chat messages
+app.post('/api/crm/communications', async (req, res) => {
+  try {
+    const { customerId, type, content, ticketId } = req.body || {};
+    if (!realGreenCRM.getCustomerProfile(customerId)) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    if (!LOGGABLE_COMMUNICATION_TYPES.includes(type)) {
+      return res.json({ success: false, error: `type must be one of: ${LOGGABLE_COMMUNICATION_TYPES.join(', ')}` });
+    }
+    if (!content || !String(content).trim()) {
+      return res.json({ success: false, error: 'content is required' });
+    }
+    if (ticketId && !repository.find('service_tickets', t => t.id === ticketId && t.customer_id === customerId)) {
+      return res.json({ success: false, error: 'Ticket not found for this customer' });
+    }
+
+    const logged = realGreenCRM.logCommunication(customerId, type, String(content).trim(), { ticket_id: ticketId || null });
+    // Wait for the queued analysis so the response carries the scores
+    await communicationAnalyzer.queue;
+    const communication = repository.find('communications', c => c.id === logged.id) || logged;
+    res.json({ success: true, communication });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create customer (operational record + CRM profile)
+app.post('/api/crm/customers', (req, res) => {
+  try {
+    const data = { ...req.body };
+    if (data.coordinates === undefined && typeof data.address === 'string') {
+      const located = regionResolver.geocoder.geocode(data.address);
+      if (located) data.coordinates = { lat: located.lat, lng: located.lng };
+    }
+    const errors = validateCustomerInput(data);
+    if (errors.length) {
+      return res.json({ success: false, error: 'Invalid customer', details: errors });
+    }
+    if (repository.find('customers', c => c.email.toLowerCase() === data.email.toLowerCase())) {
+      return res.json({ success: false, error: 'A customer with this email already exists' });
+    }
+    
+    const customer = {
+      id: `cust_${uuidv4()}`,
+      name: data.name.trim(),
+      email: data.email,
+      phone: data.phone || null,
+      address: data.address.trim(),
+      coordinates: { lat: parseFloat(data.coordinates.lat), lng: parseFloat(data.coordinates.lng) },
+      customer_tier: data.customer_tier || 'basic',
+      service_history: [],
+      preferences: {
+        billing: 'per_service',
+        communication: 'email',
+        time_windows: [],
+        ...data.preferences
+      },
+      current_issues: data.current_issues || [],
+      property_type: data.property_type || 'residential',
+      lot_size: data.lot_size !== undefined ? parseFloat(data.lot_size) : null,
+      annual_contract_value: parseFloat(data.annual_contract_value) || 0,
+      territory_id: null
+    };
+    
+    repository.insert('customers', customer);
+    const profile = realGreenCRM.createCustomer(customer);
+    territoryService.tag('customers', customer);
+    
+    io.emit('customer_created', customer);
+    res.json({ success: true, data: customer, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update customer; changes are mirrored onto the CRM profile
+app.patch('/api/crm/customers/:id', (req, res) => {
+  try {
+    const customer = repository.findById('customers', req.params.id);
+    if (!customer) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    const data = { ...req.body };
+    // A new address without coordinates is re-geocoded so the region follows it
+    if (data.coordinates === undefined && typeof data.address === 'string' && data.address !== customer.address) {
+      const located = regionResolver.geocoder.geocode(data.address);
+      if (located) data.coordinates = { lat: located.lat, lng: located.lng };
+    }
+    const errors = validateCustomerInput(data, true);
+    if (errors.length) {
+      return res.json({ success: false, error: 'Invalid customer', details: errors });
+    }
+    if (data.email && repository.find('customers', c => c.id !== customer.id && c.email.toLowerCase() === data.email.toLowerCase())) {
+      return res.json({ success: false, error: 'A customer with this email already exists' });
+    }
+    
+    const changes = { ...data };
+    if (changes.preferences) changes.preferences = { ...customer.preferences, ...changes.preferences };
+    if (changes.coordinates) changes.coordinates = { lat: parseFloat(changes.coordinates.lat), lng: parseFloat(changes.coordinates.lng) };
+    ['lot_size', 'annual_contract_value'].forEach(field => {
+      if (changes[field] !== undefined) changes[field] = parseFloat(changes[field]);
+    });
+    
+    repository.update('customers', customer.id, changes);
+    const profile = repository.update('crm_customers', customer.id, changes);
+    if (changes.coordinates) territoryService.tag('customers', customer);
+    if (changes.current_issues || changes.annual_contract_value !== undefined) churnModel.score(customer.id);
+    
+    io.emit('customer_updated', customer);
+    res.json({ success: true, data: customer, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every per-customer collection and the field that names the customer. Business
+// records block a plain delete; logs always go with the customer.
+const CUSTOMER_RECORDS = { service_tickets: 'customer_id', invoices: 'customer_id', contracts: 'customer_id', quotes: 'customer_id' };
+const CUSTOMER_LOGS = {
+  communications: 'customer_id',
+  customer_inquiries: 'customerId',
+  conversations: 'customer_id',
+  handoffs: 'customer_id',
+  chat_actions: 'customer_id',
+  chat_tool_calls: 'customer_id'
+};
+
+// Delete customer. Refused while tickets, invoices, contracts or quotes point at
+// it unless ?force=true, which deletes those too; never while money is owed.
+app.delete('/api/crm/customers/:id', (req, res) => {
+  try {
+    const customer = repository.findById('customers', req.params.id);
+    if (!customer) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    const force = req.query.force === 'true';
+    
+    const outstanding = roundCents(repository
+      .filter('invoices', i => i.customer_id === customer.id && !['paid', 'cancelled'].includes(i.status))
+      .reduce((sum, i) => sum + BillingEngine.balance(i), 0));
+    if (outstanding > 0) {
+      return res.json({ success: false, error: `Customer has an outstanding balance of ${outstanding}` });
+    }
+    
+    const linked = Object.entries(CUSTOMER_RECORDS)
+      .map(([collection, field]) => ({ collection, count: repository.filter(collection, r => r[field] === customer.id).length }))
+      .filter(l => l.count > 0);
+    if (linked.length && !force) {
+      return res.json({
+        success: false,
+        error: `Customer still has linked records (${linked.map(l => `${l.collection.replace('_', ' ')}: ${l.count}`).join(', ')}); pass force=true to delete them as well`,
+        linked: Object.fromEntries(linked.map(l => [l.collection, l.count]))
+      });
+    }
+    
+    const removed = {};
+    Object.entries({ ...CUSTOMER_RECORDS, ...CUSTOMER_LOGS }).forEach(([collection, field]) => {
+      const records = repository.filter(collection, r => r[field] === customer.id);
+      records.forEach(record => repository.remove(collection, record.id));
+      if (records.length) removed[collection] = records.length;
+    });
+    repository
+      .filter('work_sites', site => site.customer_id === customer.id)
+      .forEach(site => repository.update('work_sites', site.id, { customer_id: null }));
+    repository.remove('customers', customer.id);
+    repository.remove('crm_customers', customer.id);
+    
+    io.emit('customer_deleted', { id: customer.id });
+    res.json({ success: true, id: customer.id, removed });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Manually move a customer to another lifecycle stage
+app.post('/api/crm/customers/:id/lifecycle', (req, res) => {
+  try {
+    const profile = realGreenCRM.getCustomerProfile(req.params.id);
+    if (!profile) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    const { stage, reason } = req.body || {};
+    if (!LIFECYCLE_STAGES.includes(stage)) {
+      return res.json({ success: false, error: `stage must be one of: ${LIFECYCLE_STAGES.join(', ')}` });
+    }
+    if (!MANUAL_LIFECYCLE_TRANSITIONS[profile.lifecycle_stage].includes(stage)) {
+      return res.json({ success: false, error: `Cannot move customer from ${profile.lifecycle_stage} to ${stage}` });
+    }
+    
+    const change = lifecycleManager.transition(profile.id, stage, reason || 'Manual update');
+    res.json({ success: true, change, profile });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create service ticket
+app.post('/api/crm/ticket', (req, res) => {
+  try {
+    const { customerId, serviceType, priority } = req.body;
+    
+    const customer = repository.findById('customers', customerId);
+    if (!customer) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    const ticket = realGreenCRM.createServiceTicket(customerId, serviceType, priority);
+    
+    // Log in CRM
+    realGreenCRM.logCommunication(customerId, 'ticket_created', `Service ticket created: ${serviceType}`);
+    
+    io.emit('ticket_created', ticket);
+    
+    res.json({
+      success: true,
+      ticket,
+      message: 'Service ticket created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Generate invoice
+app.post('/api/crm/invoice', (req, res) => {
+  try {
+    const { customerId, amount, services } = req.body;
+    
+    const customer = repository.findById('customers', customerId);
+    if (!customer) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    if (!(parseFloat(amount) > 0)) {
+      return res.json({ success: false, error: 'amount must be a positive number' });
+    }
+    
+    const invoice = realGreenCRM.generateInvoice(customerId, parseFloat(amount), services);
+    
+    // Log in CRM
+    realGreenCRM.logCommunication(customerId, 'invoice_generated', `Invoice ${invoice.id} for ${amount}`);
+    
+    io.emit('invoice_created', invoice);
+    
+    res.json({
+      success: true,
+      invoice,
+      message: 'Invoice generated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a single invoice with its line items and payments
+app.get('/api/crm/invoice/:id', (req, res) => {
+  const invoice = repository.findById('invoices', req.params.id);
+  if (!invoice) {
+    return res.json({ success: false, error: 'Invoice not found' });
+  }
+  res.json({ success: true, invoice });
+});
+
+// Record a full or partial payment
+app.post('/api/crm/invoice/:id/payments', (req, res) => {
+  try {
+    const { amount, method, reference } = req.body || {};
+    
+    const result = billingEngine.recordPayment(req.params.id, { amount, method, reference });
+    if (!result.success) {
+      return res.json(result);
+    }
+    
+    res.json({
+      success: true,
+      invoice: result.invoice,
+      payment: result.payment,
+      message: result.invoice.status === 'paid' ? 'Invoice paid in full' : `Partial payment recorded, ${result.invoice.balance} outstanding`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run the billing cycle now (normally periodic)
+app.post('/api/crm/billing/run', (req, res) => {
+  try {
+    const { customerId, asOf } = req.body || {};
+    const when = asOf ? new Date(asOf) : new Date();
+    if (isNaN(when)) {
+      return res.json({ success: false, error: 'asOf must be a date' });
+    }
+    
+    let invoices;
+    if (customerId) {
+      const customer = repository.findById('customers', customerId);
+      if (!customer) {
+        return res.json({ success: false, error: 'Customer not found' });
+      }
+      invoices = billingEngine.runForCustomer(customer, when);
+    } else {
+      invoices = billingEngine.runBillingCycle(when);
+    }
+    const overdue = billingEngine.markOverdue(when);
+    
+    res.json({ success: true, invoices, count: invoices.length, marked_overdue: overdue.map(i => i.id) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Accounts receivable aging
+app.get('/api/crm/ar-aging', (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf)) {
+      return res.json({ success: false, error: 'asOf must be a date' });
+    }
+    res.json({ success: true, report: billingEngine.agingReport(asOf) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Complete a service ticket (feeds billing)
+app.post('/api/crm/ticket/:id/complete', (req, res) => {
+  try {
+    const ticket = repository.findById('service_tickets', req.params.id);
+    if (!ticket) {
+      return res.json({ success: false, error: 'Ticket not found' });
+    }
+    if (['completed', 'cancelled'].includes(ticket.status)) {
+      return res.json({ success: false, error: `Ticket is already ${ticket.status}` });
+    }
+    
+    const { actualHours, workerId, materials, notes } = req.body || {};
+    if (actualHours !== undefined && !(parseFloat(actualHours) >= 0)) {
+      return res.json({ success: false, error: 'actualHours must be a non-negative number' });
+    }
+    const materialsProblem = validateMaterials(materials);
+    if (materialsProblem) {
+      return res.json({ success: false, error: materialsProblem });
+    }
+    if (workerId && !repository.findById('workers', workerId)) {
+      return res.json({ success: false, error: 'Worker not found' });
+    }
+    
+    repository.update('service_tickets', ticket.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      assigned_worker: workerId || ticket.assigned_worker,
+      actual_hours: actualHours !== undefined ? parseFloat(actualHours) : null,
+      materials: materials || [],
+      completion_notes: notes || null
+    });
+    realGreenCRM.logCommunication(ticket.customer_id, 'ticket_completed', `Service completed: ${ticket.service_type}`);
+    realGreenCRM.emit('service_completed', { customerId: ticket.customer_id, ticket });
+    io.emit('ticket_updated', ticket);
+    
+    const customer = repository.findById('customers', ticket.customer_id);
+    const invoices = customer ? billingEngine.runForCustomer(customer) : [];
+    
+    res.json({ success: true, ticket, invoices });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get all service tickets
+app.get('/api/crm/tickets', (req, res) => {
+  try {
+    const { status, priority } = req.query;
+    
+    let tickets = realGreenCRM.serviceTickets;
+    
+    if (status) {
+      tickets = tickets.filter(t => t.status === status);
+    }
+    
+    if (priority) {
+      tickets = tickets.filter(t => t.priority === priority);
+    }
+    
+    res.json({
+      success: true,
+      tickets,
+      count: tickets.length,
+      by_status: {
+        open: realGreenCRM.serviceTickets.filter(t => t.status === 'open').length,
+        scheduled: realGreenCRM.serviceTickets.filter(t => t.status === 'scheduled').length,
+        in_progress: realGreenCRM.serviceTickets.filter(t => t.status === 'in_progress').length,
+        completed: realGreenCRM.serviceTickets.filter(t => t.status === 'completed').length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sentiment and topic roll-ups per customer and per worker, most negative first
+app.get('/api/crm/analytics/sentiment', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      overall: CommunicationAnalyzer.rollup(communicationAnalyzer.analyzed()),
+      customers: communicationAnalyzer.byCustomer(),
+      workers: communicationAnalyzer.byWorker(),
+      topics: Object.fromEntries(Object.entries(COMMUNICATION_TOPICS).map(([name, topic]) => [name, topic.label])),
+      analyzer: communicationAnalyzer.usesLLM ? 'llm' : 'lexicon'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Customers ranked by churn risk with top factors and retention actions;
+// ?refresh=true re-scores everyone first
+app.get('/api/crm/analytics/churn', (req, res) => {
+  try {
+    const { level, limit, refresh } = req.query;
+    if (level && !['high', 'medium', 'low'].includes(level)) {
+      return res.json({ success: false, error: 'level must be one of: high, medium, low' });
+    }
+    if (refresh === 'true') churnModel.scoreAll();
+
+    const all = churnModel.ranked();
+    const customers = churnModel.ranked({ level, limit: parseInt(limit, 10) || null });
+    res.json({
+      success: true,
+      model: { ...churnModel.active, requested: churnModel.mode },
+      thresholds: { at_risk: CHURN_AT_RISK_THRESHOLD, recovery: CHURN_RECOVERY_THRESHOLD },
+      summary: {
+        high: all.filter(c => c.level === 'high').length,
+        medium: all.filter(c => c.level === 'medium').length,
+        low: all.filter(c => c.level === 'low').length,
+        revenue_at_risk: all.filter(c => c.level === 'high').reduce((sum, c) => sum + c.annual_contract_value, 0)
+      },
+      customers
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fit the logistic churn model on customers who left versus those who stayed
+app.post('/api/crm/analytics/churn/train', (req, res) => {
+  try {
+    const result = churnModel.train();
+    if (result.success && result.in_use) churnModel.scoreAll();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get customer lifecycle analytics
+app.get('/api/crm/analytics/lifecycle', (req, res) => {
+  try {
+    const customers = repository.all('customers');
+    const lifecycleData = {
+      lead: 0,
+      prospect: 0,
+      active: 0,
+      at_risk: 0,
+      inactive: 0
+    };
+    
+    customers.forEach(customer => {
+      const profile = realGreenCRM.getCustomerProfile(customer.id);
+      if (profile && profile.lifecycle_stage) {
+        lifecycleData[profile.lifecycle_stage]++;
+      }
+    });
+    
+    const totalRevenue = customers.reduce((sum, c) => sum + (c.annual_contract_value || 0), 0);
+    const avgContractValue = totalRevenue / customers.length;
+    
+    res.json({
+      success: true,
+      lifecycle: lifecycleData,
+      revenue: {
+        total_annual: totalRevenue,
+        average_contract: avgContractValue,
+        by_tier: {
+          premium: customers.filter(c => c.customer_tier === 'premium').reduce((s, c) => s + c.annual_contract_value, 0),
+          standard: customers.filter(c => c.customer_tier === 'standard').reduce((s, c) => s + c.annual_contract_value, 0),
+          basic: customers.filter(c => c.customer_tier === 'basic').reduce((s, c) => s + c.annual_contract_value, 0),
+          commercial: customers.filter(c => c.customer_tier === 'commercial').reduce((s, c) => s + c.annual_contract_value, 0)
+        }
+      },
+      customer_distribution: {
+        residential: customers.filter(c => c.property_type === 'residential').length,
+        commercial: customers.filter(c => c.property_type === 'commercial').length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get worker performance analytics
+app.get('/api/crm/analytics/workers', (req, res) => {
+  try {
+    const workers = repository.all('workers');
+    const workerStats = workers.map(worker => ({
+      id: worker.id,
+      name: worker.name,
+      rating: worker.rating,
+      efficiency: worker.performance_metrics.efficiency_score,
+      quality: worker.performance_metrics.quality_consistency,
+      satisfaction: worker.performance_metrics.customer_satisfaction,
+      active_jobs: worker.active_assignment_ids.length,
+      specializations: Object.keys(worker.performance_metrics.specialization_factors || {}),
+      availability: worker.availability,
+      years_experience: worker.years_experience
+    }));
+    
+    res.json({
+      success: true,
+      workers: workerStats.sort((a, b) => b.rating - a.rating),
+      summary: {
+        total_workers: workers.length,
+        full_time: workers.filter(w => w.availability === 'full_time').length,
+        part_time: workers.filter(w => w.availability === 'part_time').length,
+        avg_rating: workers.reduce((sum, w) => sum + w.rating, 0) / workers.length,
+        avg_experience: workers.reduce((sum, w) => sum + w.years_experience, 0) / workers.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Enhanced AI chat with CRM integration
+const CHAT_FALLBACK = "I apologize, but I'm having trouble connecting right now. Please try again or call our office at 1-800-LAWN-CARE.";
+
+// One chat turn, shared by the JSON and streaming routes; onDelta receives the
+// reply text as it is generated, with the tool step it belongs to
+async function handleCustomerChat({ customerId, message }, onDelta = null) {
+  const customer = repository.findById('customers', customerId);
+  if (!customer) {
+    return { success: false, error: 'Customer not found' };
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    return { success: false, error: 'message is required' };
+  }
+
+  // Customers who are with staff don't get the assistant until the handoff is resolved
+  const withStaff = handoffService.intercept(customer, message);
+  if (withStaff) {
+    if (onDelta && withStaff.response) onDelta(withStaff.response);
+    return { ...withStaff, crm_logged: true };
+  }
+
+  // "yes" or "no" to a booking the assistant proposed is settled directly
+  const confirmation = chatTools.replyToConfirmation(customerId, message);
+  if (confirmation) {
+    if (onDelta) onDelta(confirmation.response);
+    return { success: true, ...confirmation, crm_logged: true };
+  }
+
+  // Get full CRM context
+  const serviceHistory = realGreenCRM.getCustomerServiceHistory(customerId);
+  const invoices = realGreenCRM.getCustomerInvoices(customerId);
+  const recentComms = realGreenCRM.communications
+    .filter(c => c.customer_id === customerId)
+    .slice(-5);
+
+  const season = seasonResolver.forRegion(getRegionFor(customer));
+  const context = {
+    customer: customer,
+    crm_profile: realGreenCRM.getCustomerProfile(customerId),
+    service_tickets: serviceHistory,
+    invoices: invoices,
+    recent_communications: recentComms,
+    regional_insights: kg.findRegionalExpertise(getRegionFor(customer)),
+    season: season.season,
+    seasonal_recommendations: kg.getOptimalSeasonalActivities(season.season)
+  };
+
+  const intent = await aiAgent.analyzeCustomerIntent(message, context);
+
+  const escalation = handoffService.escalate(customer, message, intent);
+  if (escalation) {
+    if (onDelta) onDelta(escalation.response);
+    return { ...escalation, intent, crm_logged: true };
+  }
+
+  // Pricing and booking questions get a concrete quote to talk about
+  let quote = null;
+  if (['inquiry_pricing', 'schedule_service'].includes(intent.intent)) {
+    quote = quoteService.openQuoteFor(customerId);
+    if (!quote) {
+      const services = [...new Set(customer.service_history.map(s => s.service_type))]
+        .filter(service => quoteService.priceBook.services[service]);
+      const created = quoteService.create(customerId, services.length ? services : ['Mowing'], {
+        notes: 'Generated from customer chat',
+        draft: true
+      });
+      quote = created.success ? created.quote : null;
+    }
+    context.quote = quote;
+  }
+
+  const history = conversationMemory.history(customerId);
+  const response = await chatTools.respond({
+    customerId,
+    message,
+    systemPrompt: aiAgent.buildCustomerPrompt(context, intent),
+    history,
+    onDelta
+  });
+
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+
+  // Log both turns in RealGreen CRM
+  conversationMemory.record(customerId, message, response.content);
+
+  const inquiry = {
+    id: uuidv4(),
+    customerId,
+    timestamp: new Date().toISOString(),
+    question: message,
+    response: response.content,
+    intent: intent.intent,
+    confidence: intent.confidence
+  };
+  repository.insert('customer_inquiries', inquiry);
+
+  return {
+    success: true,
+    response: response.content,
+    intent: intent,
+    usage: response.usage,
+    model: response.model,
+    quote: quote && { ...quote, links: quote.status === 'sent' ? QuoteService.links(quote) : null },
+    tool_calls: response.tool_calls,
+    pending_action: response.pending_action,
+    crm_logged: true
+  };
+}
+
+app.post('/api/crm/chat', async (req, res) => {
+  try {
+    res.json(await handleCustomerChat(req.body));
+  } catch (error) {
+    console.error('Mistral Chat Error:', error);
+    res.json({ 
+      success: false, 
+      error: error.message,
+      fallback: CHAT_FALLBACK
+    });
+  }
+});
+
+// Same as /api/crm/chat as server-sent events: `chunk` ({ delta }) while the
+// reply is generated, then `done` with the full response body
+app.post('/api/crm/chat/stream', async (req, res) => {
+  const stream = openEventStream(res);
+  try {
+    const result = await handleCustomerChat(req.body, (delta, step = 0) => stream.send('chunk', { delta, step }));
+    stream.send('done', result);
+  } catch (error) {
+    console.error('Mistral Chat Error:', error);
+    stream.send('done', { success: false, error: error.message, fallback: CHAT_FALLBACK });
+  }
+  stream.close();
+});
+
+// Actions the chat assistant has proposed, e.g. bookings awaiting confirmation
+app.get('/api/crm/chat/actions', (req, res) => {
+  const { customerId, status } = req.query;
+  if (customerId) chatTools.pendingAction(customerId); // expires a stale one
+  const actions = repository
+    .filter('chat_actions', a => (!customerId || a.customer_id === customerId) && (!status || a.status === status))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  res.json({ success: true, data: actions });
+});
+
+// Staff can confirm or decline on the customer's behalf, e.g. over the phone
+['confirm', 'decline'].forEach(decision => {
+  app.post(`/api/crm/chat/actions/:id/${decision}`, (req, res) => {
+    try {
+      const action = repository.findById('chat_actions', req.params.id);
+      if (!action) {
+        return res.json({ success: false, error: 'Action not found' });
+      }
+      const result = chatTools.resolve(action, decision, (req.body || {}).via || 'staff');
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
+// Audit log of every tool call the chat assistant made
+app.get('/api/crm/chat/audit', (req, res) => {
+  const { customerId, tool } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 100;
+  const calls = repository
+    .filter('chat_tool_calls', c => (!customerId || c.customer_id === customerId) && (!tool || c.tool === tool))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+  res.json({ success: true, data: calls, tools: chatTools.definitions().map(d => d.function.name) });
+});
+
+// Full chat transcript with the rolling summary; in_context marks the turns the
+// next prompt will include verbatim
+app.get('/api/crm/conversations/:customerId', (req, res) => {
+  const customer = repository.findById('customers', req.params.customerId);
+  if (!customer) {
+    return res.json({ success: false, error: 'Customer not found' });
+  }
+  res.json({ success: true, customer: customer.name, ...conversationMemory.transcript(customer.id) });
+});
+
+// ==================== ORIGINAL API ENDPOINTS ====================
+
+app.get('/api/sites', (req, res) => {
+  res.json({ success: true, data: repository.all('work_sites') });
+});
+
+app.get('/api/workers', (req, res) => {
+  res.json({ success: true, data: repository.all('workers') });
+});
+
+app.get('/api/customers', (req, res) => {
+  res.json({ success: true, data: repository.all('customers') });
 });
 
-const assignments = [];
-const customerInquiries = [];
+app.post('/api/sites', (req, res) => {
+  try {
+    const { address, lat, lng, difficulty, skills, customerId } = req.body;
+    if (customerId && !repository.findById('customers', customerId)) {
+      return res.json({ success: false, error: 'Customer not found' });
+    }
+    
+    const newSite = {
+      id: `site_${uuidv4()}`,
+      customer_id: customerId || repository.find('customers', c => c.address === address)?.id || null,
+      address,
+      coords: { lat: parseFloat(lat), lng: parseFloat(lng) },
+      difficulty_score: parseFloat(difficulty),
+      status: 'open',
+      territory_id: null,
+      preferred_skills: skills || ['Mowing'],
+      estimated_hours: Math.round(difficulty * 4) + 1,
+      property_size: ['small', 'medium', 'large'][Math.floor(Math.random() * 3)],
+      terrain_type: ['flat', 'gently_sloping', 'hilly'][Math.floor(Math.random() * 3)],
+      grass_type: ['KentuckyBluegrass', 'Bermuda', 'Fescue'][Math.floor(Math.random() * 3)],
+      regional_factors: ['ClayLoam', 'SandyLoam'][Math.floor(Math.random() * 2)],
+      historical_data: {
+        avg_completion_time: parseFloat(difficulty) * 3 + 1,
+        cost_overruns: parseFloat(difficulty) * 0.1,
+        customer_rating: 4.5 + (Math.random() * 0.5)
+      }
+    };
+    
+    repository.insert('work_sites', newSite);
+    territoryService.tag('work_sites', newSite);
+    io.emit('site_added', newSite);
+    res.json({ success: true, data: newSite });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// ==================== HELPER FUNCTIONS ====================
+app.post('/api/assign', (req, res) => {
+  try {
+    const { workerId, siteId, date, start } = req.body;
+    
+    if (date && !isValidDate(date)) {
+      return res.json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
+    if (start && !isValidTime(start)) {
+      return res.json({ success: false, error: 'start must be HH:MM' });
+    }
+    
+    const result = assignmentManager.create(workerId, siteId, date, start || null);
+    if (!result.success) {
+      return res.json(result);
+    }
+    
+    res.json({ 
+      success: true, 
+      message: `Assigned ${result.worker.name} to ${result.site.address}`,
+      data: result.assignment 
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-function calculateAssignmentScore(worker, workSite) {
-  const skillMatch = calculateSkillMatch(worker.skills, workSite.preferred_skills);
-  const distance = calculateDistance(worker.home_coords, workSite.coords);
-  const distanceScore = Math.max(0, 1 - (distance / 20));
-  const availabilityScore = worker.active_assignment_ids.length === 0 ? 1 : 
-                          worker.active_assignment_ids.length <= 2 ? 0.7 : 0.3;
-  const historicalScore = worker.rating / 5;
+// ==================== ASSIGNMENT LIFECYCLE ENDPOINTS ====================
 
-  return (skillMatch * 0.4 + distanceScore * 0.3 + availabilityScore * 0.2 + historicalScore * 0.1);
-}
+app.get('/api/assignments', (req, res) => {
+  try {
+    const { status, workerId, siteId } = req.query;
+    
+    const data = repository.filter('assignments', a =>
+      (!status || a.status === status) &&
+      (!workerId || a.workerId === workerId) &&
+      (!siteId || a.siteId === siteId)
+    );
+    
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-function calculateSkillMatch(workerSkills, siteSkills) {
-  if (!siteSkills.length) return 0.5;
-  const matching = siteSkills.filter(skill => workerSkills.includes(skill));
-  return matching.length / siteSkills.length;
-}
+app.get('/api/assignments/:id', (req, res) => {
+  const assignment = repository.findById('assignments', req.params.id);
+  if (!assignment) {
+    return res.json({ success: false, error: 'Assignment not found' });
+  }
+  res.json({
+    success: true,
+    data: assignment,
+    allowed_transitions: ASSIGNMENT_TRANSITIONS[assignment.status] || []
+  });
+});
 
-function calculateDistance(coord1, coord2) {
-  const R = 6371;
-  const dLat = (coord2.lat - coord1.lat) * Math.PI / 180;
-  const dLon = (coord2.lng - coord1.lng) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(coord1.lat * Math.PI / 180) * Math.cos(coord2.lat * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
+// Simple transitions that only move the assignment along
+[
+  ['en-route', 'en_route'],
+  ['start', 'in_progress'],
+  ['pause', 'paused'],
+  ['resume', 'in_progress']
+].forEach(([action, status]) => {
+  app.post(`/api/assignments/:id/${action}`, (req, res) => {
+    try {
+      if (action === 'resume') {
+        const current = repository.findById('assignments', req.params.id);
+        if (current && current.status !== 'paused') {
+          return res.json({ success: false, error: `Cannot resume an assignment that is '${current.status}'` });
+        }
+      }
+      
+      const result = assignmentManager.transition(req.params.id, status, req.body?.note || null);
+      res.json(result.success ? { success: true, data: result.assignment } : result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
 
-function getRegionFromAddress(address) {
-  if (address.includes('Canton')) return 'Canton';
-  if (address.includes('Massillon')) return 'Massillon';
-  return 'StarkCounty';
-}
+app.post('/api/assignments/:id/complete', (req, res) => {
+  try {
+    const { actualHours, rating, note, materials } = req.body || {};
+    
+    if (actualHours !== undefined && (isNaN(parseFloat(actualHours)) || parseFloat(actualHours) < 0)) {
+      return res.json({ success: false, error: 'actualHours must be a non-negative number' });
+    }
+    const materialsProblem = validateMaterials(materials);
+    if (materialsProblem) {
+      return res.json({ success: false, error: materialsProblem });
+    }
+    
+    const result = assignmentManager.complete(req.params.id, { actualHours, rating, note, materials: materials || [] });
+    if (!result.success) {
+      return res.json(result);
+    }
+    
+    const customer = findCustomerForSite(result.site);
+    if (customer) {
+      realGreenCRM.emit('service_completed', { customerId: customer.id, assignment: result.assignment });
+      billingEngine.runForCustomer(customer);
+    }
+    
+    res.json({
+      success: true,
+      data: result.assignment,
+      site: result.site,
+      worker: result.worker
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-async function getKGInsightsForSite(site) {
-  const region = getRegionFromAddress(site.address);
-  const regionalData = kg.data.regions[region] || {};
-  const soilData = kg.data.soilTypes[site.regional_factors?.[0]] || {};
-  const grassData = kg.data.grassTypes[site.grass_type] || {};
-  
-  return {
-    region: region,
-    climate_zone: regionalData.climateZone,
-    soil_analysis: `${site.regional_factors?.[0]} - ${soilData.drainage} drainage, pH ${soilData.pH}`,
-    grass_requirements: `${site.grass_type} - ${grassData.maintenance} maintenance, ${grassData.droughtTolerance} drought tolerance`,
-    seasonal_considerations: 'Spring growth period - optimal for aeration and overseeding',
-    common_weeds: regionalData.commonWeeds?.join(', ') || 'Various',
-    mowing_height: grassData.idealMowingHeight
-  };
-}
+app.post('/api/assignments/:id/cancel', (req, res) => {
+  try {
+    const result = assignmentManager.cancel(req.params.id, req.body?.reason || null);
+    res.json(result.success ? { success: true, data: result.assignment, site: result.site } : result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// ==================== REALGREEN CRM API ENDPOINTS ====================
+app.post('/api/assignments/:id/reassign', (req, res) => {
+  try {
+    const { workerId, reason } = req.body || {};
+    
+    if (!workerId) {
+      return res.json({ success: false, error: 'workerId required' });
+    }
+    
+    const result = assignmentManager.reassign(req.params.id, workerId, reason || null);
+    if (!result.success) {
+      return res.json(result);
+    }
+    
+    res.json({
+      success: true,
+      data: result.assignment,
+      replacement: result.replacement
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// Get customer CRM profile
-app.get('/api/crm/customer/:customerId', (req, res) => {
+// ==================== SCHEDULING ENDPOINTS ====================
+
+app.get('/api/schedule/availability', (req, res) => {
   try {
-    const { customerId } = req.params;
-    const profile = realGreenCRM.getCustomerProfile(customerId);
-    const serviceHistory = realGreenCRM.getCustomerServiceHistory(customerId);
-    const invoices = realGreenCRM.getCustomerInvoices(customerId);
-    const communications = realGreenCRM.communications.filter(c => c.customer_id === customerId);
+    const { workerId, customerId, skill } = req.query;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const days = Math.min(parseInt(req.query.days || '1', 10), 14);
+    const durationHours = parseFloat(req.query.duration || '1');
     
-    if (!profile) {
-      return res.json({ success: false, error: 'Customer not found' });
+    if (!isValidDate(date) || isNaN(days) || days < 1 || isNaN(durationHours) || durationHours <= 0) {
+      return res.json({ success: false, error: 'Expected date=YYYY-MM-DD, days between 1 and 14 and a positive duration (hours)' });
     }
     
+    const availability = scheduler.findAvailability({ date, days, durationHours, workerId, customerId, skill });
+    
     res.json({
       success: true,
-      profile,
-      service_history: serviceHistory,
-      invoices,
-      communications: communications.slice(-10),
-      lifetime_stats: {
-        total_services: serviceHistory.length,
-        total_invoiced: invoices.reduce((sum, inv) => sum + inv.amount, 0),
-        avg_rating: profile.service_history.reduce((sum, s) => sum + s.rating, 0) / (profile.service_history.length || 1)
-      }
+      date,
+      days,
+      duration_hours: durationHours,
+      data: availability,
+      count: availability.reduce((sum, a) => sum + a.slots.length, 0)
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Create service ticket
-app.post('/api/crm/ticket', (req, res) => {
+app.get('/api/workers/:id/shifts', (req, res) => {
+  const worker = repository.findById('workers', req.params.id);
+  if (!worker) {
+    return res.json({ success: false, error: 'Worker not found' });
+  }
+  res.json({
+    success: true,
+    data: {
+      weekly_shifts: worker.weekly_shifts,
+      time_off: repository.filter('time_off', t => t.worker_id === worker.id)
+    }
+  });
+});
+
+app.put('/api/workers/:id/shifts', (req, res) => {
   try {
-    const { customerId, serviceType, priority } = req.body;
+    const worker = repository.findById('workers', req.params.id);
+    if (!worker) {
+      return res.json({ success: false, error: 'Worker not found' });
+    }
+    
+    const weeklyShifts = req.body?.weekly_shifts;
+    if (!weeklyShifts || typeof weeklyShifts !== 'object') {
+      return res.json({ success: false, error: 'weekly_shifts object required' });
+    }
+    for (const [day, shifts] of Object.entries(weeklyShifts)) {
+      if (!WEEKDAYS.includes(day)) {
+        return res.json({ success: false, error: `Unknown day '${day}'` });
+      }
+      const problem = SchedulingService.validateRanges(shifts);
+      if (problem) {
+        return res.json({ success: false, error: `${day}: ${problem}` });
+      }
+    }
+    
+    repository.update('workers', worker.id, { weekly_shifts: weeklyShifts });
+    io.emit('worker_updated', worker);
+    res.json({ success: true, data: worker.weekly_shifts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/workers/:id/time-off', (req, res) => {
+  try {
+    const worker = repository.findById('workers', req.params.id);
+    if (!worker) {
+      return res.json({ success: false, error: 'Worker not found' });
+    }
+    
+    const { start_date, end_date, reason } = req.body || {};
+    const endDate = end_date || start_date;
+    if (!isValidDate(start_date) || !isValidDate(endDate) || endDate < start_date) {
+      return res.json({ success: false, error: 'start_date and end_date must be YYYY-MM-DD with end_date on or after start_date' });
+    }
+    
+    const entry = repository.insert('time_off', {
+      id: `timeoff_${uuidv4()}`,
+      worker_id: worker.id,
+      start_date,
+      end_date: endDate,
+      reason: reason || null,
+      created_at: new Date().toISOString()
+    });
+    
+    // Surface bookings that now fall inside the time off so dispatch can reassign them
+    const affected = repository.filter('assignments', a =>
+      a.workerId === worker.id &&
+      OPEN_ASSIGNMENT_STATUSES.includes(a.status) &&
+      a.scheduledDate >= start_date && a.scheduledDate <= endDate
+    );
     
-    const customer = customers.find(c => c.id === customerId);
+    io.emit('worker_updated', worker);
+    res.json({ success: true, data: entry, affected_assignments: affected });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/workers/:id/time-off/:timeOffId', (req, res) => {
+  const entry = repository.findById('time_off', req.params.timeOffId);
+  if (!entry || entry.worker_id !== req.params.id) {
+    return res.json({ success: false, error: 'Time off entry not found' });
+  }
+  repository.remove('time_off', entry.id);
+  res.json({ success: true, data: entry });
+});
+
+app.put('/api/customers/:id/time-windows', (req, res) => {
+  try {
+    const customer = repository.findById('customers', req.params.id);
     if (!customer) {
       return res.json({ success: false, error: 'Customer not found' });
     }
     
-    const ticket = realGreenCRM.createServiceTicket(customerId, serviceType, priority);
+    const windows = req.body?.time_windows;
+    const problem = SchedulingService.validateRanges(windows, true);
+    if (problem) {
+      return res.json({ success: false, error: problem });
+    }
     
-    // Log in CRM
-    realGreenCRM.logCommunication(customerId, 'ticket_created', `Service ticket created: ${serviceType}`);
+    repository.update('customers', customer.id, {
+      preferences: { ...customer.preferences, time_windows: windows }
+    });
+    res.json({ success: true, data: customer.preferences.time_windows });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/crm/ticket/:id/schedule', (req, res) => {
+  try {
+    const ticket = repository.findById('service_tickets', req.params.id);
+    if (!ticket) {
+      return res.json({ success: false, error: 'Ticket not found' });
+    }
+    if (['completed', 'cancelled'].includes(ticket.status)) {
+      return res.json({ success: false, error: `Cannot schedule a ${ticket.status} ticket` });
+    }
     
-    io.emit('ticket_created', ticket);
+    const { workerId, date, start, durationHours = 2 } = req.body || {};
+    if (!workerId || !isValidDate(date) || !isValidTime(start)) {
+      return res.json({ success: false, error: 'workerId, date (YYYY-MM-DD) and start (HH:MM) required' });
+    }
     
-    res.json({
-      success: true,
-      ticket,
-      message: 'Service ticket created successfully'
+    const end = fromMinutes(toMinutes(start) + Math.round(parseFloat(durationHours) * 60));
+    const conflicts = scheduler.checkConflicts({
+      workerId, date, start, end, customerId: ticket.customer_id, ignoreId: ticket.id
+    });
+    if (conflicts.length) {
+      return res.json({ success: false, error: SchedulingService.describeConflicts(conflicts), conflicts });
+    }
+    
+    repository.update('service_tickets', ticket.id, {
+      status: 'scheduled',
+      assigned_worker: workerId,
+      scheduled_date: date,
+      scheduled_start: start,
+      scheduled_end: end
+    });
+    realGreenCRM.logCommunication(ticket.customer_id, 'ticket_scheduled', `${ticket.service_type} scheduled for ${date} ${start}–${end}`);
+    
+    io.emit('ticket_updated', ticket);
+    res.json({ success: true, ticket });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/assignments/:id/schedule', (req, res) => {
+  try {
+    const assignment = repository.findById('assignments', req.params.id);
+    if (!assignment) {
+      return res.json({ success: false, error: 'Assignment not found' });
+    }
+    if (assignment.status !== 'scheduled') {
+      return res.json({ success: false, error: `Cannot reschedule an assignment that is '${assignment.status}'` });
+    }
+    
+    const { date, start } = req.body || {};
+    if (!isValidDate(date) || !isValidTime(start)) {
+      return res.json({ success: false, error: 'date (YYYY-MM-DD) and start (HH:MM) required' });
+    }
+    
+    const site = repository.findById('work_sites', assignment.siteId);
+    const end = fromMinutes(toMinutes(start) + Math.round((site?.estimated_hours || 1) * 60));
+    const conflicts = scheduler.checkConflicts({
+      workerId: assignment.workerId, date, start, end, customerId: findCustomerForSite(site)?.id || null, ignoreId: assignment.id
     });
+    if (conflicts.length) {
+      return res.json({ success: false, error: SchedulingService.describeConflicts(conflicts), conflicts });
+    }
+    
+    repository.update('assignments', assignment.id, { scheduledDate: date, scheduledStart: start, scheduledEnd: end });
+    io.emit('assignment_updated', { assignment, from: assignment.status, to: assignment.status });
+    res.json({ success: true, data: assignment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Generate invoice
-app.post('/api/crm/invoice', (req, res) => {
+// ==================== CONTRACT ENDPOINTS ====================
+
+function validateContract(contract) {
+  const { recurrence } = contract;
+  if (!Array.isArray(contract.services) || contract.services.length === 0 || !contract.services.every(s => typeof s === 'string' && s)) {
+    return 'services must be a non-empty array of service types';
+  }
+  if (!isPlainObject(recurrence) || !['weekly', 'monthly', 'program'].includes(recurrence.frequency)) {
+    return 'recurrence.frequency must be weekly, monthly or program';
+  }
+  if (recurrence.frequency === 'weekly' && (!WEEKDAYS.includes(recurrence.weekday) || !(recurrence.interval >= 1))) {
+    return 'weekly recurrence needs a weekday and an interval of at least 1';
+  }
+  if (recurrence.frequency === 'monthly' && !(recurrence.day_of_month >= 1 && recurrence.day_of_month <= 28)) {
+    return 'monthly recurrence needs day_of_month between 1 and 28';
+  }
+  if (recurrence.frequency === 'program' && (!Array.isArray(recurrence.steps) || !recurrence.steps.every(s =>
+    isPlainObject(s) &&
+    Number.isInteger(s.month) && s.month >= 1 && s.month <= 12 &&
+    Number.isInteger(s.day) && s.day >= 1 && s.day <= 31 &&
+    s.service_type
+  ))) {
+    return 'program recurrence needs steps with month (1-12), day (1-31) and service_type';
+  }
+  if (!/^\d{2}-\d{2}$/.test(contract.season_start) || !/^\d{2}-\d{2}$/.test(contract.season_end)) {
+    return 'season_start and season_end must be MM-DD';
+  }
+  if (!isValidDate(contract.start_date) || (contract.end_date && !isValidDate(contract.end_date))) {
+    return 'start_date and end_date must be YYYY-MM-DD';
+  }
+  if (!isPlainObject(contract.pricing)) return 'pricing must be an object';
+  if (!(contract.pricing.per_visit >= 0)) return 'pricing.per_visit must be a non-negative number';
+  return null;
+}
+
+app.get('/api/contracts/templates', (req, res) => {
+  res.json({ success: true, data: CONTRACT_TEMPLATES });
+});
+
+app.get('/api/contracts', (req, res) => {
+  const { customerId, status } = req.query;
+  const data = repository.filter('contracts', c =>
+    (!customerId || c.customer_id === customerId) && (!status || c.status === status)
+  );
+  res.json({ success: true, data, count: data.length });
+});
+
+app.get('/api/contracts/:id', (req, res) => {
+  const contract = repository.findById('contracts', req.params.id);
+  if (!contract) {
+    return res.json({ success: false, error: 'Contract not found' });
+  }
+  res.json({
+    success: true,
+    data: contract,
+    tickets: repository.filter('service_tickets', t => t.contract_id === contract.id)
+  });
+});
+
+app.post('/api/contracts', (req, res) => {
   try {
-    const { customerId, amount, services } = req.body;
+    const { customerId, template, services, recurrence, season_start, season_end, start_date, end_date, pricing = {} } = req.body || {};
     
-    const customer = customers.find(c => c.id === customerId);
+    const customer = repository.findById('customers', customerId);
     if (!customer) {
       return res.json({ success: false, error: 'Customer not found' });
     }
+    if (!isPlainObject(pricing)) {
+      return res.json({ success: false, error: 'pricing must be an object' });
+    }
+    const base = template ? CONTRACT_TEMPLATES[template] : {};
+    if (!base) {
+      return res.json({ success: false, error: `Unknown template '${template}'` });
+    }
+    
+    const contract = {
+      id: `contract_${uuidv4()}`,
+      customer_id: customerId,
+      name: req.body.name || base.name || 'Custom Service Contract',
+      template: template || null,
+      services: services || base.services,
+      recurrence: recurrence || base.recurrence,
+      season_start: season_start || base.season_start,
+      season_end: season_end || base.season_end,
+      start_date: start_date || new Date().toISOString().slice(0, 10),
+      end_date: end_date || null,
+      pricing: {
+        billing_cycle: pricing.billing_cycle || customer.preferences?.billing || 'per_service',
+        per_visit: pricing.per_visit === undefined ? 0 : parseFloat(pricing.per_visit)
+      },
+      status: 'active',
+      generated_through: null,
+      created_at: new Date().toISOString()
+    };
     
-    const invoice = realGreenCRM.generateInvoice(customerId, amount, services);
+    const problem = validateContract(contract);
+    if (problem) {
+      return res.json({ success: false, error: problem });
+    }
     
-    // Log in CRM
-    realGreenCRM.logCommunication(customerId, 'invoice_generated', `Invoice ${invoice.id} for ${amount}`);
+    // Without an explicit visit price, spread the customer's annual value over the season
+    if (pricing.per_visit === undefined) {
+      const visits = ContractScheduler.visitsPerSeason(contract);
+      contract.pricing.per_visit = visits ? Math.round((customer.annual_contract_value || 0) / visits * 100) / 100 : 0;
+    }
     
-    io.emit('invoice_created', invoice);
+    repository.insert('contracts', contract);
+    realGreenCRM.logCommunication(customerId, 'contract_created', `Contract created: ${contract.name}`);
+    const { created } = contractScheduler.materialize();
     
-    res.json({
-      success: true,
-      invoice,
-      message: 'Invoice generated successfully'
-    });
+    io.emit('contract_created', contract);
+    res.json({ success: true, data: contract, tickets_created: created.filter(t => t.contract_id === contract.id) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get all service tickets
-app.get('/api/crm/tickets', (req, res) => {
+app.patch('/api/contracts/:id', (req, res) => {
   try {
-    const { status, priority } = req.query;
-    
-    let tickets = realGreenCRM.serviceTickets;
-    
-    if (status) {
-      tickets = tickets.filter(t => t.status === status);
+    const contract = repository.findById('contracts', req.params.id);
+    if (!contract) {
+      return res.json({ success: false, error: 'Contract not found' });
     }
     
-    if (priority) {
-      tickets = tickets.filter(t => t.priority === priority);
+    const { status, end_date, season_start, season_end, pricing } = req.body || {};
+    if (status && !['active', 'paused', 'ended'].includes(status)) {
+      return res.json({ success: false, error: 'status must be active, paused or ended' });
+    }
+    if (pricing !== undefined && !isPlainObject(pricing)) {
+      return res.json({ success: false, error: 'pricing must be an object' });
     }
     
-    res.json({
-      success: true,
-      tickets,
-      count: tickets.length,
-      by_status: {
-        open: realGreenCRM.serviceTickets.filter(t => t.status === 'open').length,
-        scheduled: realGreenCRM.serviceTickets.filter(t => t.status === 'scheduled').length,
-        in_progress: realGreenCRM.serviceTickets.filter(t => t.status === 'in_progress').length,
-        completed: realGreenCRM.serviceTickets.filter(t => t.status === 'completed').length
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// Get customer lifecycle analytics
-app.get('/api/crm/analytics/lifecycle', (req, res) => {
-  try {
-    const lifecycleData = {
-      lead: 0,
-      prospect: 0,
-      active: 0,
-      at_risk: 0,
-      inactive: 0
+    const updated = {
+      ...contract,
+      ...(status && { status }),
+      ...(end_date !== undefined && { end_date }),
+      ...(season_start && { season_start }),
+      ...(season_end && { season_end }),
+      ...(pricing && { pricing: { ...contract.pricing, ...pricing, per_visit: parseFloat(pricing.per_visit ?? contract.pricing.per_visit) } })
     };
+    const problem = validateContract(updated);
+    if (problem) {
+      return res.json({ success: false, error: problem });
+    }
     
-    customers.forEach(customer => {
-      const profile = realGreenCRM.getCustomerProfile(customer.id);
-      if (profile && profile.lifecycle_stage) {
-        lifecycleData[profile.lifecycle_stage]++;
-      }
-    });
-    
-    const totalRevenue = customers.reduce((sum, c) => sum + (c.annual_contract_value || 0), 0);
-    const avgContractValue = totalRevenue / customers.length;
+    // A contract coming back to active regenerates its visits from today
+    const reactivated = contract.status !== 'active' && updated.status === 'active';
+    repository.update('contracts', contract.id, { ...updated, ...(reactivated && { generated_through: null }) });
     
-    res.json({
-      success: true,
-      lifecycle: lifecycleData,
-      revenue: {
-        total_annual: totalRevenue,
-        average_contract: avgContractValue,
-        by_tier: {
-          premium: customers.filter(c => c.customer_tier === 'premium').reduce((s, c) => s + c.annual_contract_value, 0),
-          standard: customers.filter(c => c.customer_tier === 'standard').reduce((s, c) => s + c.annual_contract_value, 0),
-          basic: customers.filter(c => c.customer_tier === 'basic').reduce((s, c) => s + c.annual_contract_value, 0),
-          commercial: customers.filter(c => c.customer_tier === 'commercial').reduce((s, c) => s + c.annual_contract_value, 0)
-        }
-      },
-      customer_distribution: {
-        residential: customers.filter(c => c.property_type === 'residential').length,
-        commercial: customers.filter(c => c.property_type === 'commercial').length
+    // Visits that no longer belong to the contract are cancelled if not yet scheduled
+    const withdrawn = [];
+    repository.filter('service_tickets', t => t.contract_id === contract.id && t.status === 'open').forEach(ticket => {
+      if (contract.status !== 'active' || (contract.end_date && ticket.requested_date > contract.end_date)) {
+        repository.update('service_tickets', ticket.id, { status: 'cancelled', withdrawn_by_contract: true });
+        withdrawn.push(ticket.id);
       }
     });
+    const { created } = reactivated ? contractScheduler.materialize() : { created: [] };
+    contractScheduler.refreshNextServiceDate(contract.customer_id);
+    
+    io.emit('contract_updated', contract);
+    res.json({ success: true, data: contract, cancelled_tickets: withdrawn, tickets_created: created.filter(t => t.contract_id === contract.id) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get worker performance analytics
-app.get('/api/crm/analytics/workers', (req, res) => {
+app.post('/api/contracts/materialize', (req, res) => {
   try {
-    const workerStats = workers.map(worker => ({
-      id: worker.id,
-      name: worker.name,
-      rating: worker.rating,
-      efficiency: worker.performance_metrics.efficiency_score,
-      quality: worker.performance_metrics.quality_consistency,
-      satisfaction: worker.performance_metrics.customer_satisfaction,
-      active_jobs: worker.active_assignment_ids.length,
-      specializations: Object.keys(worker.performance_metrics.specialization_factors || {}),
-      availability: worker.availability,
-      years_experience: worker.years_experience
-    }));
-    
-    res.json({
-      success: true,
-      workers: workerStats.sort((a, b) => b.rating - a.rating),
-      summary: {
-        total_workers: workers.length,
-        full_time: workers.filter(w => w.availability === 'full_time').length,
-        part_time: workers.filter(w => w.availability === 'part_time').length,
-        avg_rating: workers.reduce((sum, w) => sum + w.rating, 0) / workers.length,
-        avg_experience: workers.reduce((sum, w) => sum + w.years_experience, 0) / workers.length
-      }
-    });
+    const horizonDays = Math.min(parseInt(req.body?.horizonDays || CONTRACT_HORIZON_DAYS, 10), 365);
+    const result = contractScheduler.materialize(horizonDays);
+    res.json({ success: true, created: result.created, count: result.created.length, generated_through: result.generated_through });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Enhanced AI chat with CRM integration
-app.post('/api/crm/chat', async (req, res) => {
+// ==================== QUOTE ENDPOINTS ====================
+
+app.get('/api/quotes/price-book', (req, res) => {
+  res.json({ success: true, data: quoteService.priceBook });
+});
+
+// Price services without saving a quote
+app.post('/api/quotes/estimate', (req, res) => {
   try {
-    const { customerId, message } = req.body;
-    
-    const customer = customers.find(c => c.id === customerId);
+    const { customerId, services, ...overrides } = req.body || {};
+    const customer = repository.findById('customers', customerId);
     if (!customer) {
       return res.json({ success: false, error: 'Customer not found' });
     }
-
-    // Get full CRM context
-    const serviceHistory = realGreenCRM.getCustomerServiceHistory(customerId);
-    const invoices = realGreenCRM.getCustomerInvoices(customerId);
-    const recentComms = realGreenCRM.communications
-      .filter(c => c.customer_id === customerId)
-      .slice(-5);
-
-    const context = {
-      customer: customer,
-      crm_profile: realGreenCRM.getCustomerProfile(customerId),
-      service_tickets: serviceHistory,
-      invoices: invoices,
-      recent_communications: recentComms,
-      regional_insights: kg.findRegionalExpertise(getRegionFromAddress(customer.address)),
-      seasonal_recommendations: kg.getOptimalSeasonalActivities('Spring')
-    };
-
-    const intent = await aiAgent.analyzeCustomerIntent(message, context);
-    const history = aiAgent.getConversationHistory(customerId);
-    const response = await aiAgent.generateCustomerResponse(message, context, intent, history);
-
-    if (!response.success) {
-      throw new Error(response.error);
+    if (!Array.isArray(services) || services.length === 0) {
+      return res.json({ success: false, error: 'services must be a non-empty array' });
     }
+    res.json(quoteService.estimate(customer, services, overrides));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    aiAgent.addToHistory(customerId, 'user', message);
-    aiAgent.addToHistory(customerId, 'assistant', response.content);
+app.get('/api/quotes', (req, res) => {
+  const { customerId, status } = req.query;
+  const data = repository
+    .filter('quotes', q => !customerId || q.customer_id === customerId)
+    .map(q => quoteService.refreshExpiry(q))
+    .filter(q => !status || q.status === status);
+  res.json({ success: true, data, count: data.length });
+});
 
-    // Log in RealGreen CRM
-    realGreenCRM.logCommunication(customerId, 'ai_chat', message);
+app.post('/api/quotes', (req, res) => {
+  try {
+    const { customerId, services, ...options } = req.body || {};
+    const result = quoteService.create(customerId, services, options);
+    if (result.success) {
+      result.links = QuoteService.links(result.quote);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const inquiry = {
-      id: uuidv4(),
-      customerId,
-      timestamp: new Date().toISOString(),
-      question: message,
-      response: response.content,
-      intent: intent.intent,
-      confidence: intent.confidence
-    };
-    customerInquiries.push(inquiry);
+app.get('/api/quotes/:id', (req, res) => {
+  const quote = quoteService.refreshExpiry(repository.findById('quotes', req.params.id));
+  if (!quote) {
+    return res.json({ success: false, error: 'Quote not found' });
+  }
+  res.json({
+    success: true,
+    data: quote,
+    versions: repository.filter('quotes', q => q.quote_number === quote.quote_number).sort((a, b) => a.version - b.version),
+    links: QuoteService.links(quote)
+  });
+});
 
-    res.json({
-      success: true,
-      response: response.content,
-      intent: intent,
-      usage: response.usage,
-      model: response.model,
-      crm_logged: true
-    });
-    
+// Send a draft quote to the customer
+app.post('/api/quotes/:id/send', (req, res) => {
+  try {
+    const result = quoteService.send(req.params.id);
+    if (result.success) {
+      result.links = QuoteService.links(result.quote);
+    }
+    res.json(result);
   } catch (error) {
-    console.error('Mistral Chat Error:', error);
-    res.json({ 
-      success: false, 
-      error: error.message,
-      fallback: "I apologize, but I'm having trouble connecting right now. Please try again or call our office at 1-800-LAWN-CARE."
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ==================== ORIGINAL API ENDPOINTS ====================
-
-app.get('/api/sites', (req, res) => {
-  res.json({ success: true, data: workSites });
+app.post('/api/quotes/:id/revise', (req, res) => {
+  try {
+    const { services, ...options } = req.body || {};
+    const result = quoteService.revise(req.params.id, services, options);
+    if (result.success) {
+      result.links = QuoteService.links(result.quote);
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.get('/api/workers', (req, res) => {
-  res.json({ success: true, data: workers });
+// Customer-facing endpoints, authorised by the quote token alone
+app.get('/api/quotes/respond/:token', (req, res) => {
+  const quote = quoteService.findByToken(req.params.token);
+  if (!quote) {
+    return res.json({ success: false, error: 'Quote not found' });
+  }
+  const { token, ...publicQuote } = quote;
+  res.json({ success: true, data: publicQuote, links: QuoteService.links(quote) });
 });
 
-app.get('/api/customers', (req, res) => {
-  res.json({ success: true, data: customers });
+app.post('/api/quotes/respond/:token/:decision', (req, res) => {
+  try {
+    const result = quoteService.respond(req.params.token, req.params.decision, req.body?.reason || null);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.post('/api/sites', (req, res) => {
+// ==================== ROUTE ENDPOINTS ====================
+
+app.get('/api/workers/:id/route', (req, res) => {
   try {
-    const { address, lat, lng, difficulty, skills } = req.body;
-    
-    const newSite = {
-      id: `site_${uuidv4()}`,
-      address,
-      coords: { lat: parseFloat(lat), lng: parseFloat(lng) },
-      difficulty_score: parseFloat(difficulty),
-      status: 'open',
-      preferred_skills: skills || ['Mowing'],
-      estimated_hours: Math.round(difficulty * 4) + 1,
-      property_size: ['small', 'medium', 'large'][Math.floor(Math.random() * 3)],
-      terrain_type: ['flat', 'gently_sloping', 'hilly'][Math.floor(Math.random() * 3)],
-      grass_type: ['KentuckyBluegrass', 'Bermuda', 'Fescue'][Math.floor(Math.random() * 3)],
-      regional_factors: ['ClayLoam', 'SandyLoam'][Math.floor(Math.random() * 2)],
-      historical_data: {
-        avg_completion_time: parseFloat(difficulty) * 3 + 1,
-        cost_overruns: parseFloat(difficulty) * 0.1,
-        customer_rating: 4.5 + (Math.random() * 0.5)
-      }
-    };
+    const worker = repository.findById('workers', req.params.id);
+    if (!worker) {
+      return res.json({ success: false, error: 'Worker not found' });
+    }
     
-    workSites.push(newSite);
-    io.emit('site_added', newSite);
-    res.json({ success: true, data: newSite });
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const start = req.query.start || '08:00';
+    if (!isValidDate(date) || !isValidTime(start)) {
+      return res.json({ success: false, error: 'date must be YYYY-MM-DD and start must be HH:MM' });
+    }
     
+    res.json({ success: true, data: routePlanner.planForWorker(worker, date, start) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/assign', (req, res) => {
+// ==================== DISPATCH ENDPOINTS ====================
+
+app.post('/api/dispatch/optimize', (req, res) => {
   try {
-    const { workerId, siteId } = req.body;
+    const { apply = false, siteIds, minSkillMatch, date } = req.body || {};
+    
+    if (typeof apply !== 'boolean') {
+      return res.json({ success: false, error: 'apply must be true or false' });
+    }
+    const skillThreshold = minSkillMatch === undefined ? undefined : Number(minSkillMatch);
+    if (skillThreshold !== undefined && (!['number', 'string'].includes(typeof minSkillMatch) || minSkillMatch === '' || !(skillThreshold >= 0 && skillThreshold <= 1))) {
+      return res.json({ success: false, error: 'minSkillMatch must be a number from 0 to 1' });
+    }
+    if (date && !isValidDate(date)) {
+      return res.json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
     
-    const site = workSites.find(s => s.id === siteId);
-    const worker = workers.find(w => w.id === workerId);
+    const optimizer = new DispatchOptimizer(repository, kg, scheduler, { minSkillMatch: skillThreshold });
     
-    if (!site || !worker) {
-      return res.json({ success: false, error: 'Site or worker not found' });
+    const result = optimizer.optimize(Array.isArray(siteIds) ? siteIds : null, date || undefined);
+    
+    const applied = [];
+    const failed = [];
+    if (apply) {
+      result.plan.forEach(entry => {
+        const created = assignmentManager.create(entry.workerId, entry.siteId, date);
+        if (created.success) {
+          applied.push(created.assignment);
+        } else {
+          failed.push({ siteId: entry.siteId, workerId: entry.workerId, error: created.error });
+        }
+      });
     }
     
-    site.status = 'assigned';
-    worker.active_assignment_ids.push(siteId);
+    const workerLoad = {};
+    result.load.forEach((hours, workerId) => {
+      if (hours > 0) {
+        workerLoad[workerId] = {
+          planned_hours: Math.round(hours * 100) / 100,
+          capacity_hours: result.capacity.get(workerId)
+        };
+      }
+    });
     
-    const assignment = {
-      id: `assign_${uuidv4()}`,
-      workerId,
-      siteId,
-      assignedAt: new Date().toISOString(),
-      status: 'scheduled'
+    const summary = {
+      sites_planned: result.plan.length,
+      sites_unassigned: result.unassigned.length,
+      total_distance_km: Math.round(result.plan.reduce((sum, p) => sum + p.distance_km, 0) * 100) / 100,
+      total_cost: Math.round(result.plan.reduce((sum, p) => sum + p.cost, 0) * 100) / 100,
+      local_search_improvements: result.improvements,
+      worker_load: workerLoad
     };
-    assignments.push(assignment);
     
-    io.emit('assignment_created', assignment);
-    io.emit('site_updated', site);
-    io.emit('worker_updated', worker);
+    if (apply) {
+      io.emit('dispatch_optimized', { summary, applied: applied.map(a => a.id) });
+    }
     
-    res.json({ 
-      success: true, 
-      message: `Assigned ${worker.name} to ${site.address}`,
-      data: assignment 
+    res.json({
+      success: true,
+      dry_run: !apply,
+      plan: result.plan.map(({ hours, ...entry }) => ({ ...entry, cost: Math.round(entry.cost * 100) / 100 })),
+      unassigned: result.unassigned,
+      summary,
+      applied,
+      failed
     });
     
   } catch (error) {
@@ -1533,27 +8830,28 @@ app.post('/api/crm/chat', async (req, res) => {
   try {
     const { customerId, message } = req.body;
     
-    const customer = customers.find(c => c.id === customerId);
+    const customer = repository.findById('customers', customerId);
     if (!customer) {
       return res.json({ success: false, error: 'Customer not found' });
     }
 
+    const season = seasonResolver.forRegion(getRegionFor(customer));
     const context = {
       customer: customer,
-      regional_insights: kg.findRegionalExpertise(getRegionFromAddress(customer.address)),
-      seasonal_recommendations: kg.getOptimalSeasonalActivities('Spring')
+      regional_insights: kg.findRegionalExpertise(getRegionFor(customer)),
+      season: season.season,
+      seasonal_recommendations: kg.getOptimalSeasonalActivities(season.season)
     };
 
     const intent = await aiAgent.analyzeCustomerIntent(message, context);
-    const history = aiAgent.getConversationHistory(customerId);
+    const history = conversationMemory.history(customerId);
     const response = await aiAgent.generateCustomerResponse(message, context, intent, history);
 
     if (!response.success) {
       throw new Error(response.error);
     }
 
-    aiAgent.addToHistory(customerId, 'user', message);
-    aiAgent.addToHistory(customerId, 'assistant', response.content);
+    conversationMemory.record(customerId, message, response.content);
 
     const inquiry = {
       id: uuidv4(),
@@ -1564,7 +8862,7 @@ app.post('/api/crm/chat', async (req, res) => {
       intent: intent.intent,
       confidence: intent.confidence
     };
-    customerInquiries.push(inquiry);
+    repository.insert('customer_inquiries', inquiry);
 
     res.json({
       success: true,
@@ -1587,16 +8885,16 @@ app.post('/api/crm/chat', async (req, res) => {
 app.get('/api/ai/recommend/:siteId', async (req, res) => {
   try {
     const { siteId } = req.params;
-    const site = workSites.find(s => s.id === siteId);
+    const site = repository.findById('work_sites', siteId);
     
     if (!site) {
       return res.json({ success: false, error: 'Site not found' });
     }
 
     const kgInsights = await getKGInsightsForSite(site);
-    const aiRecommendation = await aiAgent.recommendWorker(site, workers, kgInsights);
+    const aiRecommendation = await aiAgent.recommendWorker(site, repository.all('workers'), kgInsights);
 
-    const scores = workers.map(worker => ({
+    const scores = repository.all('workers').map(worker => ({
       worker,
       score: calculateAssignmentScore(worker, site)
     })).sort((a, b) => b.score - a.score);
@@ -1609,50 +8907,70 @@ app.get('/api/ai/recommend/:siteId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('AI Recommendation Error:', error);
+    console.error('AI Recommendation Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Shared by the JSON and streaming care plan routes
+async function handleCarePlan({ customerId, date, gdd }, onDelta = null) {
+  const customer = repository.findById('customers', customerId);
+  if (!customer) {
+    return { success: false, error: 'Customer not found' };
+  }
+
+  const region = getRegionFor(customer);
+  const { season } = seasonResolver.forRegion(region, { date, gdd });
+  const regionalData = {
+    region: kg.data.regions[region],
+    season,
+    seasonal: kg.data.seasons[season],
+    soil: kg.data.soilTypes['ClayLoam']
+  };
+
+  const plan = await aiAgent.generateLawnCarePlan(customer, regionalData, onDelta);
+
+  if (!plan.success) {
+    throw new Error(plan.error);
+  }
+
+  return {
+    success: true,
+    plan: plan.content,
+    sections: plan.sections,
+    customer: customer.name,
+    generated_at: new Date().toISOString(),
+    usage: plan.usage
+  };
+}
+
+app.post('/api/ai/care-plan', async (req, res) => {
+  try {
+    res.json(await handleCarePlan(req.body));
+  } catch (error) {
+    console.error('Care Plan Generation Error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/ai/care-plan', async (req, res) => {
+// Server-sent events: `chunk` ({ delta, attempt }) carries the raw JSON as the
+// model writes it (a new attempt number means the previous one failed
+// validation), then `done` has the validated, rendered plan
+app.post('/api/ai/care-plan/stream', async (req, res) => {
+  const stream = openEventStream(res);
   try {
-    const { customerId } = req.body;
-    
-    const customer = customers.find(c => c.id === customerId);
-    if (!customer) {
-      return res.json({ success: false, error: 'Customer not found' });
-    }
-
-    const region = getRegionFromAddress(customer.address);
-    const regionalData = {
-      region: kg.data.regions[region],
-      seasonal: kg.data.seasons.Spring,
-      soil: kg.data.soilTypes['ClayLoam']
-    };
-
-    const plan = await aiAgent.generateLawnCarePlan(customer, regionalData);
-
-    if (!plan.success) {
-      throw new Error(plan.error);
-    }
-
-    res.json({
-      success: true,
-      plan: plan.content,
-      customer: customer.name,
-      generated_at: new Date().toISOString(),
-      usage: plan.usage
-    });
-
+    const result = await handleCarePlan(req.body, (delta, attempt) => stream.send('chunk', { delta, attempt }));
+    stream.send('done', result);
   } catch (error) {
     console.error('Care Plan Generation Error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    stream.send('done', { success: false, error: error.message });
   }
+  stream.close();
 });
 
 app.post('/api/crm/clear-history/:customerId', (req, res) => {
   const { customerId } = req.params;
-  aiAgent.clearHistory(customerId);
+  conversationMemory.reset(customerId);
   res.json({ success: true, message: 'Conversation history cleared' });
 });
 
@@ -1691,25 +9009,37 @@ app.get('/api/ai/health', async (req, res) => {
   try {
     const testResult = await aiAgent.chat([
       { role: 'user', content: 'Hello, please respond with OK if you are working.' }
-    ], { max_tokens: 10 });
+    ], { task: 'health', max_tokens: 10 });
 
     res.json({
       success: true,
       ai_status: testResult.success ? 'operational' : 'error',
       model: testResult.model,
-      api_key_configured: MISTRAL_API_KEY !== 'your-mistral-api-key-here',
-      response: testResult.content
+      provider: aiAgent.provider.describe(),
+      api_key_configured: aiAgent.provider.isConfigured(),
+      response: testResult.content,
+      output_validation: aiOutputMetrics.snapshot()
     });
   } catch (error) {
     res.json({
       success: false,
       ai_status: 'error',
       error: error.message,
-      api_key_configured: MISTRAL_API_KEY !== 'your-mistral-api-key-here'
+      provider: aiAgent.provider.describe(),
+      api_key_configured: aiAgent.provider.isConfigured()
     });
   }
 });
 
+// Structured-output validation counters per schema
+app.get('/api/ai/metrics', (req, res) => {
+  res.json({ success: true, repair_attempts: LLM_REPAIR_ATTEMPTS, output_validation: aiOutputMetrics.snapshot() });
+});
+
+app.get('/api/ai/schemas', (req, res) => {
+  res.json({ success: true, data: AI_OUTPUT_SCHEMAS });
+});
+
 // ==================== KNOWLEDGE GRAPH ENDPOINTS ====================
 
 app.get('/api/kg/query', async (req, res) => {
@@ -1720,30 +9050,330 @@ app.get('/api/kg/query', async (req, res) => {
       return res.json({ success: false, error: 'Query parameter required' });
     }
 
-    const results = kg.query(query);
+    // inferred=true queries the graph with rule-derived facts and operational data included
+    const result = req.query.inferred === 'true'
+      ? kg.query(query, kgReasoner.materialize().engine)
+      : kg.query(query);
+    if (!result.success) {
+      return res.json(result);
+    }
     
     res.json({
       success: true,
       query,
-      results,
-      count: results.length
+      variables: result.variables,
+      bindings: result.bindings,
+      count: result.bindings.length
+    });
+    
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/kg/export', (req, res) => {
+  try {
+    const format = req.query.format || 'turtle';
+    if (!RDF_FORMATS[format]) {
+      return res.json({ success: false, error: `format must be one of: ${Object.keys(RDF_FORMATS).join(', ')}` });
+    }
+    res.type(RDF_FORMATS[format].contentType).send(serializeRdf(kg.store, format));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merges triples into the graph. Unless `persist` is false the content is also
+// written to the knowledge directory so it survives reloads and restarts. An
+// existing file (such as the bundled ontology) is only replaced with `overwrite: true`.
+app.post('/api/kg/import', (req, res) => {
+  try {
+    const { format, content, name, persist = true, overwrite = false } = req.body || {};
+    if (!RDF_FORMATS[format]) {
+      return res.json({ success: false, error: `format must be one of: ${Object.keys(RDF_FORMATS).join(', ')}` });
+    }
+    if (!content) {
+      return res.json({ success: false, error: 'content is required' });
+    }
+    
+    let triples;
+    try {
+      triples = parseRdf(content, format);
+    } catch (error) {
+      return res.json({ success: false, error: `Parse error: ${error.message}` });
+    }
+    const errors = validateTriples(triples);
+    if (errors.length) {
+      return res.json({ success: false, error: 'Import failed validation', details: errors });
+    }
+    
+    let file = null;
+    if (persist) {
+      file = `${(name || `import-${Date.now()}`).replace(/[^\w-]/g, '_')}${RDF_FORMATS[format].extension}`;
+      if (overwrite !== true && fs.existsSync(path.join(KG_DIR, file))) {
+        return res.json({ success: false, error: `${file} already exists in the knowledge directory; pass overwrite: true to replace it` });
+      }
+      fs.mkdirSync(KG_DIR, { recursive: true });
+      fs.writeFileSync(path.join(KG_DIR, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    }
+    // Recorded as a revision like any other write, so it shows in the history and can be rolled back
+    const { change, added, dangling } = kgHistory.assert(triples, {
+      author: req.body.author || 'import',
+      note: file ? `Imported ${file}` : 'Imported without saving a file',
+      action: 'import'
     });
     
+    res.json({ success: true, parsed: triples.length, added, file, revision: change?.revision ?? null, dangling, triples: kg.store.size });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/kg/reload', (req, res) => {
+  const result = kg.loadDirectory(KG_DIR);
+  if (result.success) {
+    kgHistory.replay();
+    io.emit('kg_updated', { source: 'reload', triples: result.triples });
+  }
+  res.json({ ...result, rules: kgReasoner.loadRules(KG_DIR) });
+});
+
+// Triples come either as JSON ({ subject, predicate, object } or [s, p, o]) or as a Turtle string
+function triplesFromRequest(body) {
+  if (body.turtle) return parseRdf(body.turtle, 'turtle');
+  if (!Array.isArray(body.triples) || body.triples.length === 0) {
+    throw new Error('Provide a non-empty triples array or a turtle string');
+  }
+  return body.triples.map(tripleFromJson);
+}
+
+app.get('/api/kg/triples', (req, res) => {
+  const { subject = null, predicate = null, object = null } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 500;
+  const matches = kg.store.match(subject, predicate, object);
+  res.json({
+    success: true,
+    data: matches.slice(0, limit).map(triple => kg.describeTriple(triple)),
+    count: matches.length,
+    revision: kgHistory.revision
+  });
+});
+
+app.post('/api/kg/triples', (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.author) {
+      return res.json({ success: false, error: 'author is required' });
+    }
+    let triples;
+    try {
+      triples = triplesFromRequest(body);
+    } catch (error) {
+      return res.json({ success: false, error: error.message });
+    }
+    res.json(kgHistory.assert(triples, body));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/kg/triples', (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.author) {
+      return res.json({ success: false, error: 'author is required' });
+    }
+    let triples;
+    try {
+      triples = triplesFromRequest(body);
+    } catch (error) {
+      return res.json({ success: false, error: error.message });
+    }
+    res.json(kgHistory.retract(triples, body));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/kg/versions', (req, res) => {
+  const snapshots = repository.all('kg_snapshots')
+    .map(({ triples, ...meta }) => ({ ...meta, triple_count: triples.length }))
+    .sort((a, b) => a.revision - b.revision || a.created_at.localeCompare(b.created_at));
+  res.json({
+    success: true,
+    revision: kgHistory.revision,
+    snapshots,
+    changes: repository.all('kg_changes').map(({ added, removed, ...meta }) => ({
+      ...meta,
+      added: added.length,
+      removed: removed.length
+    }))
+  });
+});
+
+app.post('/api/kg/versions', (req, res) => {
+  const { label, author } = req.body || {};
+  if (!author) {
+    return res.json({ success: false, error: 'author is required' });
+  }
+  const { triples, ...snapshot } = kgHistory.snapshot(label || 'Manual snapshot', author);
+  res.json({ success: true, data: { ...snapshot, triple_count: triples.length } });
+});
+
+app.get('/api/kg/versions/:revision', (req, res) => {
+  const snapshot = kgHistory.snapshotAt(parseInt(req.params.revision, 10));
+  if (!snapshot) {
+    return res.json({ success: false, error: 'Snapshot not found' });
+  }
+  res.json({ success: true, data: snapshot });
+});
+
+app.get('/api/kg/diff', (req, res) => {
+  const from = parseInt(req.query.from, 10);
+  if (Number.isNaN(from)) {
+    return res.json({ success: false, error: 'from revision is required' });
+  }
+  const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : null;
+  res.json(kgHistory.diff(from, Number.isNaN(to) ? null : to));
+});
+
+app.post('/api/kg/rollback', (req, res) => {
+  try {
+    const { revision, author, note } = req.body || {};
+    if (!author) {
+      return res.json({ success: false, error: 'author is required' });
+    }
+    if (!Number.isInteger(revision)) {
+      return res.json({ success: false, error: 'revision must be an integer' });
+    }
+    res.json(kgHistory.rollback(revision, { author, note }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dangling references inside the graph plus site data naming grasses or soils the graph lacks
+app.get('/api/kg/integrity', (req, res) => {
+  const graph = kg.danglingReferences();
+  const sites = [];
+  repository.all('work_sites').forEach(site => {
+    if (site.grass_type && !kg.data.grassTypes[site.grass_type]) {
+      sites.push({ site_id: site.id, field: 'grass_type', value: site.grass_type, expected_type: 'lc:GrassType' });
+    }
+    [].concat(site.regional_factors || []).forEach(soil => {
+      if (!kg.data.soilTypes[soil]) {
+        sites.push({ site_id: site.id, field: 'regional_factors', value: soil, expected_type: 'lc:SoilType' });
+      }
+    });
+  });
+  res.json({ success: true, ok: graph.length === 0 && sites.length === 0, dangling: graph, sites });
+});
+
+app.get('/api/kg/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: kgReasoner.rules.map(rule => ({
+      name: rule.name,
+      source: rule.source,
+      kind: rule.head ? 'derivation' : 'constraint',
+      ...(rule.message && { message: rule.message })
+    }))
+  });
+});
+
+app.get('/api/kg/inferred', (req, res) => {
+  try {
+    const { subject = null, predicate = null, object = null } = req.query;
+    const { facts, iterations, converged } = kgReasoner.inferred(subject, predicate, object);
+    res.json({ success: true, data: facts, count: facts.length, iterations, converged });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/kg/validate', (req, res) => {
+  try {
+    const violations = kgReasoner.violations();
+    res.json({ success: true, valid: violations.length === 0, violations, count: violations.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/kg/validate/site/:id', (req, res) => {
+  try {
+    const site = repository.findById('work_sites', req.params.id);
+    if (!site) {
+      return res.json({ success: false, error: 'Site not found' });
+    }
+    const violations = kgReasoner.validateSite(site.id);
+    res.json({ success: true, site_id: site.id, valid: violations.length === 0, violations });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/kg/season', (req, res) => {
+  const { date, region, zone, gdd } = req.query;
+  if (date && !isValidDate(date)) {
+    return res.json({ success: false, error: 'date must be YYYY-MM-DD' });
+  }
+  const season = region
+    ? seasonResolver.forRegion(region, { date, gdd })
+    : seasonResolver.resolve({ date, gdd, climateZone: zone || DEFAULT_CLIMATE_ZONE });
+  res.json({
+    success: true,
+    ...season,
+    activities: kg.getOptimalSeasonalActivities(season.season),
+    common_issues: kg.data.seasons[season.season]?.commonIssues || []
+  });
+});
+
+// ==================== REGION ENDPOINTS ====================
+
+app.get('/api/regions', (req, res) => {
+  const regions = regionResolver.features.map(feature => ({
+    ...regionResolver.describe(feature),
+    has_kg_data: Boolean(kg.data.regions[feature.region])
+  }));
+  res.json({ success: true, count: regions.length, data: regions });
+});
+
+// Raw GeoJSON for map overlays
+app.get('/api/regions/boundaries', (req, res) => {
+  try {
+    res.type('application/geo+json').send(fs.readFileSync(REGION_BOUNDARIES_FILE, 'utf8'));
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ?lat=&lng= or ?address=
+app.get('/api/regions/resolve', (req, res) => {
+  const { lat, lng, address } = req.query;
+  const coordinates = lat !== undefined || lng !== undefined ? { lat, lng } : null;
+  if (coordinates && !isCoordinate(coordinates)) {
+    return res.json({ success: false, error: 'lat and lng must be valid coordinates' });
+  }
+  if (!coordinates && !address) {
+    return res.json({ success: false, error: 'lat and lng, or address, is required' });
+  }
+  const resolution = regionResolver.resolve({ coordinates, address });
+  res.json({ success: true, ...resolution, kg: kg.data.regions[resolution.region] || null });
+});
+
 app.get('/api/kg/regional/:region', async (req, res) => {
   try {
     const { region } = req.params;
     
     const regionalData = kg.findRegionalExpertise(region);
-    const seasonalActivities = kg.getOptimalSeasonalActivities('Spring');
+    const season = seasonResolver.forRegion(region, { date: req.query.date, gdd: req.query.gdd });
+    const seasonalActivities = kg.getOptimalSeasonalActivities(season.season);
     
     res.json({
       success: true,
       region,
+      season,
       regional_insights: regionalData,
       seasonal_recommendations: seasonalActivities,
       region_data: kg.data.regions[region]
@@ -1759,7 +9389,7 @@ app.get('/api/kg/skills/:skill', async (req, res) => {
     const { skill } = req.params;
     
     const skillRequirements = kg.getSkillRequirements(skill);
-    const certifiedWorkers = workers.filter(worker => 
+    const certifiedWorkers = repository.filter('workers', worker => 
       worker.skills.includes(skill)
     );
     
@@ -1781,10 +9411,143 @@ app.get('/api/kg/skills/:skill', async (req, res) => {
   }
 });
 
+// ==================== TERRITORY ENDPOINTS ====================
+
+app.get('/api/territories', (req, res) => {
+  const territories = territoryService.list().map(t => territoryService.summary(t));
+  res.json({ success: true, count: territories.length, data: territories });
+});
+
+// As a GeoJSON FeatureCollection for map layers
+app.get('/api/territories/geojson', (req, res) => {
+  res.json({
+    type: 'FeatureCollection',
+    features: territoryService.list().map(({ geometry, ...properties }) => ({ type: 'Feature', properties, geometry }))
+  });
+});
+
+app.get('/api/territories/:id', (req, res) => {
+  const territory = territoryService.get(req.params.id);
+  if (!territory) {
+    return res.json({ success: false, error: 'Territory not found' });
+  }
+  res.json({
+    success: true,
+    data: territoryService.summary(territory),
+    customers: repository.filter('customers', c => c.territory_id === territory.id),
+    work_sites: repository.filter('work_sites', s => s.territory_id === territory.id)
+  });
+});
+
+app.post('/api/territories', (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = territoryService.validate(data);
+    if (errors.length) {
+      return res.json({ success: false, error: 'Invalid territory', details: errors });
+    }
+    if (territoryService.list().some(t => t.name.toLowerCase() === data.name.trim().toLowerCase())) {
+      return res.json({ success: false, error: 'A territory with this name already exists' });
+    }
+    const { territory, retagged } = territoryService.create(data);
+    res.json({ success: true, data: territoryService.summary(territory), retagged });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/territories/:id', (req, res) => {
+  try {
+    const territory = territoryService.get(req.params.id);
+    if (!territory) {
+      return res.json({ success: false, error: 'Territory not found' });
+    }
+    const data = req.body || {};
+    const errors = territoryService.validate(data, true);
+    if (errors.length) {
+      return res.json({ success: false, error: 'Invalid territory', details: errors });
+    }
+    if (data.name && territoryService.list().some(t => t.id !== territory.id && t.name.toLowerCase() === data.name.trim().toLowerCase())) {
+      return res.json({ success: false, error: 'A territory with this name already exists' });
+    }
+    const { retagged } = territoryService.update(territory, data);
+    res.json({ success: true, data: territoryService.summary(territory), retagged });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/territories/:id', (req, res) => {
+  try {
+    const territory = territoryService.get(req.params.id);
+    if (!territory) {
+      return res.json({ success: false, error: 'Territory not found' });
+    }
+    const { retagged } = territoryService.remove(territory);
+    res.json({ success: true, message: `Territory ${territory.name} deleted`, retagged });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== HANDOFF ENDPOINTS ====================
+
+// Staff queue; status is waiting, claimed, resolved or open (waiting and claimed)
+app.get('/api/handoffs', (req, res) => {
+  res.json({ success: true, data: handoffService.list(req.query.status || null) });
+});
+
+app.get('/api/handoffs/:id', (req, res) => {
+  const handoff = repository.findById('handoffs', req.params.id);
+  if (!handoff) {
+    return res.json({ success: false, error: 'Handoff not found' });
+  }
+  res.json({ success: true, data: handoff, conversation: conversationMemory.transcript(handoff.customer_id) });
+});
+
+// Same actions as the handoff_claim, handoff_reply and handoff_resolve socket events
+[
+  ['claim', (handoff, body) => handoffService.claim(handoff, body.agent)],
+  ['reply', (handoff, body) => handoffService.reply(handoff, body.agent, body.message)],
+  ['resolve', (handoff, body) => handoffService.resolve(handoff, body.agent, body.note || null)]
+].forEach(([name, action]) => {
+  app.post(`/api/handoffs/:id/${name}`, (req, res) => {
+    try {
+      const handoff = repository.findById('handoffs', req.params.id);
+      if (!handoff) {
+        return res.json({ success: false, error: 'Handoff not found' });
+      }
+      res.json(action(handoff, req.body || {}));
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
 // ==================== ANALYTICS ENDPOINTS ====================
 
+// Weekly job and hour forecasts per service type and region, with capacity flags
+app.get('/api/analytics/forecast', (req, res) => {
+  try {
+    const { start, service_type: serviceType, region } = req.query;
+    const weeks = req.query.weeks === undefined ? FORECAST_DEFAULT_WEEKS : parseInt(req.query.weeks, 10);
+    if (start !== undefined && !isValidDate(start)) {
+      return res.json({ success: false, error: 'start must be YYYY-MM-DD' });
+    }
+    if (!(weeks >= 1 && weeks <= FORECAST_MAX_WEEKS)) {
+      return res.json({ success: false, error: `weeks must be between 1 and ${FORECAST_MAX_WEEKS}` });
+    }
+
+    const forecast = demandForecaster.forecast({ start, weeks, serviceType: serviceType || null, region: region || null });
+    res.json({ success: true, filters: { service_type: serviceType || null, region: region || null }, ...forecast });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/analytics/inquiries', (req, res) => {
   try {
+    const customerInquiries = repository.all('customer_inquiries');
     const inquiryStats = {
       total: customerInquiries.length,
       by_intent: {},
@@ -1803,6 +9566,16 @@ app.get('/api/analytics/inquiries', (req, res) => {
       inquiryStats.avg_confidence /= customerInquiries.length;
     }
 
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+    const interval = req.query.interval === 'week' ? 'week' : 'day';
+    const { by_sentiment: bySentiment, topics } = CommunicationAnalyzer.rollup(communicationAnalyzer.analyzed());
+    inquiryStats.sentiment = {
+      by_sentiment: bySentiment,
+      by_topic: topics,
+      interval,
+      trend: communicationAnalyzer.trend(days, interval)
+    };
+
     res.json({ success: true, data: inquiryStats });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1810,15 +9583,16 @@ app.get('/api/analytics/inquiries', (req, res) => {
 });
 
 app.get('/api/status', (req, res) => {
+  const customers = repository.all('customers');
   res.json({
     success: true,
     message: 'LawnCare AI-Powered System with RealGreen CRM',
     stats: {
-      sites: workSites.length,
-      workers: workers.length,
+      sites: repository.count('work_sites'),
+      workers: repository.count('workers'),
       customers: customers.length,
-      assignments: assignments.length,
-      inquiries: customerInquiries.length,
+      assignments: repository.count('assignments'),
+      inquiries: repository.count('customer_inquiries'),
       kg_entities: Object.keys(kg.data).reduce((acc, key) => acc + Object.keys(kg.data[key]).length, 0)
     },
     crm_stats: {
@@ -1827,10 +9601,12 @@ app.get('/api/status', (req, res) => {
       communications: realGreenCRM.communications.length,
       total_revenue: customers.reduce((sum, c) => sum + (c.annual_contract_value || 0), 0)
     },
+    storage: repository.describe(),
     ai_agent: {
-      enabled: MISTRAL_API_KEY !== 'your-mistral-api-key-here',
-      model: MISTRAL_MODEL,
-      active_conversations: aiAgent.conversationHistory.size
+      enabled: aiAgent.provider.isConfigured(),
+      provider: aiAgent.provider.name,
+      model: aiAgent.provider.model,
+      active_conversations: conversationMemory.activeCount()
     },
     timestamp: new Date().toISOString()
   });
@@ -1871,67 +9647,62 @@ io.on('connection', (socket) => {
     features: ['Real-time updates', 'AI-powered chat', 'Knowledge graph queries']
   });
 
+  // Reply text streams as ai_response_chunk; ai_response_done carries the full
+  // result, also sent as ai_response for clients that don't stream
   socket.on('ai_chat', async (data) => {
-    try {
-      const { customerId, message } = data;
-      
-      const customer = customers.find(c => c.id === customerId);
-      if (!customer) {
-        socket.emit('ai_response', { 
-          success: false, 
-          error: 'Customer not found' 
-        });
-        return;
-      }
-
-      const context = {
-        customer: customer,
-        regional_insights: kg.findRegionalExpertise(getRegionFromAddress(customer.address)),
-        seasonal_recommendations: kg.getOptimalSeasonalActivities('Spring')
-      };
-
-      const intent = await aiAgent.analyzeCustomerIntent(message, context);
-      const history = aiAgent.getConversationHistory(customerId);
-      const response = await aiAgent.generateCustomerResponse(message, context, intent, history);
-
-      if (response.success) {
-        aiAgent.addToHistory(customerId, 'user', message);
-        aiAgent.addToHistory(customerId, 'assistant', response.content);
+    const { customerId, message } = data && typeof data === 'object' ? data : {};
+    const onDelta = (delta, step = 0) => socket.emit('ai_response_chunk', { customerId, delta, step });
+    const reply = payload => {
+      socket.emit('ai_response_done', { customerId, ...payload });
+      socket.emit('ai_response', payload);
+    };
 
-        socket.emit('ai_response', {
-          success: true,
-          response: response.content,
-          intent: intent,
-          timestamp: new Date().toISOString()
-        });
+    try {
+      const result = await handleCustomerChat({ customerId, message }, onDelta);
+      reply({ ...result, timestamp: new Date().toISOString() });
 
+      // Only replies from the assistant count as new inquiries
+      if (result.success && result.intent && !result.escalated) {
         socket.broadcast.emit('new_inquiry', {
           customerId,
-          customerName: customer.name,
+          customerName: repository.findById('customers', customerId)?.name,
           message,
-          intent: intent.intent,
+          intent: result.intent.intent,
           timestamp: new Date().toISOString()
         });
-      } else {
-        socket.emit('ai_response', {
-          success: false,
-          error: response.error
-        });
       }
-
     } catch (error) {
       console.error('WebSocket AI Chat Error:', error);
-      socket.emit('ai_response', {
+      reply({
         success: false,
-        error: error.message
+        error: error.message,
+        fallback: CHAT_FALLBACK
       });
     }
   });
 
+  // Staff side of a handoff; results come back as handoff_result
+  [
+    ['handoff_claim', (handoff, data) => handoffService.claim(handoff, data.agent)],
+    ['handoff_reply', (handoff, data) => handoffService.reply(handoff, data.agent, data.message)],
+    ['handoff_resolve', (handoff, data) => handoffService.resolve(handoff, data.agent, data.note || null)]
+  ].forEach(([event, action]) => {
+    socket.on(event, (data = {}) => {
+      try {
+        const handoff = repository.findById('handoffs', data.handoffId);
+        const result = handoff ? action(handoff, data) : { success: false, error: 'Handoff not found' };
+        socket.emit('handoff_result', { action: event, ...result });
+      } catch (error) {
+        console.error('WebSocket Handoff Error:', error);
+        socket.emit('handoff_result', { action: event, success: false, error: error.message });
+      }
+    });
+  });
+
   socket.on('request_recommendation', async (data) => {
     try {
       const { siteId } = data;
-      const site = workSites.find(s => s.id === siteId);
+      const site = repository.findById('work_sites', siteId);
       
       if (!site) {
         socket.emit('recommendation_result', { 
@@ -1942,7 +9713,7 @@ io.on('connection', (socket) => {
       }
 
       const kgInsights = await getKGInsightsForSite(site);
-      const aiRecommendation = await aiAgent.recommendWorker(site, workers, kgInsights);
+      const aiRecommendation = await aiAgent.recommendWorker(site, repository.all('workers'), kgInsights);
 
       socket.emit('recommendation_result', {
         success: true,
@@ -1970,22 +9741,67 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+try {
+  repository.init(repo => {
+    SEED_WORK_SITES.forEach(site => repo.insert('work_sites', site));
+    SEED_WORKERS.forEach(worker => repo.insert('workers', worker));
+    SEED_CUSTOMERS.forEach(customer => {
+      repo.insert('customers', customer);
+      realGreenCRM.createCustomer(customer);
+    });
+    console.log(`🌱 Seeded ${SEED_WORK_SITES.length} sites, ${SEED_WORKERS.length} workers, ${SEED_CUSTOMERS.length} customers`);
+  });
+} catch (error) {
+  console.error(`❌ Could not open the database: ${error.message}`);
+  process.exit(1);
+}
+kgHistory.init();
+const backfilled = communicationAnalyzer.backfill();
+if (backfilled) console.log(`💬 Scored ${backfilled} earlier communications with the sentiment lexicon`);
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    repository.flush();
+    process.exit(0);
+  });
+});
+
 const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => {
+  kg.watch(KG_DIR, result => {
+    const rules = kgReasoner.loadRules(KG_DIR);
+    if (!rules.success) {
+      console.error(`⚠️  Rule reload skipped:\n   ${rules.errors.join('\n   ')}`);
+    }
+    if (result.success) {
+      kgHistory.replay();
+      console.log(`🧠 Knowledge graph reloaded: ${result.triples} triples from ${result.files.length} file(s)`);
+      io.emit('kg_updated', { source: 'reload', triples: result.triples });
+    } else {
+      console.error(`⚠️  Knowledge graph reload skipped:\n   ${result.errors.join('\n   ')}`);
+    }
+  });
+  contractScheduler.start();
+  billingEngine.start();
+  churnModel.start();
+  const workers = repository.all('workers');
+  const customers = repository.all('customers');
+  const storageInfo = repository.describe();
   console.log(`\n${'='.repeat(70)}`);
   console.log(`🚀 LawnCare AI-Powered System with RealGreen CRM Integration`);
   console.log(`${'='.repeat(70)}`);
   console.log(`\n📡 Server: http://localhost:${PORT}`);
-  console.log(`🧠 Knowledge Graph: ${Object.keys(kg.data).length} entity types loaded`);
-  console.log(`🤖 Mistral AI Agent: ${MISTRAL_API_KEY !== 'your-mistral-api-key-here' ? '✅ ENABLED' : '❌ DISABLED (Configure API key)'}`);
-  console.log(`   Model: ${MISTRAL_MODEL}`);
+  console.log(`🧠 Knowledge Graph: ${Object.keys(kg.data).length} entity types, ${kg.store.size} triples loaded`);
+  console.log(`🤖 AI Agent (${aiAgent.provider.name}): ${aiAgent.provider.isConfigured() ? '✅ ENABLED' : '❌ DISABLED (Configure API key)'}`);
+  console.log(`   Model: ${aiAgent.provider.model}`);
+  console.log(`💾 Storage: ${storageInfo.backend}${storageInfo.location ? ` (${storageInfo.location})` : ''}, schema v${storageInfo.schema_version}`);
   console.log(`\n📊 Current Data:`);
-  console.log(`   - Sites: ${workSites.length}`);
+  console.log(`   - Sites: ${repository.count('work_sites')}`);
   console.log(`   - Workers: ${workers.length} (${workers.filter(w => w.availability === 'full_time').length} full-time)`);
   console.log(`   - Customers: ${customers.length}`);
   console.log(`   - Total Annual Revenue: ${customers.reduce((s, c) => s + c.annual_contract_value, 0).toLocaleString()}`);
   console.log(`\n🏢 RealGreen CRM:`);
-  console.log(`   - Customer Database: ${realGreenCRM.customerDatabase.size} profiles`);
+  console.log(`   - Customer Database: ${repository.count('crm_customers')} profiles`);
   console.log(`   - Service Tickets: ${realGreenCRM.serviceTickets.length}`);
   console.log(`   - Invoices: ${realGreenCRM.invoices.length}`);
   console.log(`   - Communications: ${realGreenCRM.communications.length}`);
@@ -1993,35 +9809,84 @@ server.listen(PORT, () => {
   console.log(`   Core:`);
   console.log(`     - GET  /api/sites, /api/workers, /api/customers`);
   console.log(`     - POST /api/sites, /api/assign`);
+  console.log(`     - GET  /api/assignments, /api/assignments/:id`);
+  console.log(`     - POST /api/assignments/:id/{en-route,start,pause,resume,complete,cancel,reassign}`);
+  console.log(`\n   Dispatch:`);
+  console.log(`     - POST /api/dispatch/optimize - Batch worker-to-site plan (dry run or apply)`);
+  console.log(`     - GET  /api/workers/:id/route?date=YYYY-MM-DD - Ordered daily route`);
+  console.log(`\n   Contracts:`);
+  console.log(`     - GET/POST /api/contracts, GET/PATCH /api/contracts/:id`);
+  console.log(`     - GET  /api/contracts/templates, POST /api/contracts/materialize`);
+  console.log(`\n   Quotes:`);
+  console.log(`     - GET  /api/quotes/price-book, POST /api/quotes/estimate`);
+  console.log(`     - GET/POST /api/quotes, GET /api/quotes/:id, POST /api/quotes/:id/{send,revise}`);
+  console.log(`     - GET  /api/quotes/respond/:token, POST /api/quotes/respond/:token/{accept,decline}`);
+  console.log(`\n   Scheduling:`);
+  console.log(`     - GET  /api/schedule/availability - Open slots by worker and day`);
+  console.log(`     - GET/PUT /api/workers/:id/shifts, POST/DELETE /api/workers/:id/time-off`);
+  console.log(`     - PUT  /api/customers/:id/time-windows - Customer visit windows`);
+  console.log(`     - POST /api/crm/ticket/:id/schedule, /api/assignments/:id/schedule`);
   console.log(`\n   RealGreen CRM:`);
   console.log(`     - GET  /api/crm/customer/:customerId - Full customer profile`);
+  console.log(`     - POST /api/crm/customers, PATCH/DELETE /api/crm/customers/:id[?force=true] - Manage customers`);
+  console.log(`     - POST /api/crm/customers/:id/lifecycle - Manual lifecycle stage change`);
   console.log(`     - POST /api/crm/ticket - Create service ticket`);
   console.log(`     - POST /api/crm/invoice - Generate invoice`);
+  console.log(`     - GET  /api/crm/invoice/:id, POST /api/crm/invoice/:id/payments - Invoices and payments`);
+  console.log(`     - POST /api/crm/ticket/:id/complete - Complete ticket (bills per_service customers)`);
+  console.log(`     - POST /api/crm/billing/run, GET /api/crm/ar-aging - Billing cycle and AR aging`);
   console.log(`     - GET  /api/crm/tickets - Get all service tickets`);
   console.log(`     - GET  /api/crm/analytics/lifecycle - Customer lifecycle analytics`);
+  console.log(`     - GET  /api/crm/analytics/sentiment, POST /api/crm/communications - Sentiment and topics per customer and worker`);
+  console.log(`     - GET  /api/crm/analytics/churn, POST /api/crm/analytics/churn/train - Churn risk ranking and model training`);
   console.log(`     - GET  /api/crm/analytics/workers - Worker performance analytics`);
   console.log(`\n   AI Agent:`);
-  console.log(`     - POST /api/crm/chat - Customer service chat (CRM integrated)`);
+  console.log(`     - POST /api/crm/chat - Customer service chat (CRM integrated, with tools)`);
+  console.log(`     - GET  /api/crm/chat/actions, POST /api/crm/chat/actions/:id/confirm|decline - Chat bookings awaiting confirmation`);
+  console.log(`     - GET  /api/crm/chat/audit - Chat tool call audit log`);
+  console.log(`     - GET  /api/crm/conversations/:customerId - Chat transcript and summary`);
+  console.log(`     - GET  /api/handoffs, POST /api/handoffs/:id/claim|reply|resolve - Human handoff queue`);
   console.log(`     - GET  /api/ai/recommend/:siteId - AI worker recommendation`);
   console.log(`     - POST /api/ai/care-plan - Generate lawn care plan`);
+  console.log(`     - POST /api/crm/chat/stream, /api/ai/care-plan/stream - Streaming variants (server-sent events)`);
   console.log(`     - POST /api/ai/batch-analyze - Batch message analysis`);
   console.log(`     - GET  /api/ai/health - Check AI agent status`);
+  console.log(`     - GET  /api/ai/metrics, /api/ai/schemas - Structured output validation stats and schemas`);
   console.log(`\n   Knowledge Graph:`);
-  console.log(`     - GET  /api/kg/query?query=... - SPARQL-style queries`);
+  console.log(`     - GET  /api/kg/query?query=...&inferred=true - SPARQL SELECT (BGP, FILTER, OPTIONAL, LIMIT)`);
+  console.log(`     - GET  /api/kg/export?format=turtle|ntriples|jsonld, POST /api/kg/import, POST /api/kg/reload`);
+  console.log(`     - GET/POST/DELETE /api/kg/triples - Read and edit triples with provenance`);
+  console.log(`     - GET/POST /api/kg/versions, GET /api/kg/versions/:revision, GET /api/kg/diff, POST /api/kg/rollback`);
+  console.log(`     - GET  /api/kg/integrity - Dangling references`);
+  console.log(`     - GET  /api/kg/rules, /api/kg/inferred - Reasoning rules and derived facts`);
+  console.log(`     - GET  /api/kg/validate, /api/kg/validate/site/:id - Constraint violations`);
+  console.log(`     - GET  /api/kg/season?date=&region=&gdd= - Resolved lawn-care season`);
   console.log(`     - GET  /api/kg/regional/:region - Regional expertise`);
   console.log(`     - GET  /api/kg/skills/:skill - Skill requirements`);
+  console.log(`     - GET  /api/regions, /api/regions/boundaries - Service-area regions and GeoJSON`);
+  console.log(`     - GET  /api/regions/resolve?lat=&lng=|address= - Region for a point or address`);
+  console.log(`\n   Territories:`);
+  console.log(`     - GET/POST /api/territories, GET/PATCH/DELETE /api/territories/:id - Territory polygons, crews and account managers`);
+  console.log(`     - GET  /api/territories/geojson - Territories as GeoJSON`);
   console.log(`\n   Analytics:`);
   console.log(`     - GET  /api/analytics/inquiries - Customer inquiry stats`);
+  console.log(`     - GET  /api/analytics/forecast?weeks=&service_type=&region= - Weekly demand forecast and capacity flags`);
   console.log(`     - GET  /api/status - System status`);
   console.log(`\n🌐 WebSocket Events:`);
   console.log(`     - ai_chat - Real-time AI customer chat`);
   console.log(`     - request_recommendation - Get AI worker recommendations`);
   console.log(`     - ticket_created, invoice_created - CRM events`);
+  console.log(`     - customer_created, customer_updated, customer_deleted, lifecycle_changed, churn_risk_changed - Customer events`);
+  console.log(`     - quote_created, quote_updated - Quote events`);
+  console.log(`     - territory_created, territory_updated, territory_deleted - Territory events`);
+  console.log(`     - kg_updated - Knowledge graph imported or reloaded`);
+  console.log(`     - assignment_created, assignment_updated - Job lifecycle events`);
   console.log(`\n${'='.repeat(70)}\n`);
   
-  if (MISTRAL_API_KEY === 'your-mistral-api-key-here') {
+  if (!aiAgent.provider.isConfigured()) {
     console.log(`⚠️  WARNING: Set MISTRAL_API_KEY environment variable to enable AI features`);
-    console.log(`   Create a .env file with: MISTRAL_API_KEY=your_actual_key\n`);
+    console.log(`   Create a .env file with: MISTRAL_API_KEY=your_actual_key`);
+    console.log(`   Or run offline with LLM_PROVIDER=mock, or a local server with LLM_PROVIDER=openai_compatible\n`);
   }
   
   console.log(`✨ System ready! Visit http://localhost:${PORT} to access the dashboard\n`);